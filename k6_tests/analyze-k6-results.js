@@ -2,6 +2,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { QuantileSketch } = require('./k6-quantiles');
+const { gradeSummary, displayGrades } = require('./k6-grading');
+const { OVERALL } = require('./k6-run-stats');
 
 function analyzeK6Results(jsonFile) {
   console.log(`🔍 Analyzing K6 Results: ${jsonFile}\n`);
@@ -42,29 +45,23 @@ function analyzeK6Results(jsonFile) {
           endpointStats[endpoint] = {
             count: 0,
             totalDuration: 0,
-            durations: [],
+            durations: new QuantileSketch(),
             errors: 0
           };
         }
         
         endpointStats[endpoint].count++;
         endpointStats[endpoint].totalDuration += duration;
-        endpointStats[endpoint].durations.push(duration);
+        endpointStats[endpoint].durations.add(duration);
       }
     });
     
     // Calculate statistics for each endpoint
     Object.keys(endpointStats).forEach(endpoint => {
       const stats = endpointStats[endpoint];
-      const durations = stats.durations.sort((a, b) => a - b);
+      const { min, max, med: p50, p90, p95, p99 } = stats.durations.summary();
       
       const avg = stats.totalDuration / stats.count;
-      const p50 = durations[Math.floor(durations.length * 0.5)];
-      const p90 = durations[Math.floor(durations.length * 0.9)];
-      const p95 = durations[Math.floor(durations.length * 0.95)];
-      const p99 = durations[Math.floor(durations.length * 0.99)];
-      const min = Math.min(...durations);
-      const max = Math.max(...durations);
       
       console.log(`\n🔗 ${endpoint}`);
       console.log(`   Requests: ${stats.count}`);
@@ -78,55 +75,28 @@ function analyzeK6Results(jsonFile) {
     console.log('\n❌ ERROR ANALYSIS');
     console.log('='.repeat(50));
     
-    const errorStats = {};
-    data.root_group.checks.forEach(check => {
-      if (check.type === 'http_req_failed' && check.value === 1) {
-        const endpoint = check.tags.endpoint || check.tags.name || 'Unknown';
-        errorStats[endpoint] = (errorStats[endpoint] || 0) + 1;
-      }
-    });
-    
-    if (Object.keys(errorStats).length > 0) {
-      Object.keys(errorStats).forEach(endpoint => {
-        console.log(`${endpoint}: ${errorStats[endpoint]} errors`);
-      });
-    } else {
-      console.log('No errors detected! ✅');
-    }
-    
-    // Performance insights
-    console.log('\n💡 PERFORMANCE INSIGHTS');
-    console.log('='.repeat(50));
-    
-    const avgResponseTime = httpReqDuration.avg || 0;
-    const p95ResponseTime = httpReqDuration.p95 || 0;
-    const errorRate = (httpReqFailed.rate || 0) * 100;
-    
-    if (avgResponseTime < 200) {
-      console.log('🟢 EXCELLENT: Average response time under 200ms');
-    } else if (avgResponseTime < 500) {
-      console.log('🟡 GOOD: Average response time under 500ms');
-    } else if (avgResponseTime < 1000) {
-      console.log('🟠 ACCEPTABLE: Average response time under 1s');
+    // A summary export only has run-wide totals: http_req_failed counts failed
+    // requests as its "passes". Status and error codes per endpoint are tags on
+    // the NDJSON points, which analyze-k6-streaming.js breaks down.
+    const failedRequests = httpReqFailed.passes !== undefined ? httpReqFailed.passes : httpReqFailed.count;
+    if (failedRequests === undefined) {
+      console.log('No http_req_failed metric in this file - failed requests unknown');
     } else {
-      console.log('🔴 NEEDS IMPROVEMENT: Average response time over 1s');
+      console.log(`Failed requests: ${failedRequests} of ${httpReqs.count || 0}`);
     }
     
-    if (p95ResponseTime < 500) {
-      console.log('🟢 EXCELLENT: P95 response time under 500ms');
-    } else if (p95ResponseTime < 1000) {
-      console.log('🟡 GOOD: P95 response time under 1s');
-    } else {
-      console.log('🟠 ACCEPTABLE: P95 response time over 1s');
+    const failedChecks = collectChecks(data.root_group).filter(check => check.fails > 0);
+    if (failedChecks.length > 0) {
+      failedChecks.forEach(check => {
+        console.log(`${check.name}: ${check.fails} failed, ${check.passes} passed`);
+      });
+    } else if (failedRequests === 0) {
+      console.log('No errors detected! ✅');
     }
+    console.log('ℹ️  Per-endpoint status codes, k6 error codes and error bursts: node analyze-k6-streaming.js <k6-results.json>');
     
-    if (errorRate < 1) {
-      console.log('🟢 EXCELLENT: Error rate under 1%');
-    } else if (errorRate < 5) {
-      console.log('🟡 GOOD: Error rate under 5%');
-    } else {
-      console.log('🔴 NEEDS IMPROVEMENT: Error rate over 5%');
-    }
+    // Grades per grading-rubrics.json; SCENARIO picks the scenario rubric
+    displayGrades(gradeSummary(data, { scenario: process.env.SCENARIO, overallName: OVERALL }));
     
     // Generate CSV for further analysis
     const csvFile = jsonFile.replace('.json', '-analysis.csv');
@@ -138,21 +108,24 @@ function analyzeK6Results(jsonFile) {
   }
 }
 
+// Checks of a group and its subgroups; k6 writes both as arrays in
+// handleSummary data and as objects keyed by name in --summary-export
+function collectChecks(group) {
+  if (!group) return [];
+  const subgroups = Object.values(group.groups || {});
+  return [...Object.values(group.checks || {}), ...subgroups.flatMap(collectChecks)];
+}
+
 function generateCSV(endpointStats, filename) {
   const headers = ['Endpoint', 'Requests', 'Avg (ms)', 'Min (ms)', 'Max (ms)', 'P50 (ms)', 'P90 (ms)', 'P95 (ms)', 'P99 (ms)'];
   const rows = [headers.join(',')];
   
   Object.keys(endpointStats).forEach(endpoint => {
     const stats = endpointStats[endpoint];
-    const durations = stats.durations.sort((a, b) => a - b);
+    const summary = stats.durations.summary();
     
     const avg = (stats.totalDuration / stats.count).toFixed(2);
-    const min = Math.min(...durations).toFixed(2);
-    const max = Math.max(...durations).toFixed(2);
-    const p50 = durations[Math.floor(durations.length * 0.5)].toFixed(2);
-    const p90 = durations[Math.floor(durations.length * 0.9)].toFixed(2);
-    const p95 = durations[Math.floor(durations.length * 0.95)].toFixed(2);
-    const p99 = durations[Math.floor(durations.length * 0.99)].toFixed(2);
+    const [min, max, p50, p90, p95, p99] = [summary.min, summary.max, summary.med, summary.p90, summary.p95, summary.p99].map(value => value.toFixed(2));
     
     rows.push([endpoint, stats.count, avg, min, max, p50, p90, p95, p99].join(','));
   });
@@ -2,114 +2,122 @@
 
 const fs = require('fs');
 const path = require('path');
+const { readK6Stream, describeReadIssues } = require('./k6-stream-reader');
+const { QuantileSketch } = require('./k6-quantiles');
+const { createPhaseAggregator, buildPhaseReport, displayPhaseReport, phaseMatrixCSV } = require('./k6-phase-analysis');
+const { createErrorAggregator, buildErrorBreakdown, displayErrorBreakdown, errorBreakdownCSV } = require('./k6-errors');
+const { createDiagnosticsAggregator, buildDiagnostics, displayDiagnostics } = require('./k6-diagnostics');
+const { gradeRun, displayGrades } = require('./k6-grading');
+const { createRunMetaAggregator, HTTP_METRICS, OVERALL } = require('./k6-run-stats');
 
-function analyzeK6StreamingResults(jsonFile) {
-  console.log(`🔍 Analyzing K6 Streaming Results: ${jsonFile}\n`);
-  
-  try {
-    const content = fs.readFileSync(jsonFile, 'utf8');
-    const lines = content.trim().split('\n');
-    
-    // Parse streaming JSON
-    const metrics = {};
-    const requests = [];
-    const checks = [];
-    
-    lines.forEach(line => {
-      try {
-        const data = JSON.parse(line);
-        
-        if (data.type === 'Metric') {
-          // Store metric definitions
-          metrics[data.metric] = data.data;
-        } else if (data.metric) {
-          // Store metric values
-          if (!metrics[data.metric]) {
-            metrics[data.metric] = { values: [] };
-          }
-          if (!metrics[data.metric].values) {
-            metrics[data.metric].values = [];
-          }
-          metrics[data.metric].values.push(data.data);
-        } else if (data.type === 'Point') {
-          // Store point data
-          if (!metrics[data.metric]) {
-            metrics[data.metric] = { values: [] };
-          }
-          if (!metrics[data.metric].values) {
-            metrics[data.metric].values = [];
-          }
-          metrics[data.metric].values.push(data.data);
-        } else if (data.type === 'Check') {
-          checks.push(data.data);
-        }
-      } catch (e) {
-        // Skip invalid JSON lines
+// Aggregator for readK6Stream: counters and one duration sketch per endpoint
+function createStreamingAggregator() {
+  const totals = {
+    requests: 0,
+    failed: { total: 0, count: 0 },
+    maxVUs: 0
+  };
+  const endpointStats = {};
+
+  return {
+    totals,
+    endpointStats,
+    onPoint(point) {
+      const endpoint = point.tags.endpoint || point.tags.name || 'Unknown';
+      const statsFor = () => endpointStats[endpoint] || (endpointStats[endpoint] = { durations: new QuantileSketch(), errors: 0 });
+
+      switch (point.metric) {
+        case 'http_reqs':
+          totals.requests++;
+          break;
+        case 'http_req_duration':
+          statsFor().durations.add(point.value);
+          break;
+        case 'http_req_failed':
+          totals.failed.total += point.value;
+          totals.failed.count++;
+          if (point.value === 1) statsFor().errors++;
+          break;
+        case 'vus':
+          totals.maxVUs = Math.max(totals.maxVUs, point.value);
+          break;
+      }
+    }
+  };
+}
+
+// Fold the per-file aggregators into one, merging duration sketches per endpoint
+function mergeAggregators(aggregators) {
+  const totals = { requests: 0, failed: { total: 0, count: 0 }, maxVUs: 0 };
+  const endpointStats = {};
+
+  aggregators.forEach(aggregator => {
+    totals.requests += aggregator.totals.requests;
+    totals.failed.total += aggregator.totals.failed.total;
+    totals.failed.count += aggregator.totals.failed.count;
+    totals.maxVUs = Math.max(totals.maxVUs, aggregator.totals.maxVUs);
+
+    Object.keys(aggregator.endpointStats).forEach(endpoint => {
+      const stats = aggregator.endpointStats[endpoint];
+      if (!endpointStats[endpoint]) {
+        endpointStats[endpoint] = { durations: new QuantileSketch(), errors: 0 };
       }
+      endpointStats[endpoint].durations.merge(stats.durations);
+      endpointStats[endpoint].errors += stats.errors;
     });
+  });
+
+  return { totals, endpointStats };
+}
+
+async function analyzeK6StreamingResults(jsonFiles) {
+  const files = Array.isArray(jsonFiles) ? jsonFiles : [jsonFiles];
+  console.log(`🔍 Analyzing K6 Streaming Results: ${files.join(', ')}\n`);
+  
+  try {
+    // Stream each NDJSON file (plain or gzipped) line by line
+    const aggregators = [];
+    // Phases are only comparable within one run, so the breakdown needs a single file
+    const phaseAggregator = files.length === 1 ? createPhaseAggregator() : null;
+    const errorAggregator = createErrorAggregator();
+    const diagnosticsAggregator = createDiagnosticsAggregator();
+    const metaAggregator = createRunMetaAggregator({ metrics: HTTP_METRICS });
+    for (const file of files) {
+      const aggregator = createStreamingAggregator();
+      const readStats = await readK6Stream(file, [aggregator, errorAggregator, diagnosticsAggregator, metaAggregator, ...(phaseAggregator ? [phaseAggregator] : [])]);
+      const readIssues = describeReadIssues(readStats);
+      if (readIssues) console.log(`${files.length > 1 ? `${file}: ` : ''}${readIssues}\n`);
+      aggregators.push(aggregator);
+    }
     
     // Calculate summary statistics
-    const httpReqs = metrics['http_reqs']?.values || [];
-    const httpReqDuration = metrics['http_req_duration']?.values || [];
-    const httpReqFailed = metrics['http_req_failed']?.values || [];
-    const vus = metrics['vus']?.values || [];
+    const { totals, endpointStats } = mergeAggregators(aggregators);
+    const overall = QuantileSketch.mergeAll(Object.values(endpointStats).map(stats => stats.durations));
+    const errorRate = totals.failed.count > 0 ? totals.failed.total / totals.failed.count * 100 : 0;
+    const avgResponseTime = overall.mean;
+    const p95ResponseTime = overall.quantile(0.95);
     
     console.log('📊 OVERALL TEST SUMMARY');
     console.log('='.repeat(50));
-    console.log(`Total Requests: ${httpReqs.length}`);
-    console.log(`Total Duration Points: ${httpReqDuration.length}`);
-    console.log(`Average Response Time: ${calculateAverage(httpReqDuration.map(d => d.value))}ms`);
-    console.log(`P95 Response Time: ${calculatePercentile(httpReqDuration.map(d => d.value), 95)}ms`);
-    console.log(`P99 Response Time: ${calculatePercentile(httpReqDuration.map(d => d.value), 99)}ms`);
-    console.log(`Error Rate: ${(calculateAverage(httpReqFailed.map(d => d.value)) * 100).toFixed(2)}%`);
-    console.log(`Max VUs: ${Math.max(...vus.map(d => d.value))}`);
+    console.log(`Total Requests: ${totals.requests}`);
+    console.log(`Total Duration Points: ${overall.count}`);
+    console.log(`Average Response Time: ${avgResponseTime.toFixed(2)}ms`);
+    console.log(`P95 Response Time: ${p95ResponseTime.toFixed(2)}ms`);
+    console.log(`P99 Response Time: ${overall.quantile(0.99).toFixed(2)}ms`);
+    console.log(`Error Rate: ${errorRate.toFixed(2)}%`);
+    console.log(`Max VUs: ${totals.maxVUs}`);
     
     // Analyze by endpoint
     console.log('\n📈 RESPONSE TIME BREAKDOWN BY ENDPOINT');
     console.log('='.repeat(80));
     
-    const endpointStats = {};
-    
-    // Group by endpoint
-    httpReqDuration.forEach(point => {
-      const endpoint = point.tags?.endpoint || point.tags?.name || 'Unknown';
-      const duration = point.value;
-      
-      if (!endpointStats[endpoint]) {
-        endpointStats[endpoint] = {
-          durations: [],
-          errors: 0
-        };
-      }
-      
-      endpointStats[endpoint].durations.push(duration);
-    });
-    
-    // Count errors by endpoint
-    httpReqFailed.forEach(point => {
-      if (point.value === 1) {
-        const endpoint = point.tags?.endpoint || point.tags?.name || 'Unknown';
-        if (endpointStats[endpoint]) {
-          endpointStats[endpoint].errors++;
-        }
-      }
-    });
-    
     // Calculate statistics for each endpoint
     Object.keys(endpointStats).forEach(endpoint => {
       const stats = endpointStats[endpoint];
-      const durations = stats.durations.sort((a, b) => a - b);
+      const { count, avg, min, max, med: p50, p90, p95, p99 } = stats.durations.summary();
       
-      if (durations.length === 0) return;
+      if (count === 0) return;
       
-      const count = durations.length;
-      const avg = durations.reduce((a, b) => a + b, 0) / count;
-      const p50 = calculatePercentile(durations, 50);
-      const p90 = calculatePercentile(durations, 90);
-      const p95 = calculatePercentile(durations, 95);
-      const p99 = calculatePercentile(durations, 99);
-      const min = Math.min(...durations);
-      const max = Math.max(...durations);
       const errorRate = (stats.errors / count * 100).toFixed(2);
       
       console.log(`\n🔗 ${endpoint}`);
@@ -121,80 +129,61 @@ function analyzeK6StreamingResults(jsonFile) {
       console.log(`   Errors: ${stats.errors} (${errorRate}%)`);
     });
     
-    // Performance insights
-    console.log('\n💡 PERFORMANCE INSIGHTS');
-    console.log('='.repeat(50));
-    
-    const avgResponseTime = calculateAverage(httpReqDuration.map(d => d.value));
-    const p95ResponseTime = calculatePercentile(httpReqDuration.map(d => d.value), 95);
-    const errorRate = calculateAverage(httpReqFailed.map(d => d.value)) * 100;
-    
-    if (avgResponseTime < 200) {
-      console.log('🟢 EXCELLENT: Average response time under 200ms');
-    } else if (avgResponseTime < 500) {
-      console.log('🟡 GOOD: Average response time under 500ms');
-    } else if (avgResponseTime < 1000) {
-      console.log('🟠 ACCEPTABLE: Average response time under 1s');
-    } else {
-      console.log('🔴 NEEDS IMPROVEMENT: Average response time over 1s');
-    }
-    
-    if (p95ResponseTime < 500) {
-      console.log('🟢 EXCELLENT: P95 response time under 500ms');
-    } else if (p95ResponseTime < 1000) {
-      console.log('🟡 GOOD: P95 response time under 1s');
-    } else {
-      console.log('🟠 ACCEPTABLE: P95 response time over 1s');
-    }
-    
-    if (errorRate < 1) {
-      console.log('🟢 EXCELLENT: Error rate under 1%');
-    } else if (errorRate < 5) {
-      console.log('🟡 GOOD: Error rate under 5%');
-    } else {
-      console.log('🔴 NEEDS IMPROVEMENT: Error rate over 5%');
-    }
+    // Status codes, k6 error codes and error bursts per endpoint
+    const errorBreakdown = buildErrorBreakdown(errorAggregator);
+    displayErrorBreakdown(errorBreakdown);
+    
+    // New connections, TLS cost and server vs. network time per host and endpoint
+    displayDiagnostics(buildDiagnostics(diagnosticsAggregator));
+    
+    // Phase x endpoint matrix, degradation vs. baseline and spike recovery
+    const phaseReport = phaseAggregator ? buildPhaseReport(phaseAggregator) : null;
+    displayPhaseReport(phaseReport);
+    
+    // Grades per grading-rubrics.json, from the same sketches as above
+    const gradeInput = (sketch, errors) => {
+      const { avg, med: p50, p90, p95, p99, max } = sketch.summary();
+      return { sketch, avg, p50, p90, p95, p99, max, errorRate: sketch.count > 0 ? errors / sketch.count * 100 : 0 };
+    };
+    const gradeInputs = { [OVERALL]: { ...gradeInput(overall, 0), errorRate } };
+    Object.keys(endpointStats)
+      .filter(endpoint => endpointStats[endpoint].durations.count > 0)
+      .forEach(endpoint => { gradeInputs[endpoint] = gradeInput(endpointStats[endpoint].durations, endpointStats[endpoint].errors); });
+    const scenario = process.env.SCENARIO || metaAggregator.result().scenarios.join(',');
+    displayGrades(gradeRun(gradeInputs, { scenario }));
     
     // Generate CSV for further analysis
-    const csvFile = jsonFile.replace('.json', '-detailed-analysis.csv');
+    const csvFile = files[0].replace(/\.json(\.gz)?$/, files.length > 1 ? '-merged-detailed-analysis.csv' : '-detailed-analysis.csv');
     generateCSV(endpointStats, csvFile);
     console.log(`\n📄 Detailed analysis saved to: ${csvFile}`);
     
+    const errorCsvFile = files[0].replace(/\.json(\.gz)?$/, files.length > 1 ? '-merged-errors.csv' : '-errors.csv');
+    fs.writeFileSync(errorCsvFile, errorBreakdownCSV(errorBreakdown));
+    console.log(`📄 Error breakdown saved to: ${errorCsvFile}`);
+    
+    if (phaseReport) {
+      const phaseCsvFile = files[0].replace(/\.json(\.gz)?$/, '-phase-matrix.csv');
+      fs.writeFileSync(phaseCsvFile, phaseMatrixCSV(phaseReport));
+      console.log(`📄 Phase matrix saved to: ${phaseCsvFile}`);
+    }
+    
   } catch (error) {
     console.error('❌ Error analyzing results:', error.message);
   }
 }
 
-function calculateAverage(values) {
-  if (values.length === 0) return 0;
-  return values.reduce((a, b) => a + b, 0) / values.length;
-}
-
-function calculatePercentile(values, percentile) {
-  if (values.length === 0) return 0;
-  const sorted = values.sort((a, b) => a - b);
-  const index = Math.ceil((percentile / 100) * sorted.length) - 1;
-  return sorted[Math.max(0, index)];
-}
-
 function generateCSV(endpointStats, filename) {
   const headers = ['Endpoint', 'Requests', 'Avg (ms)', 'Min (ms)', 'Max (ms)', 'P50 (ms)', 'P90 (ms)', 'P95 (ms)', 'P99 (ms)', 'Errors', 'Error Rate (%)'];
   const rows = [headers.join(',')];
   
   Object.keys(endpointStats).forEach(endpoint => {
     const stats = endpointStats[endpoint];
-    const durations = stats.durations.sort((a, b) => a - b);
-    
-    if (durations.length === 0) return;
-    
-    const count = durations.length;
-    const avg = (durations.reduce((a, b) => a + b, 0) / count).toFixed(2);
-    const min = Math.min(...durations).toFixed(2);
-    const max = Math.max(...durations).toFixed(2);
-    const p50 = calculatePercentile(durations, 50).toFixed(2);
-    const p90 = calculatePercentile(durations, 90).toFixed(2);
-    const p95 = calculatePercentile(durations, 95).toFixed(2);
-    const p99 = calculatePercentile(durations, 99).toFixed(2);
+    const summary = stats.durations.summary();
+    
+    if (summary.count === 0) return;
+    
+    const count = summary.count;
+    const [avg, min, max, p50, p90, p95, p99] = [summary.avg, summary.min, summary.max, summary.med, summary.p90, summary.p95, summary.p99].map(value => value.toFixed(2));
     const errorRate = (stats.errors / count * 100).toFixed(2);
     
     rows.push([endpoint, count, avg, min, max, p50, p90, p95, p99, stats.errors, errorRate].join(','));
@@ -203,17 +192,17 @@ function generateCSV(endpointStats, filename) {
   fs.writeFileSync(filename, rows.join('\n'));
 }
 
-function main() {
+async function main() {
   const args = process.argv.slice(2);
   
   if (args.length === 0) {
     console.log('🔍 K6 Streaming Results Analyzer');
-    console.log('Usage: node analyze-k6-streaming.js <json-file>');
+    console.log('Usage: node analyze-k6-streaming.js <json-file[.gz]> [more-json-files...]');
     console.log('\nAvailable result files:');
     
     const resultDir = './test-results';
     const files = fs.readdirSync(resultDir)
-      .filter(file => file.endsWith('.json') && file.startsWith('k6-results'))
+      .filter(file => /\.json(\.gz)?$/.test(file) && file.startsWith('k6-results'))
       .sort()
       .reverse(); // Most recent first
     
@@ -224,16 +213,17 @@ function main() {
     });
     
     console.log('\nExample: node analyze-k6-streaming.js test-results/k6-results-2025-09-12_15-32-09.json');
+    console.log('Merge runs: node analyze-k6-streaming.js test-results/k6-results-A.json test-results/k6-results-B.json.gz');
     return;
   }
   
-  const jsonFile = args[0];
-  if (!fs.existsSync(jsonFile)) {
-    console.error(`❌ File not found: ${jsonFile}`);
+  const missing = args.filter(file => !fs.existsSync(file));
+  if (missing.length > 0) {
+    console.error(`❌ File not found: ${missing.join(', ')}`);
     return;
   }
   
-  analyzeK6StreamingResults(jsonFile);
+  await analyzeK6StreamingResults(args);
 }
 
 if (require.main === module) {
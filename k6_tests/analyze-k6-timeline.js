@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * Timeline analysis of a k6 run
+ *
+ * Buckets the streamed Point data into fixed windows (1s, 10s, 1m...) so
+ * ramp-up effects and mid-run incidents show up instead of being averaged away:
+ * 1. Per window: RPS, p50/p95/p99, error rate, active VUs, dropped iterations
+ * 2. Broken down per endpoint and per phase
+ * 3. Written to CSV and JSON, with ASCII sparklines in the terminal
+ * 4. Latency vs. load across the windows, with the capacity knee (k6-load-curve.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readK6Stream, describeReadIssues } = require('./k6-stream-reader');
+const { QuantileSketch } = require('./k6-quantiles');
+const { analyzeLoadCurve, displayLoadCurve } = require('./k6-load-curve');
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const SPARK_WIDTH = Number(process.env.SPARK_WIDTH) || 60;
+const WINDOW_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+/**
+ * '10s' -> 10000, '1m' -> 60000, '500ms' -> 500
+ */
+function parseWindow(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h)?$/);
+  if (!match) {
+    throw new Error(`Invalid window "${value}" - use e.g. 1s, 10s or 1m`);
+  }
+  const windowMs = Number(match[1]) * WINDOW_UNITS[match[2] || 's'];
+  if (windowMs <= 0) {
+    throw new Error(`Window must be longer than 0, got "${value}"`);
+  }
+  return windowMs;
+}
+
+function createSeries() {
+  return {
+    requests: 0,
+    durations: new QuantileSketch(),
+    failed: { total: 0, count: 0 },
+    vus: 0,
+    droppedIterations: 0
+  };
+}
+
+/**
+ * Aggregator for readK6Stream: one set of series per window, keyed by the
+ * window's start time
+ * @param {number} windowMs
+ */
+function createTimelineAggregator(windowMs) {
+  const windows = new Map();
+
+  function windowAt(time) {
+    const start = Math.floor(Date.parse(time) / windowMs) * windowMs;
+    if (!windows.has(start)) {
+      windows.set(start, { start, overall: createSeries(), endpoints: {}, phases: {} });
+    }
+    return windows.get(start);
+  }
+
+  function seriesFor(group, name) {
+    return group[name] || (group[name] = createSeries());
+  }
+
+  return {
+    windows,
+    onPoint(point) {
+      if (!point.time) return;
+      const window = windowAt(point.time);
+      const phase = point.tags.phase || point.tags.scenario;
+      const targets = [window.overall];
+      if (point.tags.endpoint) targets.push(seriesFor(window.endpoints, point.tags.endpoint));
+      if (phase) targets.push(seriesFor(window.phases, phase));
+
+      switch (point.metric) {
+        case 'http_reqs':
+          targets.forEach(series => { series.requests++; });
+          break;
+        case 'http_req_duration':
+          targets.forEach(series => series.durations.add(point.value));
+          break;
+        case 'http_req_failed':
+          targets.forEach(series => {
+            series.failed.total += point.value;
+            series.failed.count++;
+          });
+          break;
+        case 'vus':
+          // Gauge without endpoint/phase tags: keep the window's peak
+          window.overall.vus = Math.max(window.overall.vus, point.value);
+          break;
+        case 'dropped_iterations':
+          targets.forEach(series => { series.droppedIterations += point.value; });
+          break;
+      }
+    }
+  };
+}
+
+function seriesStats(series, windowSeconds) {
+  const durations = series.durations.summary();
+  return {
+    requests: series.requests,
+    rps: Math.round(series.requests / windowSeconds * 100) / 100,
+    p50: Math.round(durations.med * 100) / 100,
+    p95: Math.round(durations.p95 * 100) / 100,
+    p99: Math.round(durations.p99 * 100) / 100,
+    errorRate: series.failed.count > 0 ? Math.round(series.failed.total / series.failed.count * 10000) / 100 : 0,
+    vus: series.vus,
+    droppedIterations: series.droppedIterations
+  };
+}
+
+function mapValues(object, fn) {
+  const result = {};
+  Object.keys(object).sort().forEach(key => { result[key] = fn(object[key]); });
+  return result;
+}
+
+/**
+ * Turn the aggregated windows into a plain, gap-free timeline
+ * @returns {{windowSeconds: number, start: string|null, windows: Object[]}}
+ */
+function buildTimeline(windows, windowMs) {
+  const windowSeconds = windowMs / 1000;
+  const starts = [...windows.keys()].sort((a, b) => a - b);
+  if (starts.length === 0) return { windowSeconds, start: null, windows: [] };
+
+  const first = starts[0];
+  const last = starts[starts.length - 1];
+  const timeline = [];
+
+  // Fill quiet windows (e.g. cool-downs between phases) so the timeline stays continuous
+  for (let start = first; start <= last; start += windowMs) {
+    const window = windows.get(start) || { overall: createSeries(), endpoints: {}, phases: {} };
+    timeline.push({
+      start: new Date(start).toISOString(),
+      offsetSeconds: (start - first) / 1000,
+      overall: seriesStats(window.overall, windowSeconds),
+      endpoints: mapValues(window.endpoints, series => seriesStats(series, windowSeconds)),
+      phases: mapValues(window.phases, series => seriesStats(series, windowSeconds))
+    });
+  }
+
+  return { windowSeconds, start: new Date(first).toISOString(), windows: timeline };
+}
+
+/**
+ * ASCII sparkline, squeezed to `width` columns by taking the max of each group
+ */
+function sparkline(values, width = SPARK_WIDTH) {
+  if (values.length === 0) return '';
+
+  const columns = [];
+  const perColumn = Math.max(1, Math.ceil(values.length / width));
+  for (let i = 0; i < values.length; i += perColumn) {
+    columns.push(values.slice(i, i + perColumn).reduce((max, value) => Math.max(max, value), 0));
+  }
+
+  const max = columns.reduce((highest, value) => Math.max(highest, value), 0);
+  if (max === 0) return SPARK_CHARS[0].repeat(columns.length);
+  return columns.map(value => SPARK_CHARS[Math.min(SPARK_CHARS.length - 1, Math.floor(value / max * (SPARK_CHARS.length - 1)))]).join('');
+}
+
+function seriesNames(timeline, group) {
+  const names = new Set();
+  timeline.windows.forEach(window => Object.keys(window[group]).forEach(name => names.add(name)));
+  return [...names].sort();
+}
+
+/**
+ * One row per window and series (overall, each endpoint, each phase),
+ * header row first; shared by the CSV output and the Excel export
+ */
+function timelineRows(timeline) {
+  const headers = ['Window Start', 'Offset (s)', 'Series', 'Name', 'Requests', 'RPS', 'P50 (ms)', 'P95 (ms)', 'P99 (ms)', 'Error Rate (%)', 'VUs', 'Dropped Iterations'];
+  const rows = [headers];
+
+  timeline.windows.forEach(window => {
+    const row = (series, name, stats) => [
+      window.start, window.offsetSeconds, series, name, stats.requests, stats.rps,
+      stats.p50, stats.p95, stats.p99, stats.errorRate, stats.vus, stats.droppedIterations
+    ];
+
+    rows.push(row('overall', 'all', window.overall));
+    Object.keys(window.endpoints).forEach(name => rows.push(row('endpoint', name, window.endpoints[name])));
+    Object.keys(window.phases).forEach(name => rows.push(row('phase', name, window.phases[name])));
+  });
+
+  return rows;
+}
+
+function timelineToCSV(timeline) {
+  return timelineRows(timeline)
+    .map((row, index) => (index === 0 ? row : row.map((value, column) => (column === 3 ? `"${value}"` : value))).join(','))
+    .join('\n');
+}
+
+function displayTimeline(timeline) {
+  const windows = timeline.windows;
+  const peak = (values) => values.reduce((max, value) => Math.max(max, value), 0);
+  const line = (label, values, unit) => {
+    console.log(`   ${label.padEnd(26)} ${sparkline(values)}  peak ${peak(values)}${unit}`);
+  };
+
+  console.log(`\n📈 TIMELINE (${windows.length} windows of ${timeline.windowSeconds}s from ${timeline.start})`);
+  console.log('='.repeat(80));
+  line('RPS', windows.map(w => w.overall.rps), '');
+  line('P95 (ms)', windows.map(w => w.overall.p95), 'ms');
+  line('P99 (ms)', windows.map(w => w.overall.p99), 'ms');
+  line('Error Rate (%)', windows.map(w => w.overall.errorRate), '%');
+  line('VUs', windows.map(w => w.overall.vus), '');
+  line('Dropped Iterations', windows.map(w => w.overall.droppedIterations), '');
+
+  const endpoints = seriesNames(timeline, 'endpoints');
+  if (endpoints.length > 0) {
+    console.log('\n🔗 P95 BY ENDPOINT');
+    endpoints.forEach(name => line(name.slice(0, 26), windows.map(w => (w.endpoints[name] ? w.endpoints[name].p95 : 0)), 'ms'));
+  }
+
+  const phases = seriesNames(timeline, 'phases');
+  if (phases.length > 0) {
+    console.log('\n🎬 P95 BY PHASE');
+    phases.forEach(name => line(name.slice(0, 26), windows.map(w => (w.phases[name] ? w.phases[name].p95 : 0)), 'ms'));
+    console.log('\n🎬 RPS BY PHASE');
+    phases.forEach(name => line(name.slice(0, 26), windows.map(w => (w.phases[name] ? w.phases[name].rps : 0)), ''));
+  }
+}
+
+async function analyzeK6Timeline(jsonFile, { window = '10s', load = 'vus', csvFile, jsonFile: jsonOutFile } = {}) {
+  console.log(`🔍 Building timeline for: ${jsonFile}`);
+
+  try {
+    const windowMs = parseWindow(window);
+    const aggregator = createTimelineAggregator(windowMs);
+    const readStats = await readK6Stream(jsonFile, aggregator);
+    const readIssues = describeReadIssues(readStats);
+    if (readIssues) console.log(readIssues);
+
+    const timeline = buildTimeline(aggregator.windows, windowMs);
+    if (timeline.windows.length === 0) {
+      console.log('❌ No timestamped points found');
+      return null;
+    }
+
+    displayTimeline(timeline);
+    const loadCurve = analyzeLoadCurve(timeline, { load });
+    displayLoadCurve(loadCurve);
+
+    const base = jsonFile.replace(/\.json(\.gz)?$/, '');
+    const csvPath = csvFile || `${base}-timeline.csv`;
+    const jsonPath = jsonOutFile || `${base}-timeline.json`;
+    fs.writeFileSync(csvPath, timelineToCSV(timeline));
+    fs.writeFileSync(jsonPath, JSON.stringify({ file: path.basename(jsonFile), ...timeline, loadCurve }, null, 2));
+
+    console.log(`\n📄 Timeline CSV saved to: ${csvPath}`);
+    console.log(`📄 Timeline JSON saved to: ${jsonPath}`);
+    return timeline;
+
+  } catch (error) {
+    console.error('❌ Error building timeline:', error.message);
+    return null;
+  }
+}
+
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.log('📈 K6 Timeline Analyzer');
+    console.log('Usage: node analyze-k6-timeline.js <json-file[.gz]> [--window 10s] [--load vus|rps] [--csv file] [--json file]');
+    console.log('Example: node analyze-k6-timeline.js test-results/k6-results-2025-09-12_15-32-09.json --window 1m');
+    console.log('\nWindows: 1s, 10s, 1m... (default 10s). Set SPARK_WIDTH to change the sparkline width.');
+    console.log('Load: the latency vs. load curve uses active VUs (default) or achieved RPS for arrival-rate tests.');
+    return;
+  }
+
+  const jsonFile = args[0];
+  if (!fs.existsSync(jsonFile)) {
+    console.error(`❌ File not found: ${jsonFile}`);
+    return;
+  }
+
+  await analyzeK6Timeline(jsonFile, {
+    window: optionValue(args, '--window') || '10s',
+    load: optionValue(args, '--load') || 'vus',
+    csvFile: optionValue(args, '--csv'),
+    jsonFile: optionValue(args, '--json')
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { analyzeK6Timeline, createTimelineAggregator, buildTimeline, timelineRows, timelineToCSV, sparkline, parseWindow };
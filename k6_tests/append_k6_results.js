@@ -1,5 +1,31 @@
 const fs = require('fs');
 const path = require('path');
+const { appendRuns, performanceRowRecord, parseCSVLine, legacyStats, HISTORY_FILE } = require('./k6-run-history');
+const { gradeRun } = require('./k6-grading');
+const { OVERALL } = require('./k6-run-stats');
+
+const HEADERS = "Timestamp,Flow Name,Test Type,Total Requests,Successful Requests,Failed Requests,Success Rate (%),Average Response Time (ms),Median Response Time (ms),P95 Response Time (ms),P99 Response Time (ms),Fastest Endpoint,Fastest Time (ms),Slowest Endpoint,Slowest Time (ms),Requests Per Second,Data Received (KB),Data Sent (KB),Performance Grade";
+
+// The row keyed by HEADERS
+function rowFields(row) {
+  const values = parseCSVLine(row);
+  const fields = {};
+  HEADERS.split(',').forEach((header, index) => { fields[header] = values[index]; });
+  return fields;
+}
+
+// Fill an empty Performance Grade from the row's own numbers (grading-rubrics.json)
+function withPerformanceGrade(row) {
+  const headers = HEADERS.split(',');
+  const values = parseCSVLine(row);
+  const gradeColumn = headers.indexOf('Performance Grade');
+  if (values[gradeColumn]) return row;
+
+  const fields = rowFields(row);
+  const { grade } = gradeRun({ [OVERALL]: legacyStats(fields) }, { scenario: fields['Flow Name'] })[OVERALL];
+  const withoutGrade = values.length > gradeColumn ? row.replace(/,(?:"")?$/, '') : row;
+  return `${withoutGrade},${grade || 'N/A'}`;
+}
 
 // Get the CSV row from command line arguments
 const csvRow = process.argv[2];
@@ -21,15 +47,24 @@ try {
   
   // Create CSV file with headers if it doesn't exist
   if (!fs.existsSync(csvFilePath)) {
-    const headers = "Timestamp,Flow Name,Test Type,Total Requests,Successful Requests,Failed Requests,Success Rate (%),Average Response Time (ms),Median Response Time (ms),P95 Response Time (ms),P99 Response Time (ms),Fastest Endpoint,Fastest Time (ms),Slowest Endpoint,Slowest Time (ms),Requests Per Second,Data Received (KB),Data Sent (KB),Performance Grade\n";
-    fs.writeFileSync(csvFilePath, headers);
+    fs.writeFileSync(csvFilePath, `${HEADERS}\n`);
     console.log(`📄 Created new K6 API performance CSV file: ${csvFilePath}`);
   }
   
   // Append the CSV row to the file
-  fs.appendFileSync(csvFilePath, csvRow + '\n');
+  const gradedRow = withPerformanceGrade(csvRow);
+  fs.appendFileSync(csvFilePath, gradedRow + '\n');
   console.log(`✅ K6 results automatically appended to: ${csvFilePath}`);
   
+  // Mirror the row into the run history index (a run already there is skipped)
+  const fields = rowFields(gradedRow);
+  const record = performanceRowRecord(fields, { resultsFile: path.basename(csvFilePath) });
+  if (!record) {
+    console.log(`⚠️  Not recorded in run history: unreadable timestamp "${fields.Timestamp}"`);
+  } else if (appendRuns([record]).added.length > 0) {
+    console.log(`📚 Recorded in run history: ${HISTORY_FILE}`);
+  }
+  
 } catch (error) {
   console.error(`❌ Failed to append to CSV: ${error.message}`);
   process.exit(1);
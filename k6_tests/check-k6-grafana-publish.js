@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the Grafana publisher (k6-grafana-api.js) against an in-memory Grafana
+ *
+ * No Grafana or network needed - the client gets a fake fetchImpl:
+ * 1. A first publish creates everything; the next two change nothing
+ * 2. A dashboard saved in the UI since the last publish is a conflict and
+ *    is left alone
+ * 3. With force the conflicting dashboard is updated, after which
+ *    publishing is a no-op again
+ * 4. A dry run reports the same plan but writes nothing
+ * The exit code is 1 when a check fails.
+ */
+
+const assert = require('assert');
+const { createGrafanaClient, publishToGrafana } = require('./k6-grafana-api');
+const { buildDashboard } = require('./k6-grafana-dashboard');
+
+const FOLDER = { uid: 'k6-load-tests', title: 'K6 Load Tests' };
+
+const DATASOURCE = {
+  uid: 'k6-influxdb',
+  name: 'InfluxDB',
+  type: 'influxdb',
+  access: 'proxy',
+  url: 'http://influxdb:8086',
+  database: 'k6_load_tests',
+  user: 'k6',
+  isDefault: true,
+  jsonData: { httpMode: 'GET' },
+  secureJsonData: { password: 'k6password' }
+};
+
+/**
+ * Just enough of the Grafana HTTP API for publishToGrafana, kept in memory.
+ * Like Grafana it adds fields of its own on save, bumps versions, hides
+ * datasource secrets and refuses a dashboard save against a stale version.
+ */
+function createFakeGrafana() {
+  const folders = {};
+  const datasources = {};
+  const dashboards = {};
+  const writes = [];
+  let nextId = 1;
+
+  const reply = (status, body) => ({
+    ok: status < 400,
+    status,
+    statusText: status < 400 ? 'OK' : 'Error',
+    text: async () => (body === undefined ? '' : JSON.stringify(body))
+  });
+  const notFound = () => reply(404, { message: 'Not found' });
+
+  function saveDashboard({ dashboard, folderUid, message, overwrite }, createdBy = 'publisher') {
+    const stored = dashboards[dashboard.uid];
+    if (stored && !overwrite && dashboard.version !== stored.dashboard.version) {
+      return reply(412, { message: 'The dashboard has been changed by someone else' });
+    }
+    const version = stored ? stored.dashboard.version + 1 : 1;
+    dashboards[dashboard.uid] = {
+      dashboard: { weekStart: '', ...dashboard, id: stored ? stored.dashboard.id : nextId++, version },
+      meta: { folderUid: folderUid || '' },
+      versions: [{ version, message: message || '', createdBy }, ...(stored ? stored.versions : [])]
+    };
+    return reply(200, { uid: dashboard.uid, version });
+  }
+
+  async function fetchImpl(url, { method, body }) {
+    const { pathname } = new URL(url);
+    const data = body === undefined ? undefined : JSON.parse(body);
+    if (method !== 'GET') writes.push(`${method} ${pathname}`);
+
+    let match;
+    if ((match = pathname.match(/^\/api\/folders\/([^/]+)$/))) {
+      const uid = decodeURIComponent(match[1]);
+      if (method === 'GET') return folders[uid] ? reply(200, folders[uid]) : notFound();
+      folders[uid] = { ...folders[uid], title: data.title, version: folders[uid].version + 1 };
+      return reply(200, folders[uid]);
+    }
+    if (pathname === '/api/folders') {
+      folders[data.uid] = { id: nextId++, uid: data.uid, title: data.title, version: 1 };
+      return reply(200, folders[data.uid]);
+    }
+    if ((match = pathname.match(/^\/api\/datasources\/uid\/([^/]+)$/))) {
+      const uid = decodeURIComponent(match[1]);
+      if (method === 'GET') {
+        if (!datasources[uid]) return notFound();
+        const { secureJsonData, ...visible } = datasources[uid];
+        return reply(200, { ...visible, secureJsonFields: { password: true } });
+      }
+      datasources[uid] = { ...data, version: datasources[uid].version + 1 };
+      return reply(200, { datasource: datasources[uid] });
+    }
+    if (pathname === '/api/datasources') {
+      datasources[data.uid] = { id: nextId++, orgId: 1, readOnly: false, ...data, version: 1 };
+      return reply(200, { datasource: datasources[data.uid] });
+    }
+    if ((match = pathname.match(/^\/api\/dashboards\/uid\/([^/]+)\/versions$/))) {
+      const stored = dashboards[decodeURIComponent(match[1])];
+      return stored ? reply(200, stored.versions.slice(0, 1)) : notFound();
+    }
+    if ((match = pathname.match(/^\/api\/dashboards\/uid\/([^/]+)$/))) {
+      const stored = dashboards[decodeURIComponent(match[1])];
+      return stored ? reply(200, { dashboard: stored.dashboard, meta: stored.meta }) : notFound();
+    }
+    if (pathname === '/api/dashboards/db') return saveDashboard(data);
+    return notFound();
+  }
+
+  return {
+    fetchImpl,
+    writes,
+    dashboard: uid => dashboards[uid] && dashboards[uid].dashboard,
+    // Someone changes the dashboard title in the Grafana UI
+    editInUI(uid, title) {
+      const { dashboard, meta } = dashboards[uid];
+      saveDashboard({ dashboard: { ...dashboard, title }, folderUid: meta.folderUid, message: '' }, 'admin');
+    }
+  };
+}
+
+function actions(results) {
+  const byResource = {};
+  results.forEach(result => { byResource[`${result.kind}:${result.uid}`] = result.action; });
+  return byResource;
+}
+
+function expectActions(results, expected) {
+  assert.deepStrictEqual(actions(results), expected);
+}
+
+/**
+ * Run every check against a fresh fake Grafana; resolves to
+ * [{ name, error }] with error null for a passed check
+ */
+async function runChecks() {
+  const grafana = createFakeGrafana();
+  const client = createGrafanaClient({ url: 'http://grafana.test', username: 'admin', password: 'admin', fetchImpl: grafana.fetchImpl });
+  const dashboard = buildDashboard();
+  const publish = (options = {}) => publishToGrafana(client, { folder: FOLDER, datasources: [DATASOURCE], dashboards: [dashboard], ...options });
+
+  const keys = {
+    folder: `folder:${FOLDER.uid}`,
+    datasource: `datasource:${DATASOURCE.uid}`,
+    dashboard: `dashboard:${dashboard.uid}`
+  };
+  const every = action => ({ [keys.folder]: action, [keys.datasource]: action, [keys.dashboard]: action });
+
+  // Counts the writes a step makes
+  const writesDuring = async step => {
+    const before = grafana.writes.length;
+    const results = await step();
+    return { results, writes: grafana.writes.slice(before) };
+  };
+
+  const checks = [
+    ['dry run against an empty Grafana plans creates and writes nothing', async () => {
+      const { results, writes } = await writesDuring(() => publish({ dryRun: true }));
+      expectActions(results, every('create'));
+      assert.deepStrictEqual(writes, []);
+    }],
+    ['first publish creates the folder, datasource and dashboard', async () => {
+      const { results, writes } = await writesDuring(() => publish());
+      expectActions(results, every('create'));
+      assert.strictEqual(writes.length, 3);
+    }],
+    ['publishing twice more changes nothing', async () => {
+      for (let run = 0; run < 2; run++) {
+        const { results, writes } = await writesDuring(() => publish());
+        expectActions(results, every('unchanged'));
+        assert.deepStrictEqual(writes, []);
+      }
+    }],
+    ['a dashboard edited in the UI is a conflict and left alone', async () => {
+      grafana.editInUI(dashboard.uid, 'Edited in the UI');
+      const { results, writes } = await writesDuring(() => publish());
+      expectActions(results, { ...every('unchanged'), [keys.dashboard]: 'conflict' });
+      assert.match(results.find(result => result.kind === 'dashboard').reason, /edited in Grafana/);
+      assert.deepStrictEqual(writes, []);
+      assert.strictEqual(grafana.dashboard(dashboard.uid).title, 'Edited in the UI');
+    }],
+    ['a forced dry run plans the update and writes nothing', async () => {
+      const { results, writes } = await writesDuring(() => publish({ dryRun: true, force: true }));
+      expectActions(results, { ...every('unchanged'), [keys.dashboard]: 'update' });
+      assert.deepStrictEqual(writes, []);
+    }],
+    ['force overwrites the UI edit', async () => {
+      const { results, writes } = await writesDuring(() => publish({ force: true }));
+      expectActions(results, { ...every('unchanged'), [keys.dashboard]: 'update' });
+      assert.deepStrictEqual(writes, ['POST /api/dashboards/db']);
+      assert.strictEqual(grafana.dashboard(dashboard.uid).title, dashboard.title);
+    }],
+    ['publishing after the forced update changes nothing', async () => {
+      const { results, writes } = await writesDuring(() => publish());
+      expectActions(results, every('unchanged'));
+      assert.deepStrictEqual(writes, []);
+    }]
+  ];
+
+  const outcomes = [];
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      outcomes.push({ name, error: null });
+    } catch (error) {
+      outcomes.push({ name, error });
+    }
+  }
+  return outcomes;
+}
+
+async function main() {
+  console.log('🔍 Checking the Grafana publisher against an in-memory Grafana');
+  const outcomes = await runChecks();
+
+  outcomes.forEach(({ name, error }) => {
+    console.log(`  ${error ? '❌' : '✅'} ${name}`);
+    if (error) console.log(`     ${error.message.split('\n').join('\n     ')}`);
+  });
+
+  const failed = outcomes.filter(outcome => outcome.error);
+  if (failed.length > 0) {
+    console.log(`\n❌ ${failed.length} of ${outcomes.length} check(s) failed`);
+    process.exitCode = 1;
+  } else {
+    console.log(`\n✅ All ${outcomes.length} checks passed`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createFakeGrafana, runChecks };
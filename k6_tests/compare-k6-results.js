@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+
+/**
+ * Run-to-run comparison for k6 results
+ *
+ * Compares one or more candidate runs against a reference run, per endpoint:
+ * 1. P50/P95/P99, error rate and throughput deltas
+ * 2. A significance verdict for every delta, so noise isn't reported as a
+ *    regression: Mann-Whitney U on sampled durations, a two-proportion
+ *    z-test on error rates
+ * 3. Console, Markdown and JSON output
+ *
+ * Accepts NDJSON results (plain or .gz) and summary exports. Summary exports
+ * have no samples, so their latency deltas are reported but not tested.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadRunStats, OVERALL } = require('./k6-run-stats');
+
+const DEFAULTS = {
+  // Significance level for both tests
+  alpha: Number(process.env.COMPARE_ALPHA || 0.05),
+  // Smallest P95 change (%) worth calling a regression or improvement
+  minChange: Number(process.env.COMPARE_MIN_CHANGE || 5),
+  // Smallest error rate change (percentage points) worth calling out
+  minErrorChange: Number(process.env.COMPARE_MIN_ERROR_CHANGE || 0.5)
+};
+
+// Abramowitz & Stegun 7.1.26, accurate to ~1.5e-7
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+function twoSidedPValue(z) {
+  return 1 - erf(Math.abs(z) / Math.SQRT2);
+}
+
+/**
+ * Mann-Whitney U test (normal approximation, tie-corrected)
+ * @returns {{u: number, z: number, pValue: number, probabilitySlower: number}|null}
+ *   probabilitySlower is P(candidate sample > reference sample)
+ */
+function mannWhitneyU(reference, candidate) {
+  const n1 = reference.length;
+  const n2 = candidate.length;
+  if (n1 < 3 || n2 < 3) return null;
+
+  const combined = reference.map(value => ({ value, group: 0 }))
+    .concat(candidate.map(value => ({ value, group: 1 })))
+    .sort((a, b) => a.value - b.value);
+
+  // Average ranks across ties, and collect tie sizes for the variance correction
+  let candidateRankSum = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < combined.length;) {
+    let j = i;
+    while (j + 1 < combined.length && combined[j + 1].value === combined[i].value) j++;
+    const rank = (i + j + 2) / 2;
+    for (let k = i; k <= j; k++) {
+      if (combined[k].group === 1) candidateRankSum += rank;
+    }
+    const ties = j - i + 1;
+    tieTerm += ties * ties * ties - ties;
+    i = j + 1;
+  }
+
+  const n = n1 + n2;
+  const u = candidateRankSum - n2 * (n2 + 1) / 2;
+  const mean = n1 * n2 / 2;
+  const variance = n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1)));
+  if (variance <= 0) return { u, z: 0, pValue: 1, probabilitySlower: 0.5 };
+
+  const z = (u - mean - Math.sign(u - mean) * 0.5) / Math.sqrt(variance);
+  return { u, z, pValue: twoSidedPValue(z), probabilitySlower: u / (n1 * n2) };
+}
+
+/**
+ * Two-proportion z-test on failed/total counts
+ */
+function twoProportionZ(reference, candidate) {
+  if (!reference || !candidate || reference.count === 0 || candidate.count === 0) return null;
+
+  const p1 = reference.total / reference.count;
+  const p2 = candidate.total / candidate.count;
+  const pooled = (reference.total + candidate.total) / (reference.count + candidate.count);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / reference.count + 1 / candidate.count));
+  if (standardError === 0) return { z: 0, pValue: 1 };
+
+  const z = (p2 - p1) / standardError;
+  return { z, pValue: twoSidedPValue(z) };
+}
+
+function percentChange(value, reference) {
+  if (value === null || reference === null || value === undefined || reference === undefined || reference === 0) return null;
+  return (value - reference) / reference * 100;
+}
+
+function latencyVerdict(test, p95Change, settings) {
+  if (p95Change === null) return 'n/a';
+  if (!test) return Math.abs(p95Change) >= settings.minChange ? 'untested' : 'unchanged';
+  if (test.pValue >= settings.alpha) return 'unchanged';
+  if (p95Change >= settings.minChange) return 'regression';
+  if (p95Change <= -settings.minChange) return 'improvement';
+  return 'unchanged';
+}
+
+function errorVerdict(test, errorRateChange, settings) {
+  if (errorRateChange === null) return 'n/a';
+  if (!test) return Math.abs(errorRateChange) >= settings.minErrorChange ? 'untested' : 'unchanged';
+  if (test.pValue >= settings.alpha || Math.abs(errorRateChange) < settings.minErrorChange) return 'unchanged';
+  return errorRateChange > 0 ? 'regression' : 'improvement';
+}
+
+function overallVerdict(latency, errors) {
+  if (latency === 'regression' || errors === 'regression') return 'regression';
+  if (latency === 'improvement' || errors === 'improvement') return 'improvement';
+  if (latency === 'untested' || errors === 'untested') return 'untested';
+  return 'unchanged';
+}
+
+function pickStats(stats) {
+  if (!stats) return null;
+  const { requests, rps, p50, p95, p99, errorRate } = stats;
+  return { requests, rps, p50, p95, p99, errorRate };
+}
+
+/**
+ * Compare one candidate run against the reference run
+ */
+function compareRuns(reference, candidate, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const names = Object.keys(reference.endpoints)
+    .filter(name => candidate.endpoints[name])
+    .sort((a, b) => (a === OVERALL) - (b === OVERALL) || a.localeCompare(b));
+
+  const endpoints = names.map(name => {
+    const before = reference.endpoints[name];
+    const after = candidate.endpoints[name];
+    const change = {
+      p50: percentChange(after.p50, before.p50),
+      p95: percentChange(after.p95, before.p95),
+      p99: percentChange(after.p99, before.p99),
+      rps: percentChange(after.rps, before.rps),
+      errorRate: after.errorRate !== null && before.errorRate !== null ? after.errorRate - before.errorRate : null
+    };
+
+    const latencyTest = before.samples && after.samples ? mannWhitneyU(before.samples, after.samples) : null;
+    const errorTest = twoProportionZ(before.failed, after.failed);
+    const latency = latencyVerdict(latencyTest, change.p95, settings);
+    const errors = errorVerdict(errorTest, change.errorRate, settings);
+
+    return {
+      endpoint: name,
+      reference: pickStats(before),
+      candidate: pickStats(after),
+      change,
+      latency: { test: latencyTest ? 'mann-whitney-u' : null, ...latencyTest, verdict: latency },
+      errors: { test: errorTest ? 'two-proportion-z' : null, ...errorTest, verdict: errors },
+      verdict: overallVerdict(latency, errors)
+    };
+  });
+
+  const count = verdict => endpoints.filter(row => row.endpoint !== OVERALL && row.verdict === verdict).length;
+  return {
+    reference: path.basename(reference.file),
+    candidate: path.basename(candidate.file),
+    settings,
+    endpoints,
+    missing: Object.keys(reference.endpoints).filter(name => !candidate.endpoints[name]),
+    added: Object.keys(candidate.endpoints).filter(name => !reference.endpoints[name]),
+    summary: { regressions: count('regression'), improvements: count('improvement'), unchanged: count('unchanged'), untested: count('untested') }
+  };
+}
+
+const VERDICT_ICONS = { regression: '🔴', improvement: '🟢', unchanged: '⚪', untested: '🟡', 'n/a': '⚪' };
+
+function formatMs(value) {
+  return value === null || value === undefined ? 'n/a' : `${value.toFixed(0)}ms`;
+}
+
+function formatChange(change, unit = '%') {
+  if (change === null || change === undefined) return '';
+  return `${change >= 0 ? '+' : ''}${change.toFixed(1)}${unit}`;
+}
+
+function formatP(test) {
+  if (!test || test.pValue === undefined) return 'not tested';
+  return test.pValue < 0.001 ? 'p<0.001' : `p=${test.pValue.toFixed(3)}`;
+}
+
+function displayComparison(comparison) {
+  console.log(`\n⚖️  ${comparison.candidate}  vs  ${comparison.reference}`);
+  console.log('='.repeat(80));
+
+  comparison.endpoints.forEach(row => {
+    const { reference: before, candidate: after, change } = row;
+    console.log(`\n${VERDICT_ICONS[row.verdict]} ${row.endpoint} - ${row.verdict.toUpperCase()}`);
+    console.log(`   P50: ${formatMs(before.p50)} → ${formatMs(after.p50)} ${formatChange(change.p50)}`);
+    console.log(`   P95: ${formatMs(before.p95)} → ${formatMs(after.p95)} ${formatChange(change.p95)}`);
+    console.log(`   P99: ${formatMs(before.p99)} → ${formatMs(after.p99)} ${formatChange(change.p99)}`);
+    console.log(`   Latency shift: ${row.latency.verdict} (${formatP(row.latency)}${row.latency.probabilitySlower !== undefined ? `, P(slower)=${(row.latency.probabilitySlower * 100).toFixed(0)}%` : ''})`);
+    if (before.errorRate !== null && after.errorRate !== null) {
+      console.log(`   Error rate: ${before.errorRate.toFixed(2)}% → ${after.errorRate.toFixed(2)}% ${formatChange(change.errorRate, 'pp')} - ${row.errors.verdict} (${formatP(row.errors)})`);
+    }
+    if (before.rps !== null && after.rps !== null) {
+      console.log(`   Throughput: ${before.rps.toFixed(2)} → ${after.rps.toFixed(2)} req/s ${formatChange(change.rps)}`);
+    }
+  });
+
+  if (comparison.missing.length > 0) console.log(`\n⚠️  Only in ${comparison.reference}: ${comparison.missing.join(', ')}`);
+  if (comparison.added.length > 0) console.log(`⚠️  Only in ${comparison.candidate}: ${comparison.added.join(', ')}`);
+
+  const summary = comparison.summary;
+  console.log(`\n📋 ${summary.regressions} regression(s), ${summary.improvements} improvement(s), ${summary.unchanged} unchanged${summary.untested ? `, ${summary.untested} untested` : ''}`);
+}
+
+function toMarkdown(comparisons) {
+  const lines = ['# k6 Run Comparison', ''];
+
+  comparisons.forEach(comparison => {
+    const { settings, summary } = comparison;
+    lines.push(`## \`${comparison.candidate}\` vs \`${comparison.reference}\``, '');
+    lines.push(`**${summary.regressions}** regression(s), **${summary.improvements}** improvement(s), ${summary.unchanged} unchanged${summary.untested ? `, ${summary.untested} untested` : ''} (α=${settings.alpha}, min P95 change ${settings.minChange}%, min error change ${settings.minErrorChange}pp)`, '');
+    lines.push('| Endpoint | Verdict | P50 | P95 | P99 | Latency test | Error rate | Throughput |');
+    lines.push('|----------|---------|-----|-----|-----|--------------|------------|------------|');
+
+    comparison.endpoints.forEach(row => {
+      const { reference: before, candidate: after, change } = row;
+      const cell = (key) => `${formatMs(before[key])} → ${formatMs(after[key])} ${formatChange(change[key])}`.trim();
+      const errors = before.errorRate !== null && after.errorRate !== null
+        ? `${before.errorRate.toFixed(2)}% → ${after.errorRate.toFixed(2)}% (${row.errors.verdict}, ${formatP(row.errors)})`
+        : 'n/a';
+      const throughput = before.rps !== null && after.rps !== null ? `${before.rps.toFixed(2)} → ${after.rps.toFixed(2)} req/s` : 'n/a';
+      lines.push(`| ${row.endpoint} | ${VERDICT_ICONS[row.verdict]} ${row.verdict} | ${cell('p50')} | ${cell('p95')} | ${cell('p99')} | ${row.latency.verdict}, ${formatP(row.latency)} | ${errors} | ${throughput} |`);
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+async function compareK6Results(files, options = {}) {
+  const runs = [];
+  for (const file of files) {
+    const run = await loadRunStats(file, options);
+    if (run.readIssues) console.log(`${path.basename(file)}: ${run.readIssues}`);
+    runs.push(run);
+  }
+
+  const [reference, ...candidates] = runs;
+  return candidates.map(candidate => compareRuns(reference, candidate, options));
+}
+
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const valueOptions = ['--markdown', '--json', '--alpha', '--min-change', '--min-error-change'];
+  const files = args.filter((arg, index) => !arg.startsWith('--') && !valueOptions.includes(args[index - 1]));
+
+  if (files.length < 2) {
+    console.log('⚖️  K6 Run Comparison');
+    console.log('Usage: node compare-k6-results.js <reference> <candidate> [more candidates...] [options]');
+    console.log('\nFiles can be NDJSON results (.json/.json.gz) or summary exports (--summary-export, handleSummary summary.json).');
+    console.log('Every candidate is compared against the first file.');
+    console.log('\nOptions:');
+    console.log('   --markdown <file>          Also write a Markdown report');
+    console.log('   --json <file>              Also write the full comparison as JSON');
+    console.log(`   --alpha <p>                Significance level (default ${DEFAULTS.alpha})`);
+    console.log(`   --min-change <pct>         Smallest P95 change to report (default ${DEFAULTS.minChange}%)`);
+    console.log(`   --min-error-change <pp>    Smallest error rate change to report (default ${DEFAULTS.minErrorChange}pp)`);
+    console.log('\nExample: node compare-k6-results.js test-results/k6-results-last-week.json test-results/k6-results-today.json --markdown comparison.md');
+    return;
+  }
+
+  const missing = files.filter(file => !fs.existsSync(file));
+  if (missing.length > 0) {
+    console.error(`❌ File not found: ${missing.join(', ')}`);
+    return;
+  }
+
+  const options = {};
+  if (optionValue(args, '--alpha')) options.alpha = Number(optionValue(args, '--alpha'));
+  if (optionValue(args, '--min-change')) options.minChange = Number(optionValue(args, '--min-change'));
+  if (optionValue(args, '--min-error-change')) options.minErrorChange = Number(optionValue(args, '--min-error-change'));
+
+  try {
+    console.log(`🔍 Comparing ${files.length - 1} run(s) against ${files[0]}`);
+    const comparisons = await compareK6Results(files, options);
+    comparisons.forEach(displayComparison);
+
+    const markdownFile = optionValue(args, '--markdown');
+    if (markdownFile) {
+      fs.writeFileSync(markdownFile, toMarkdown(comparisons));
+      console.log(`\n📄 Markdown report saved to: ${markdownFile}`);
+    }
+
+    const jsonFile = optionValue(args, '--json');
+    if (jsonFile) {
+      fs.writeFileSync(jsonFile, JSON.stringify({ generatedAt: new Date().toISOString(), comparisons }, null, 2));
+      console.log(`📄 JSON report saved to: ${jsonFile}`);
+    }
+  } catch (error) {
+    console.error('❌ Error comparing results:', error.message);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { compareK6Results, compareRuns, mannWhitneyU, twoProportionZ, toMarkdown, displayComparison };
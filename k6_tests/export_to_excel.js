@@ -2,141 +2,119 @@
 
 const fs = require('fs');
 const path = require('path');
+const { readK6Stream, describeReadIssues, endpointOf } = require('./k6-stream-reader');
+const { QuantileSketch } = require('./k6-quantiles');
+const { createPhaseAggregator, buildPhaseReport, displayPhaseReport, phaseMatrixRows, phaseMatrixCSV } = require('./k6-phase-analysis');
+const { createTimelineAggregator, buildTimeline, timelineRows, parseWindow } = require('./analyze-k6-timeline');
+const { createRunMetaAggregator, HTTP_METRICS, OVERALL } = require('./k6-run-stats');
+const { createErrorAggregator, buildErrorBreakdown, errorRows } = require('./k6-errors');
+const { createDiagnosticsAggregator, buildDiagnostics, displayDiagnostics, diagnosticsRows } = require('./k6-diagnostics');
+const { analyzeLoadCurve, displayLoadCurve, loadCurveRows } = require('./k6-load-curve');
+const { gradeRun, displayGrades } = require('./k6-grading');
+const { recordRun, HISTORY_FILE } = require('./k6-run-history');
+const { writeWorkbook, readWorkbook } = require('./k6-xlsx');
 
-// Function to parse k6 results and extract endpoint data
-function parseK6Results(jsonFilePath) {
-  try {
-    const fileContent = fs.readFileSync(jsonFilePath, 'utf8');
-    const lines = fileContent.trim().split('\n');
-    const metrics = lines.map(line => {
-      try {
-        return JSON.parse(line);
-      } catch (e) {
-        return null;
+const TIMING_METRICS = {
+  http_req_blocked: 'blocked',
+  http_req_connecting: 'connecting',
+  http_req_sending: 'sending',
+  http_req_waiting: 'waiting',
+  http_req_receiving: 'receiving'
+};
+
+function average(total, count, decimals = 0) {
+  const factor = Math.pow(10, decimals);
+  return count > 0 ? Math.round(total / count * factor) / factor : 0;
+}
+
+function createEndpointData() {
+  return {
+    requests: 0,
+    firstRequestTime: null,
+    lastRequestTime: null,
+    durations: new QuantileSketch(),
+    sampleDurations: [],
+    failed: { total: 0, count: 0 },
+    // byName: check name -> { passes, total }
+    checks: { passes: 0, total: 0, byName: {} },
+    timings: { blocked: { total: 0, count: 0 }, connecting: { total: 0, count: 0 }, sending: { total: 0, count: 0 }, waiting: { total: 0, count: 0 }, receiving: { total: 0, count: 0 } }
+  };
+}
+
+// Aggregator for readK6Stream: keeps counters and a duration sketch per
+// endpoint instead of every point with its tags
+function createExportAggregator() {
+  const endpointData = {};
+  const totals = { dataReceived: 0, dataSent: 0 };
+
+  return {
+    endpointData,
+    totals,
+    onPoint(point) {
+      // data_received/data_sent are per-iteration counters without endpoint tags
+      if (point.metric === 'data_received' && !point.tags.endpoint) {
+        totals.dataReceived += point.value;
+        return;
+      }
+      if (point.metric === 'data_sent' && !point.tags.endpoint) {
+        totals.dataSent += point.value;
+        return;
       }
-    }).filter(metric => metric !== null);
 
-    const endpointData = {};
-    
-    // Track global data metrics
-    let globalDataReceived = 0;
-    let globalDataSent = 0;
-    
+      const endpoint = endpointOf(point);
+      if (!endpoint) return;
 
+      if (!endpointData[endpoint]) endpointData[endpoint] = createEndpointData();
+      const data = endpointData[endpoint];
 
-    metrics.forEach(metric => {
-      // Handle check metrics separately since they don't have endpoint tags
-      if (metric.metric === 'checks' && metric.data && metric.data.tags && metric.data.tags.check) {
-        const checkName = metric.data.tags.check;
-        let checkEndpoint = 'Unknown';
-        
-        // Try to extract endpoint from check name (e.g., "Device Information - status is 200")
-        if (checkName && checkName.includes(' - ')) {
-          checkEndpoint = checkName.split(' - ')[0];
-        }
-        
-        // Initialize endpoint data if it doesn't exist
-        if (!endpointData[checkEndpoint]) {
-          endpointData[checkEndpoint] = {
-            requests: [],
-            durations: [],
-            checks: [],
-            blocked: [],
-            connecting: [],
-            sending: [],
-            waiting: [],
-            receiving: [],
-            dataReceived: [],
-            dataSent: []
-          };
-        }
-        
-        endpointData[checkEndpoint].checks.push({ 
-          value: metric.data.value, 
-          time: metric.data.time, 
-          check: checkName 
-        });
-        
-      } else if (metric.data && metric.data.tags && metric.data.tags.endpoint) {
-        // Handle metrics that have endpoint tags
-        const endpoint = metric.data.tags.endpoint;
-        const metricType = metric.metric;
-        const value = metric.data.value;
-        const time = metric.data.time;
-        
-        if (!endpointData[endpoint]) {
-          endpointData[endpoint] = {
-            requests: [],
-            durations: [],
-            checks: [],
-            blocked: [],
-            connecting: [],
-            sending: [],
-            waiting: [],
-            receiving: [],
-            dataReceived: [],
-            dataSent: []
-          };
-        }
-        
-        // Categorize metrics by type
-        switch (metricType) {
-          case 'http_reqs':
-            endpointData[endpoint].requests.push({ value, time, tags: metric.data.tags });
-            break;
-          case 'http_req_duration':
-            endpointData[endpoint].durations.push({ value, time, tags: metric.data.tags });
-            break;
-          case 'http_req_blocked':
-            endpointData[endpoint].blocked.push({ value, time, tags: metric.data.tags });
-            break;
-          case 'http_req_connecting':
-            endpointData[endpoint].connecting.push({ value, time, tags: metric.data.tags });
-            break;
-          case 'http_req_sending':
-            endpointData[endpoint].sending.push({ value, time, tags: metric.data.tags });
-            break;
-          case 'http_req_waiting':
-            endpointData[endpoint].waiting.push({ value, time, tags: metric.data.tags });
-            break;
-          case 'http_req_receiving':
-            endpointData[endpoint].receiving.push({ value, time, tags: metric.data.tags });
-            break;
-          case 'data_received':
-            endpointData[endpoint].dataReceived.push({ value, time, tags: metric.data.tags });
-            break;
-          case 'data_sent':
-            endpointData[endpoint].dataSent.push({ value, time, tags: metric.data.tags });
-            break;
-        }
-      } else if (metric.metric === 'data_received' || metric.metric === 'data_sent') {
-        // Capture global data metrics (not endpoint-specific)
-        if (metric.metric === 'data_received') {
-          globalDataReceived = metric.data.value;
-        } else if (metric.metric === 'data_sent') {
-          globalDataSent = metric.data.value;
-        }
+      // Categorize metrics by type
+      if (point.metric === 'http_reqs') {
+        data.requests++;
+        if (!data.firstRequestTime) data.firstRequestTime = point.time;
+        data.lastRequestTime = point.time;
+      } else if (point.metric === 'http_req_duration') {
+        data.durations.add(point.value);
+        if (data.sampleDurations.length < 5) data.sampleDurations.push(point.value);
+      } else if (point.metric === 'http_req_failed') {
+        data.failed.total += point.value;
+        data.failed.count++;
+      } else if (point.metric === 'checks') {
+        data.checks.total++;
+        if (point.value === 1) data.checks.passes++;
+        const name = point.tags.check || 'unnamed';
+        const check = data.checks.byName[name] || (data.checks.byName[name] = { passes: 0, total: 0 });
+        check.total++;
+        if (point.value === 1) check.passes++;
+      } else if (TIMING_METRICS[point.metric]) {
+        const timing = data.timings[TIMING_METRICS[point.metric]];
+        timing.total += point.value;
+        timing.count++;
       }
-    });
-    
+    }
+  };
+}
+
+// Function to parse k6 results and extract endpoint data.
+// extraAggregators (e.g. the phase breakdown) are fed from the same pass over the file.
+async function parseK6Results(jsonFilePath, extraAggregators = []) {
+  try {
+    const aggregator = createExportAggregator();
+    const readStats = await readK6Stream(jsonFilePath, [aggregator, ...extraAggregators]);
+    const readIssues = describeReadIssues(readStats);
+    if (readIssues) console.log(readIssues);
+
+    const endpointData = aggregator.endpointData;
+
     // Distribute global data metrics across endpoints proportionally
-    const totalEndpoints = Object.keys(endpointData).length;
-    if (totalEndpoints > 0) {
+    const totalRequests = Object.values(endpointData).reduce((sum, data) => sum + data.requests, 0);
+    if (totalRequests > 0) {
       Object.keys(endpointData).forEach(endpoint => {
-        const endpointRequests = endpointData[endpoint].requests.length;
-        const totalRequests = Object.values(endpointData).reduce((sum, data) => sum + data.requests.length, 0);
-        
-        if (totalRequests > 0) {
-          // Calculate proportional data for this endpoint
-          const proportion = endpointRequests / totalRequests;
-          endpointData[endpoint].globalDataReceived = Math.round(globalDataReceived * proportion);
-          endpointData[endpoint].globalDataSent = Math.round(globalDataSent * proportion);
-        }
+        const proportion = endpointData[endpoint].requests / totalRequests;
+        endpointData[endpoint].globalDataReceived = Math.round(aggregator.totals.dataReceived * proportion);
+        endpointData[endpoint].globalDataSent = Math.round(aggregator.totals.dataSent * proportion);
       });
     }
-    
 
-    
     return endpointData;
     
   } catch (error) {
@@ -146,227 +124,396 @@ function parseK6Results(jsonFilePath) {
 }
 
 // Function to calculate statistics for an endpoint
-function calculateEndpointStats(endpoint, data) {
-  const durations = data.durations.map(d => d.value);
-  const sortedDurations = durations.sort((a, b) => a - b);
+function calculateEndpointStats(endpoint, data, capacity) {
+  const durations = data.durations.summary();
   
   // Calculate actual test duration from timestamps
   let testDuration = 0;
-  if (data.requests.length > 0) {
-    const startTime = new Date(data.requests[0].time);
-    const endTime = new Date(data.requests[data.requests.length - 1].time);
+  if (data.requests > 0) {
+    const startTime = new Date(data.firstRequestTime);
+    const endTime = new Date(data.lastRequestTime);
     testDuration = Math.max(1, (endTime - startTime) / 1000); // Convert to seconds, minimum 1 second
   }
   
-  // Calculate load correlation metrics using built-in k6 data
-  let peakRequestRate = 0;
+  // Peak load from the latency vs. load curve (see k6-load-curve.js): the
+  // highest level of active VUs, its windowed RPS and its P95
+  let peakRequestRate = data.requests > 0 ? Math.round((data.requests / testDuration) * 10) / 10 : 0; // Round to 1 decimal
   let responseTimeAtPeak = 0;
   let maxLoadLevel = 0;
   
-  // Extract load level from tags if available
-  if (data.requests.length > 0) {
-    const loadLevels = data.requests
-      .map(r => r.tags?.load_level)
-      .filter(level => level !== undefined)
-      .map(level => parseInt(level));
-    
-    if (loadLevels.length > 0) {
-      maxLoadLevel = Math.max(...loadLevels);
-      
-      // Find response times during peak load
-      const peakLoadDurations = data.durations
-        .filter(d => d.tags?.load_level === maxLoadLevel.toString())
-        .map(d => d.value);
-      
-      if (peakLoadDurations.length > 0) {
-        responseTimeAtPeak = Math.round(
-          peakLoadDurations.reduce((sum, val) => sum + val, 0) / peakLoadDurations.length
-        );
-      }
-    }
+  if (capacity && capacity.levels.length > 0) {
+    const peak = capacity.levels[capacity.levels.length - 1];
+    maxLoadLevel = Math.round(peak.load);
+    responseTimeAtPeak = Math.round(peak.latency);
+    peakRequestRate = Math.round(Math.max(...capacity.levels.map(level => level.rps)) * 10) / 10;
   }
   
-  // Calculate peak request rate from request count and actual test duration
-  peakRequestRate = Math.round((data.requests.length / testDuration) * 10) / 10; // Round to 1 decimal
-  
   return {
     endpoint: endpoint,
     dateTime: new Date().toISOString(),
-    totalRequests: data.requests.length,
-    successRate: data.checks.length > 0 ? 
-      (data.checks.filter(c => c.value === 1).length / data.checks.length * 100).toFixed(1) : 0,
-    minResponseTime: Math.round(Math.min(...durations) || 0),
-    maxResponseTime: Math.round(Math.max(...durations) || 0),
-    avgResponseTime: Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length || 0),
-    medianResponseTime: Math.round(sortedDurations[Math.floor(sortedDurations.length / 2)] || 0),
-    p95ResponseTime: Math.round(sortedDurations[Math.floor(sortedDurations.length * 0.95)] || 0),
-    p99ResponseTime: Math.round(sortedDurations[Math.floor(sortedDurations.length * 0.99)] || 0),
-
-    avgBlockedTime: data.blocked.length > 0 ? Math.round(data.blocked.reduce((sum, b) => sum + b.value, 0) / data.blocked.length * 100) / 100 : 0,
-    avgConnectingTime: data.connecting.length > 0 ? Math.round(data.connecting.reduce((sum, c) => sum + c.value, 0) / data.connecting.length * 100) / 100 : 0,
-    avgSendingTime: data.sending.length > 0 ? Math.round(data.sending.reduce((sum, s) => sum + s.value, 0) / data.sending.length * 100) / 100 : 0,
-    avgWaitingTime: data.waiting.length > 0 ? Math.round(data.waiting.reduce((sum, w) => sum + w.value, 0) / data.waiting.length * 100) / 100 : 0,
-    avgReceivingTime: data.receiving.length > 0 ? Math.round(data.receiving.reduce((sum, r) => sum + r.value, 0) / data.receiving.length * 100) / 100 : 0,
+    totalRequests: data.requests,
+    successRate: data.checks.total > 0 ? 
+      (data.checks.passes / data.checks.total * 100).toFixed(1) : 0,
+    minResponseTime: Math.round(durations.min),
+    maxResponseTime: Math.round(durations.max),
+    avgResponseTime: Math.round(durations.avg),
+    medianResponseTime: Math.round(durations.med),
+    p95ResponseTime: Math.round(durations.p95),
+    p99ResponseTime: Math.round(durations.p99),
+
+    avgBlockedTime: average(data.timings.blocked.total, data.timings.blocked.count, 2),
+    avgConnectingTime: average(data.timings.connecting.total, data.timings.connecting.count, 2),
+    avgSendingTime: average(data.timings.sending.total, data.timings.sending.count, 2),
+    avgWaitingTime: average(data.timings.waiting.total, data.timings.waiting.count, 2),
+    avgReceivingTime: average(data.timings.receiving.total, data.timings.receiving.count, 2),
     totalDataReceivedKB: Math.round((data.globalDataReceived || 0) / 1024),
     totalDataSentKB: Math.round((data.globalDataSent || 0) / 1024),
-    requestsPerSecond: (data.requests.length / testDuration).toFixed(2), // Actual test duration
+    requestsPerSecond: data.requests > 0 ? (data.requests / testDuration).toFixed(2) : '0.00', // Actual test duration
     peakRequestRate: peakRequestRate,
     responseTimeAtPeak: responseTimeAtPeak,
     maxLoadLevel: maxLoadLevel
   };
 }
 
+// Endpoint columns shared by the CSV output and the Endpoints/Trends sheets
+const ENDPOINT_COLUMNS = [
+  ['Endpoint', 'endpoint'],
+  ['Date/Time', 'dateTime'],
+  ['Total Requests', 'totalRequests'],
+  ['Success Rate (%)', 'successRate'],
+  ['Min Response Time (ms)', 'minResponseTime'],
+  ['Max Response Time (ms)', 'maxResponseTime'],
+  ['Avg Response Time (ms)', 'avgResponseTime'],
+  ['Median Response Time (ms)', 'medianResponseTime'],
+  ['P95 Response Time (ms)', 'p95ResponseTime'],
+  ['P99 Response Time (ms)', 'p99ResponseTime'],
+  ['Avg Blocked Time (ms)', 'avgBlockedTime'],
+  ['Avg Connecting Time (ms)', 'avgConnectingTime'],
+  ['Avg Sending Time (ms)', 'avgSendingTime'],
+  ['Avg Waiting Time (ms)', 'avgWaitingTime'],
+  ['Avg Receiving Time (ms)', 'avgReceivingTime'],
+  ['Total Data Received (KB)', 'totalDataReceivedKB'],
+  ['Total Data Sent (KB)', 'totalDataSentKB'],
+  ['Requests Per Second', 'requestsPerSecond'],
+  ['Peak Request Rate (RPS)', 'peakRequestRate'],
+  ['Response Time at Peak (ms)', 'responseTimeAtPeak'],
+  ['Max Load Level (VUs)', 'maxLoadLevel']
+];
+
+// Workbook-only columns: the legacy CSV keeps its layout so --csv --append
+// still lines up with the existing file
+const GRADE_COLUMNS = [
+  ['Apdex', 'apdex'],
+  ['Apdex T (ms)', 'apdexT'],
+  ['Grade', 'grade'],
+  ['Grade Reasons', 'gradeReasons']
+];
+const TEXT_KEYS = ['endpoint', 'grade', 'gradeReasons'];
+
+// Columns of the keyed Trends sheet: run identity first, then the endpoint stats
+const TRENDS_HEADERS = ['Run ID', 'Run Start', 'Scenario', 'Environment', 'Exported At',
+  ...[...ENDPOINT_COLUMNS, ...GRADE_COLUMNS].filter(([, key]) => key !== 'dateTime').map(([header]) => header)];
+
+const TRENDS_FILE = 'k6-api-metrics-trends.xlsx';
+const LEGACY_TRENDS_FILE = 'k6-api-metrics-trends.csv';
+
+function csvRow(stats) {
+  return ENDPOINT_COLUMNS.map(([, key]) => `"${stats[key]}"`).join(',');
+}
+
 // Function to create CSV content
 function createCSV(endpointStats) {
-  const headers = [
-    'Endpoint',
-    'Date/Time',
-    'Total Requests',
-    'Success Rate (%)',
-    'Min Response Time (ms)',
-    'Max Response Time (ms)',
-    'Avg Response Time (ms)',
-    'Median Response Time (ms)',
-    'P95 Response Time (ms)',
-    'P99 Response Time (ms)',
-    'Avg Blocked Time (ms)',
-    'Avg Connecting Time (ms)',
-    'Avg Sending Time (ms)',
-    'Avg Waiting Time (ms)',
-    'Avg Receiving Time (ms)',
-    'Total Data Received (KB)',
-    'Total Data Sent (KB)',
-    'Requests Per Second',
-    'Peak Request Rate (RPS)',
-    'Response Time at Peak (ms)',
-    'Max Load Level (VUs)'
+  const headers = ENDPOINT_COLUMNS.map(([header]) => `"${header}"`).join(',');
+  return [headers, ...Object.values(endpointStats).map(csvRow)].join('\n');
+}
+
+// successRate and requestsPerSecond are formatted strings for the CSV; the
+// workbook gets them as numbers
+function endpointCells(stats) {
+  return [...ENDPOINT_COLUMNS, ...GRADE_COLUMNS]
+    .filter(([, key]) => key !== 'dateTime')
+    .map(([, key]) => {
+      if (stats[key] === null || stats[key] === undefined) return null;
+      return TEXT_KEYS.includes(key) ? stats[key] : Number(stats[key]);
+    });
+}
+
+// Stats in the shape k6-grading.js expects, from a duration sketch and failed-request counts
+function gradeInput(durations, failed) {
+  const { avg, med: p50, p90, p95, p99, max } = durations.summary();
+  return { sketch: durations, avg, p50, p90, p95, p99, max, errorRate: failed.count > 0 ? failed.total / failed.count * 100 : null };
+}
+
+// Apdex and grade columns for one endpoint
+function gradeFields(result) {
+  return {
+    apdex: result.apdex ? result.apdex.score : null,
+    apdexT: result.apdexT,
+    grade: result.grade,
+    gradeReasons: result.reasons.join('; ')
+  };
+}
+
+function dateOrNull(value) {
+  return value ? new Date(value) : null;
+}
+
+function runIdOf(meta, jsonFilePath) {
+  if (meta.runId) return meta.runId;
+  return meta.startTime ? meta.startTime.replace(/[:.]/g, '-') : path.basename(jsonFilePath);
+}
+
+/**
+ * Sheets for one run: Summary, Endpoints, Phases, Timeline, Checks, Errors, Diagnostics and Load Curve
+ */
+function createRunSheets({ run, jsonFilePath, exportedAt, endpointData, endpointStats, phaseReport, timeline, errors, diagnostics, loadCurve, grades }) {
+  const stats = Object.values(endpointStats);
+  const data = Object.values(endpointData);
+  const totalRequests = stats.reduce((sum, entry) => sum + entry.totalRequests, 0);
+  const checksTotal = data.reduce((sum, entry) => sum + entry.checks.total, 0);
+  const checksPassed = data.reduce((sum, entry) => sum + entry.checks.passes, 0);
+  const overall = QuantileSketch.mergeAll(data.map(entry => entry.durations)).summary();
+  const round = value => (Number.isFinite(value) ? Math.round(value * 100) / 100 : null);
+  const capacity = loadCurve.endpoints[OVERALL];
+  const grade = grades[OVERALL];
+
+  const summary = [
+    ['Field', 'Value'],
+    ['Run ID', run.runId],
+    ['Scenario', run.scenario || null],
+    ['Environment', run.environment || null],
+    ['Results File', path.basename(jsonFilePath)],
+    ['Start', dateOrNull(run.startTime)],
+    ['End', dateOrNull(run.endTime)],
+    ['Duration (s)', round(run.durationSeconds)],
+    ['Endpoints', stats.length],
+    ['Total Requests', totalRequests],
+    ['Requests Per Second', run.durationSeconds > 0 ? round(totalRequests / run.durationSeconds) : null],
+    ['Avg Response Time (ms)', round(overall.avg)],
+    ['P95 Response Time (ms)', round(overall.p95)],
+    ['P99 Response Time (ms)', round(overall.p99)],
+    ['Checks', checksTotal],
+    ['Check Pass Rate (%)', checksTotal > 0 ? round(checksPassed / checksTotal * 100) : null],
+    ['Total Data Received (KB)', stats.reduce((sum, entry) => sum + entry.totalDataReceivedKB, 0)],
+    ['Total Data Sent (KB)', stats.reduce((sum, entry) => sum + entry.totalDataSentKB, 0)],
+    ['Grade', grade.grade],
+    ['Apdex', grade.apdex ? grade.apdex.score : null],
+    ['Apdex T (ms)', grade.apdexT],
+    ['Grade Reasons', grade.reasons.join('; ')],
+    ['Knee (VUs)', capacity.knee ? capacity.knee.load : null],
+    [capacity.lowerBound ? 'Sustainable RPS (at least)' : 'Sustainable RPS', round(capacity.sustainableRps)],
+    ['Exported At', exportedAt]
   ];
-  
-  const rows = Object.values(endpointStats).map(stats => [
-    stats.endpoint,
-    stats.dateTime,
-    stats.totalRequests,
-    stats.successRate,
-    stats.minResponseTime,
-    stats.maxResponseTime,
-    stats.avgResponseTime,
-    stats.medianResponseTime,
-    stats.p95ResponseTime,
-    stats.p99ResponseTime,
-    stats.avgBlockedTime,
-    stats.avgConnectingTime,
-    stats.avgSendingTime,
-    stats.avgWaitingTime,
-    stats.avgReceivingTime,
-    stats.totalDataReceivedKB,
-    stats.totalDataSentKB,
-    stats.requestsPerSecond,
-    stats.peakRequestRate,
-    stats.responseTimeAtPeak,
-    stats.maxLoadLevel
-  ]);
-  
-  return [headers, ...rows].map(row => 
-    row.map(field => `"${field}"`).join(',')
-  ).join('\n');
+
+  const endpoints = [
+    ['Run ID', ...TRENDS_HEADERS.slice(5)],
+    ...stats.map(entry => [run.runId, ...endpointCells(entry)])
+  ];
+
+  const [phaseHeaders, ...phaseRows] = phaseMatrixRows(phaseReport);
+  const phases = [['Run ID', ...phaseHeaders], ...phaseRows.map(row => [run.runId, ...row])];
+
+  // Window Start becomes a real date cell so Excel can chart against it
+  const [timelineHeaders, ...windowRows] = timelineRows(timeline);
+  const timelineSheet = [['Run ID', ...timelineHeaders], ...windowRows.map(([start, ...rest]) => [run.runId, new Date(start), ...rest])];
+
+  const checks = [['Run ID', 'Check', 'Endpoint', 'Passes', 'Fails', 'Pass Rate (%)']];
+  Object.keys(endpointData).sort().forEach(endpoint => {
+    const byName = endpointData[endpoint].checks.byName;
+    Object.keys(byName).sort().forEach(name => {
+      const check = byName[name];
+      checks.push([run.runId, name, endpoint, check.passes, check.total - check.passes, round(check.passes / check.total * 100)]);
+    });
+  });
+
+  // First Seen / Last Seen become date cells
+  const [errorHeaders, ...errorDetails] = errorRows(errors);
+  const dateColumns = [errorHeaders.indexOf('First Seen'), errorHeaders.indexOf('Last Seen')];
+  const errorSheet = [['Run ID', ...errorHeaders], ...errorDetails.map(row => [run.runId, ...row.map((value, column) => dateColumns.includes(column) && value ? new Date(value) : value)])];
+
+  return [
+    { name: 'Summary', rows: summary },
+    { name: 'Endpoints', rows: endpoints },
+    { name: 'Phases', rows: phases },
+    { name: 'Timeline', rows: timelineSheet },
+    { name: 'Checks', rows: checks },
+    { name: 'Errors', rows: errorSheet },
+    { name: 'Diagnostics', rows: diagnosticsRows(diagnostics).map((row, index) => [index === 0 ? 'Run ID' : run.runId, ...row]) },
+    { name: 'Load Curve', rows: loadCurveRows(loadCurve).map((row, index) => [index === 0 ? 'Run ID' : run.runId, ...row]) }
+  ];
+}
+
+/**
+ * Rows of the Trends sheet after adding this run. Rows are keyed by Run ID and
+ * Endpoint: exporting the same run again replaces its rows instead of
+ * duplicating them. Existing rows are matched by header name, so columns added
+ * later simply stay empty for older runs.
+ */
+function mergeTrendsRows(existingRows, run, exportedAt, endpointStats) {
+  const rows = [TRENDS_HEADERS];
+
+  if (existingRows && existingRows.length > 0) {
+    const [headers, ...previous] = existingRows;
+    const columnOf = TRENDS_HEADERS.map(header => headers.indexOf(header));
+    previous.forEach(row => {
+      const mapped = columnOf.map(index => (index === -1 || row[index] === undefined ? null : row[index]));
+      if (mapped[0] !== null && mapped[0] !== run.runId) rows.push(mapped);
+    });
+  }
+
+  Object.values(endpointStats).forEach(stats => {
+    rows.push([run.runId, dateOrNull(run.startTime), run.scenario || null, run.environment || null, exportedAt, ...endpointCells(stats)]);
+  });
+
+  return rows;
 }
 
-// Function to export to Excel (CSV format that Excel can open)
-function exportToExcel(jsonFilePath, outputDir, appendMode = false) {
+function writeLegacyCSV(endpointStats, outputDir, appendMode, exportTimestamp, phaseReport) {
+  const fileName = appendMode ? LEGACY_TRENDS_FILE : `k6-api-metrics-${exportTimestamp}.csv`;
+  const filePath = path.join(outputDir, fileName);
+
+  if (appendMode && fs.existsSync(filePath)) {
+    console.log(`📝 Appending to existing trends file: ${fileName}`);
+    // Combine existing content with new rows, adding empty line between runs
+    const existingContent = fs.readFileSync(filePath, 'utf8');
+    fs.writeFileSync(filePath, existingContent + '\n\n' + Object.values(endpointStats).map(csvRow).join('\n'), 'utf8');
+  } else {
+    console.log(`🆕 Creating new ${appendMode ? 'trends' : 'results'} file: ${fileName}`);
+    fs.writeFileSync(filePath, createCSV(endpointStats), 'utf8');
+  }
+
+  // Phase x endpoint matrix goes to its own file, one per run
+  if (phaseReport) {
+    const phaseFilePath = path.join(outputDir, `k6-api-metrics-phases-${exportTimestamp}.csv`);
+    fs.writeFileSync(phaseFilePath, phaseMatrixCSV(phaseReport), 'utf8');
+    console.log(`🎬 Phase matrix: ${phaseFilePath}`);
+  }
+
+  return filePath;
+}
+
+function writeExcelWorkbook(runSheets, outputDir, appendMode, exportTimestamp, run, exportedAt, endpointStats) {
+  if (!appendMode) {
+    const filePath = path.join(outputDir, `k6-api-metrics-${exportTimestamp}.xlsx`);
+    console.log(`🆕 Creating new results workbook: ${path.basename(filePath)}`);
+    writeWorkbook(filePath, runSheets);
+    return filePath;
+  }
+
+  const filePath = path.join(outputDir, TRENDS_FILE);
+  let existingRows = null;
+  if (fs.existsSync(filePath)) {
+    console.log(`📝 Adding run ${run.runId} to trends workbook: ${TRENDS_FILE}`);
+    existingRows = readWorkbook(filePath).Trends || null;
+  } else {
+    console.log(`🆕 Creating new trends workbook: ${TRENDS_FILE}`);
+    if (fs.existsSync(path.join(outputDir, LEGACY_TRENDS_FILE))) {
+      console.log(`ℹ️  Runs in ${LEGACY_TRENDS_FILE} are not copied over; import them with: node query-k6-history.js import ${path.join(outputDir, LEGACY_TRENDS_FILE)}`);
+    }
+  }
+
+  const trendsRows = mergeTrendsRows(existingRows, run, exportedAt, endpointStats);
+  writeWorkbook(filePath, [{ name: 'Trends', rows: trendsRows }, ...runSheets]);
+  console.log(`📈 Trends sheet: ${trendsRows.length - 1} rows (latest run's sheets alongside)`);
+  return filePath;
+}
+
+/**
+ * Export a k6 run to an .xlsx workbook (or the legacy CSV with csv: true)
+ * @param {Object} [options]
+ * @param {boolean} [options.csv] - write the old CSV files instead of a workbook
+ * @param {string} [options.window] - Timeline sheet window (default 10s)
+ * @param {boolean} [options.verbose] - print per-endpoint counts and sample durations
+ */
+async function exportToExcel(jsonFilePath, outputDir, appendMode = false, { csv = false, window = '10s', verbose = false } = {}) {
   try {
     console.log(`📁 Parsing k6 results from: ${jsonFilePath}`);
     
-    const endpointData = parseK6Results(jsonFilePath);
+    const windowMs = parseWindow(window);
+    const phaseAggregator = createPhaseAggregator();
+    const timelineAggregator = createTimelineAggregator(windowMs);
+    const metaAggregator = createRunMetaAggregator({ metrics: HTTP_METRICS });
+    const errorAggregator = createErrorAggregator({ windowMs });
+    const diagnosticsAggregator = createDiagnosticsAggregator();
+    const endpointData = await parseK6Results(jsonFilePath, [phaseAggregator, timelineAggregator, metaAggregator, errorAggregator, diagnosticsAggregator]);
     if (!endpointData) {
       console.error('❌ Failed to parse k6 results');
       return;
     }
     
-    // Debug: Show what we found
     console.log(`🔍 Found ${Object.keys(endpointData).length} endpoints`);
+    if (verbose) {
+      Object.keys(endpointData).forEach(endpoint => {
+        const data = endpointData[endpoint];
+        console.log(`   ${endpoint}: ${data.requests} requests, ${data.globalDataReceived || 0} bytes received, ${data.globalDataSent || 0} bytes sent`);
+        console.log(`   ${endpoint}: ${data.checks.total} checks (${data.checks.passes} passed), ${data.durations.count} durations, ${data.timings.blocked.count} blocked times`);
+        if (data.sampleDurations.length > 0) {
+          console.log(`   ${endpoint} sample durations:`, data.sampleDurations.map(d => `${d}ms`).join(', '));
+        }
+      });
+    }
+    
+    // Latency vs. active VUs per window gives the peak load and the knee
+    const timeline = buildTimeline(timelineAggregator.windows, windowMs);
+    const loadCurve = analyzeLoadCurve(timeline);
+    
+    const meta = metaAggregator.result();
+    const run = {
+      ...meta,
+      runId: runIdOf(meta, jsonFilePath),
+      scenario: process.env.SCENARIO || meta.scenarios.join(','),
+      environment: process.env.K6_ENVIRONMENT || meta.environment
+    };
+    
+    // Apdex and letter grade per endpoint and overall (k6-grading.js)
+    const data = Object.values(endpointData);
+    const gradeInputs = {
+      [OVERALL]: gradeInput(QuantileSketch.mergeAll(data.map(entry => entry.durations)), data.reduce((sum, entry) => ({ total: sum.total + entry.failed.total, count: sum.count + entry.failed.count }), { total: 0, count: 0 }))
+    };
     Object.keys(endpointData).forEach(endpoint => {
-      const data = endpointData[endpoint];
-      console.log(`   ${endpoint}: ${data.requests.length} requests, ${data.globalDataReceived || 0} bytes received, ${data.globalDataSent || 0} bytes sent`);
-      console.log(`   ${endpoint}: ${data.checks.length} checks, ${data.durations.length} durations, ${data.blocked.length} blocked times`);
-      
-      // Debug duration values
-      if (data.durations.length > 0) {
-        const sampleDurations = data.durations.slice(0, 5).map(d => `${d.value}ms`);
-        console.log(`   ${endpoint} sample durations:`, sampleDurations.join(', '));
-      }
-      
-      // Debug load levels
-      if (data.requests.length > 0) {
-        const loadLevels = [...new Set(data.requests.map(r => r.tags?.load_level).filter(Boolean))].sort();
-        console.log(`   ${endpoint} load levels found:`, loadLevels.join(', '));
-      }
-      
-      // Show check details
-      if (data.checks.length > 0) {
-        console.log(`   ${endpoint} checks:`, data.checks.map(c => `${c.check}: ${c.value}`).join(', '));
-      }
+      gradeInputs[endpoint] = gradeInput(endpointData[endpoint].durations, endpointData[endpoint].failed);
     });
+    const grades = gradeRun(gradeInputs, { scenario: run.scenario });
     
     // Calculate stats for each endpoint
     const endpointStats = {};
     Object.keys(endpointData).forEach(endpoint => {
-      endpointStats[endpoint] = calculateEndpointStats(endpoint, endpointData[endpoint]);
+      endpointStats[endpoint] = {
+        ...calculateEndpointStats(endpoint, endpointData[endpoint], loadCurve.endpoints[endpoint]),
+        ...gradeFields(grades[endpoint])
+      };
     });
+    const exportedAt = new Date();
+    const exportTimestamp = exportedAt.toISOString().replace(/[:.]/g, '-');
+    const phaseReport = buildPhaseReport(phaseAggregator);
+    const diagnostics = buildDiagnostics(diagnosticsAggregator);
     
-    // Generate output filename
-    const excelFileName = appendMode ? 'k6-api-metrics-trends.csv' : `k6-api-metrics-${new Date().toISOString().replace(/[:.]/g, '-')}.csv`;
-    const excelFilePath = path.join(outputDir, excelFileName);
-    
-    let csvContent;
-    
-    if (appendMode && fs.existsSync(excelFilePath)) {
-      // Append mode: read existing CSV and add new rows
-      console.log(`📝 Appending to existing trends file: ${excelFileName}`);
-      
-      const existingContent = fs.readFileSync(excelFilePath, 'utf8');
-      const existingLines = existingContent.trim().split('\n');
-      const headers = existingLines[0];
-      
-      // Create new rows (without headers since they already exist)
-      const newRows = Object.values(endpointStats).map(stats => [
-        stats.endpoint,
-        stats.dateTime,
-        stats.totalRequests,
-        stats.successRate,
-        stats.minResponseTime,
-        stats.maxResponseTime,
-        stats.avgResponseTime,
-        stats.medianResponseTime,
-        stats.p95ResponseTime,
-        stats.p99ResponseTime,
-        stats.avgBlockedTime,
-        stats.avgConnectingTime,
-        stats.avgSendingTime,
-        stats.avgWaitingTime,
-        stats.avgReceivingTime,
-        stats.totalDataReceivedKB,
-        stats.totalDataSentKB,
-        stats.requestsPerSecond,
-        stats.peakRequestRate,
-        stats.responseTimeAtPeak,
-        stats.maxLoadLevel
-      ].map(field => `"${field}"`).join(','));
-      
-      // Combine existing content with new rows, adding empty line between runs
-      csvContent = existingContent + '\n\n' + newRows.join('\n');
-      
+    let outputFilePath;
+    if (csv) {
+      outputFilePath = writeLegacyCSV(endpointStats, outputDir, appendMode, exportTimestamp, phaseReport);
     } else {
-      // Create new file with headers
-      console.log(`🆕 Creating new ${appendMode ? 'trends' : 'results'} file: ${excelFileName}`);
-      csvContent = createCSV(endpointStats);
+      const runSheets = createRunSheets({
+        run,
+        jsonFilePath,
+        exportedAt,
+        endpointData,
+        endpointStats,
+        phaseReport,
+        timeline,
+        errors: buildErrorBreakdown(errorAggregator),
+        diagnostics,
+        loadCurve,
+        grades
+      });
+      outputFilePath = writeExcelWorkbook(runSheets, outputDir, appendMode, exportTimestamp, run, exportedAt, endpointStats);
     }
     
-    // Write CSV file
-    fs.writeFileSync(excelFilePath, csvContent, 'utf8');
-    
     console.log(`\n✅ Excel export completed successfully!`);
-    console.log(`📊 File: ${excelFileName}`);
-    console.log(`📍 Location: ${excelFilePath}`);
+    console.log(`📊 File: ${path.basename(outputFilePath)}`);
+    console.log(`📍 Location: ${outputFilePath}`);
+    if (!csv) {
+      console.log(`📑 Sheets: ${appendMode ? 'Trends, ' : ''}Summary, Endpoints, Phases, Timeline, Checks, Errors, Diagnostics, Load Curve`);
+    }
     console.log(`📈 Endpoints exported: ${Object.keys(endpointStats).join(', ')}`);
     console.log(`💾 Mode: ${appendMode ? 'Appended to trends file' : 'New file created'}`);
     
@@ -381,10 +528,23 @@ function exportToExcel(jsonFilePath, outputDir, appendMode = false) {
       console.log(`   P95 Response Time: ${stats.p95ResponseTime}ms`);
     });
     
+    displayGrades(grades);
+    displayPhaseReport(phaseReport);
+    displayDiagnostics(diagnostics);
+    displayLoadCurve(loadCurve);
+    
     if (appendMode) {
+      // The trends workbook is the Excel view; the run history index is the record
+      const { record, duplicate } = await recordRun(jsonFilePath, {
+        runId: run.runId,
+        scenario: process.env.SCENARIO,
+        environment: process.env.K6_ENVIRONMENT
+      });
+      
       console.log(`\n📈 TREND TRACKING:`);
-      console.log(`   Data appended to: ${excelFileName}`);
-      console.log(`   Each test run adds new rows for trend analysis`);
+      console.log(`   Data appended to: ${path.basename(outputFilePath)}`);
+      console.log(`   Run ${record.runId} ${duplicate ? 'already in' : 'recorded in'}: ${HISTORY_FILE}`);
+      console.log(csv ? `   Each test run adds new rows for trend analysis` : `   Each test run adds one row per endpoint to the Trends sheet, keyed by Run ID`);
       console.log(`   Open in Excel to see performance over time`);
     }
     
@@ -394,23 +554,30 @@ function exportToExcel(jsonFilePath, outputDir, appendMode = false) {
 }
 
 // Main execution
-function main() {
+async function main() {
   const args = process.argv.slice(2);
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--window');
   
-  if (args.length === 0) {
-    console.log('Usage: node export_to_excel.js <path-to-k6-json-file> [output-directory] [--append]');
+  if (positional.length === 0) {
+    console.log('Usage: node export_to_excel.js <path-to-k6-json-file[.gz]> [output-directory] [--append] [--window 10s] [--csv] [--verbose]');
     console.log('Example: node export_to_excel.js "./test-results/k6-results.json"');
     console.log('Example: node export_to_excel.js "results.json" "./test-results"');
     console.log('Example: node export_to_excel.js "results.json" "./test-results" --append');
+    console.log('\n📑 WORKBOOK:');
+    console.log('   Writes k6-api-metrics-<timestamp>.xlsx with Summary, Endpoints, Phases, Timeline, Checks, Errors, Diagnostics and Load Curve sheets');
+    console.log('   --window sets the Timeline sheet bucket size (default 10s)');
+    console.log('   --csv writes the previous CSV files instead');
+    console.log('   --verbose prints per-endpoint counts and sample durations while parsing');
     console.log('\n📈 TREND MODE:');
     console.log('   Use --append flag to add data to existing trends file');
-    console.log('   Creates k6-api-metrics-trends.csv for historical tracking');
+    console.log(`   Keeps a Trends sheet in ${TRENDS_FILE}, one row per run and endpoint`);
     return;
   }
   
-  const jsonFilePath = args[0];
-  const outputDir = args[1] || path.dirname(jsonFilePath);
+  const jsonFilePath = positional[0];
+  const outputDir = positional[1] || path.dirname(jsonFilePath);
   const appendMode = args.includes('--append');
+  const windowIndex = args.indexOf('--window');
   
   if (!fs.existsSync(jsonFilePath)) {
     console.error(`❌ JSON file not found: ${jsonFilePath}`);
@@ -422,7 +589,11 @@ function main() {
     return;
   }
   
-  exportToExcel(jsonFilePath, outputDir, appendMode);
+  await exportToExcel(jsonFilePath, outputDir, appendMode, {
+    csv: args.includes('--csv'),
+    window: windowIndex !== -1 ? args[windowIndex + 1] : '10s',
+    verbose: args.includes('--verbose')
+  });
 }
 
 // Run the script
@@ -430,4 +601,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { parseK6Results, calculateEndpointStats, createCSV, exportToExcel };
+module.exports = { parseK6Results, calculateEndpointStats, createCSV, createRunSheets, mergeTrendsRows, exportToExcel, TRENDS_FILE };
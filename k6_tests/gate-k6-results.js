@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+
+/**
+ * Golden baseline store and performance gate
+ *
+ * 1. `promote` stores a run's per-endpoint aggregates (plus a small duration
+ *    sample) as the golden baseline for a scenario and environment
+ * 2. `check` gates a later run against that baseline using per-endpoint,
+ *    per-metric tolerances from gate-tolerances.json; a limit only fails when
+ *    the change is also statistically significant (when samples exist)
+ * 3. The exit code is non-zero when the gate fails, so CI can block on it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadRunStats, OVERALL } = require('./k6-run-stats');
+const { mannWhitneyU, twoProportionZ } = require('./compare-k6-results');
+
+const BASELINE_DIR = process.env.K6_BASELINE_DIR || path.join(__dirname, 'baselines');
+const TOLERANCES_FILE = process.env.GATE_TOLERANCES || path.join(__dirname, 'gate-tolerances.json');
+const BASELINE_SAMPLES = Number(process.env.K6_BASELINE_SAMPLES || 1000);
+const GATE_ALPHA = Number(process.env.GATE_ALPHA || 0.05);
+
+// Exit code for a failed gate, distinct from 1 (tool/workflow error)
+const GATE_FAILED_EXIT_CODE = 2;
+
+// Latency limits are relative increases, errorRate is percentage points,
+// rps is the relative drop that is still acceptable
+const METRICS = ['p50', 'p95', 'p99', 'errorRate', 'rps'];
+
+function baselineKey(scenario, environment) {
+  return `${scenario}__${environment}`.replace(/[^A-Za-z0-9_.-]/g, '_');
+}
+
+function baselinePath(scenario, environment) {
+  return path.join(BASELINE_DIR, `${baselineKey(scenario, environment)}.json`);
+}
+
+function loadBaseline(scenario, environment) {
+  const file = baselinePath(scenario, environment);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function listBaselines() {
+  if (!fs.existsSync(BASELINE_DIR)) return [];
+  return fs.readdirSync(BASELINE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(BASELINE_DIR, file), 'utf8')));
+}
+
+function loadTolerances(file = TOLERANCES_FILE) {
+  if (!fs.existsSync(file)) return { default: {}, endpoints: {} };
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { default: config.default || {}, endpoints: config.endpoints || {} };
+}
+
+function tolerancesFor(tolerances, endpoint) {
+  return { ...tolerances.default, ...(tolerances.endpoints[endpoint] || {}) };
+}
+
+/**
+ * Store a run as the golden baseline for scenario + environment
+ */
+async function promoteBaseline(resultsFile, { scenario, environment }) {
+  const run = await loadRunStats(resultsFile);
+  const endpoints = {};
+  Object.keys(run.endpoints).forEach(name => {
+    const stats = run.endpoints[name];
+    if (!stats) return;
+    endpoints[name] = {
+      requests: stats.requests,
+      rps: stats.rps,
+      p50: stats.p50,
+      p95: stats.p95,
+      p99: stats.p99,
+      errorRate: stats.errorRate,
+      failed: stats.failed,
+      samples: stats.samples ? stats.samples.slice(0, BASELINE_SAMPLES).map(value => Math.round(value * 1000) / 1000) : null
+    };
+  });
+
+  const baseline = {
+    scenario,
+    environment,
+    promotedAt: new Date().toISOString(),
+    sourceFile: path.basename(resultsFile),
+    source: run.source,
+    runStartTime: run.startTime,
+    endpoints
+  };
+
+  fs.mkdirSync(BASELINE_DIR, { recursive: true });
+  const file = baselinePath(scenario, environment);
+  fs.writeFileSync(file, JSON.stringify(baseline, null, 2));
+  return { file, baseline };
+}
+
+function limitFor(metric, reference, tolerance) {
+  if (metric === 'errorRate') return reference + tolerance;
+  if (metric === 'rps') return reference * (1 - tolerance);
+  return reference * (1 + tolerance);
+}
+
+function exceedsLimit(metric, actual, limit) {
+  return metric === 'rps' ? actual < limit : actual > limit;
+}
+
+/**
+ * Gate a loaded run against a baseline
+ * @returns {{passed: boolean, checks: Object[], failures: Object[]}}
+ */
+function evaluateGate(baseline, run, tolerances, { alpha = GATE_ALPHA } = {}) {
+  const checks = [];
+
+  Object.keys(baseline.endpoints).forEach(endpoint => {
+    const reference = baseline.endpoints[endpoint];
+    const actual = run.endpoints[endpoint];
+    const endpointTolerances = tolerancesFor(tolerances, endpoint);
+
+    if (!actual) {
+      checks.push({ endpoint, metric: 'requests', passed: false, reason: 'missing from this run' });
+      return;
+    }
+
+    // Significance is tested once per endpoint and shared by its metrics
+    const latencyTest = reference.samples && actual.samples ? mannWhitneyU(reference.samples, actual.samples) : null;
+    const errorTest = twoProportionZ(reference.failed, actual.failed);
+
+    METRICS.forEach(metric => {
+      const tolerance = endpointTolerances[metric];
+      if (tolerance === undefined || tolerance === null) return;
+      if (reference[metric] === null || reference[metric] === undefined || actual[metric] === null || actual[metric] === undefined) return;
+
+      const limit = limitFor(metric, reference[metric], tolerance);
+      const exceeded = exceedsLimit(metric, actual[metric], limit);
+      const test = metric === 'errorRate' ? errorTest : (metric === 'rps' ? null : latencyTest);
+      const significant = !test || test.pValue < alpha;
+
+      checks.push({
+        endpoint,
+        metric,
+        baseline: reference[metric],
+        actual: actual[metric],
+        limit,
+        tolerance,
+        exceeded,
+        pValue: test ? test.pValue : null,
+        passed: !exceeded || !significant
+      });
+    });
+  });
+
+  const failures = checks.filter(check => !check.passed);
+  return { passed: failures.length === 0, checks, failures };
+}
+
+function formatMetric(metric, value) {
+  if (value === null || value === undefined) return 'n/a';
+  if (metric === 'errorRate') return `${value.toFixed(2)}%`;
+  if (metric === 'rps') return `${value.toFixed(2)} req/s`;
+  return `${value.toFixed(0)}ms`;
+}
+
+function describeTolerance(metric, tolerance) {
+  if (metric === 'errorRate') return `+${tolerance}pp`;
+  if (metric === 'rps') return `-${(tolerance * 100).toFixed(0)}%`;
+  return `+${(tolerance * 100).toFixed(0)}%`;
+}
+
+function displayGateResult(result, baseline, { verbose = false } = {}) {
+  console.log(`\n🚦 PERFORMANCE GATE: ${baseline.scenario} @ ${baseline.environment}`);
+  console.log(`   Golden baseline: ${baseline.sourceFile} (promoted ${baseline.promotedAt})`);
+  console.log('='.repeat(80));
+
+  result.checks.forEach(check => {
+    if (check.reason) {
+      console.log(`   ❌ ${check.endpoint}: ${check.reason}`);
+      return;
+    }
+    if (check.passed && !check.exceeded && !verbose) return;
+
+    const comparison = `${formatMetric(check.metric, check.actual)} vs limit ${formatMetric(check.metric, check.limit)} (baseline ${formatMetric(check.metric, check.baseline)} ${describeTolerance(check.metric, check.tolerance)})`;
+    if (!check.passed) {
+      console.log(`   ❌ ${check.endpoint} ${check.metric}: ${comparison}${check.pValue !== null ? `, p=${check.pValue.toFixed(3)}` : ''}`);
+    } else if (check.exceeded) {
+      console.log(`   ⚠️  ${check.endpoint} ${check.metric}: ${comparison} - within noise (p=${check.pValue.toFixed(3)}), not failing`);
+    } else {
+      console.log(`   ✅ ${check.endpoint} ${check.metric}: ${comparison}`);
+    }
+  });
+
+  console.log(result.passed
+    ? `\n✅ GATE PASSED: ${result.checks.length} checks within tolerance of the golden baseline`
+    : `\n❌ GATE FAILED: ${result.failures.length} of ${result.checks.length} checks regressed against the golden baseline`);
+}
+
+/**
+ * Load a results file and gate it against the stored baseline
+ * @returns {Promise<{passed: boolean, skipped?: boolean}>}
+ */
+async function checkGate(resultsFile, { scenario, environment, requireBaseline = false, verbose = false, tolerancesFile } = {}) {
+  const baseline = loadBaseline(scenario, environment);
+  if (!baseline) {
+    const message = `No golden baseline for ${scenario} @ ${environment} (${baselinePath(scenario, environment)})`;
+    if (requireBaseline) {
+      console.log(`\n❌ GATE FAILED: ${message}`);
+      return { passed: false, skipped: false };
+    }
+    console.log(`\n⚠️  ${message} - gate skipped. Promote one with: node gate-k6-results.js promote ${resultsFile} --scenario ${scenario} --environment ${environment}`);
+    return { passed: true, skipped: true };
+  }
+
+  const run = await loadRunStats(resultsFile);
+  if (run.readIssues) console.log(run.readIssues);
+
+  const result = evaluateGate(baseline, run, loadTolerances(tolerancesFile));
+  displayGateResult(result, baseline, { verbose });
+  return { ...result, skipped: false };
+}
+
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function printUsage() {
+  console.log('🚦 K6 Golden Baseline & Performance Gate');
+  console.log('Usage:');
+  console.log('   node gate-k6-results.js promote <results-file> [--scenario name] [--environment env]');
+  console.log('   node gate-k6-results.js check <results-file> [--scenario name] [--environment env] [--require-baseline] [--verbose] [--tolerances file]');
+  console.log('   node gate-k6-results.js list');
+  console.log('\nScenario and environment default to $SCENARIO (user_flow) and $K6_ENVIRONMENT (dev).');
+  console.log(`Baselines: ${BASELINE_DIR}   Tolerances: ${TOLERANCES_FILE}`);
+  console.log(`\nExit codes: 0 = passed, ${GATE_FAILED_EXIT_CODE} = gate failed, 1 = error`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [command, resultsFile] = args;
+  const scenario = optionValue(args, '--scenario') || process.env.SCENARIO || 'user_flow';
+  const environment = optionValue(args, '--environment') || process.env.K6_ENVIRONMENT || 'dev';
+
+  if (command === 'list') {
+    const baselines = listBaselines();
+    if (baselines.length === 0) {
+      console.log(`No golden baselines in ${BASELINE_DIR}`);
+      return;
+    }
+    console.log('🏅 GOLDEN BASELINES');
+    baselines.forEach(baseline => {
+      const overall = baseline.endpoints[OVERALL] || {};
+      console.log(`   ${baseline.scenario} @ ${baseline.environment}: ${baseline.sourceFile}, promoted ${baseline.promotedAt}, P95 ${formatMetric('p95', overall.p95)}`);
+    });
+    return;
+  }
+
+  if (!['promote', 'check'].includes(command) || !resultsFile) {
+    printUsage();
+    return;
+  }
+
+  if (!fs.existsSync(resultsFile)) {
+    console.error(`❌ File not found: ${resultsFile}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    if (command === 'promote') {
+      const { file, baseline } = await promoteBaseline(resultsFile, { scenario, environment });
+      console.log(`🏅 Promoted ${resultsFile} to golden baseline for ${scenario} @ ${environment}`);
+      console.log(`   ${Object.keys(baseline.endpoints).length} endpoint(s) saved to ${file}`);
+      return;
+    }
+
+    const result = await checkGate(resultsFile, {
+      scenario,
+      environment,
+      requireBaseline: args.includes('--require-baseline'),
+      verbose: args.includes('--verbose'),
+      tolerancesFile: optionValue(args, '--tolerances')
+    });
+    if (!result.passed) process.exitCode = GATE_FAILED_EXIT_CODE;
+  } catch (error) {
+    console.error(`❌ Gate error: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { promoteBaseline, checkGate, evaluateGate, loadBaseline, loadTolerances, listBaselines, formatMetric, GATE_FAILED_EXIT_CODE };
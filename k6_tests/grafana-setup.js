@@ -4,14 +4,34 @@
  * Grafana Setup and Export Utility for K6 Load Tests
  * 
  * This script helps set up Grafana monitoring for k6 load tests by:
- * 1. Configuring InfluxDB output for k6
- * 2. Setting up Grafana dashboards
- * 3. Providing export utilities for test results
+ * 1. Configuring InfluxDB output for k6: InfluxDB 1.x (database, user,
+ *    InfluxQL, k6's built-in output) or, with INFLUXDB_VERSION=2, InfluxDB
+ *    2.x (org, bucket, token, Flux, the xk6-output-influxdb extension)
+ * 2. Setting up Grafana dashboards, generated for the datasource's query
+ *    language and k6's point layout (see k6-grafana-dashboard.js)
+ * 3. Provisioning Grafana (dashboards + datasource folders mounted by the
+ *    generated docker-compose) or publishing the same resources to a running
+ *    Grafana over its HTTP API (see k6-grafana-api.js)
+ * 4. Annotating Grafana with each run's start/end and phases, tagged with
+ *    run id, scenario, environment and verdict (see k6-grafana-annotations.js)
+ * 5. Providing export utilities for test results
  */
 
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { buildDashboard } = require('./k6-grafana-dashboard');
+const { createGrafanaClient, publishToGrafana, publishAnnotations, displayPublishResults } = require('./k6-grafana-api');
+const { buildRunAnnotations } = require('./k6-grafana-annotations');
+
+// Only the default token is ever written out; generated commands and files
+// read a real one from INFLUXDB_TOKEN when they run
+const DEFAULT_INFLUXDB_TOKEN = 'k6-admin-token';
+const INFLUXDB_TOKEN_REFERENCE = `\${INFLUXDB_TOKEN:-${DEFAULT_INFLUXDB_TOKEN}}`;
+
+// Tags k6 stores as fields unless K6_INFLUXDB_TAGS_AS_FIELDS says otherwise: 1.x keeps
+// the layout existing dashboards and queries read, 2.x starts from k6's own default
+const DEFAULT_TAGS_AS_FIELDS = { 1: 'endpoint,path,method,phase', 2: 'vu,iter,url' };
 
 // Configuration
 const CONFIG = {
@@ -21,16 +41,48 @@ const CONFIG = {
     database: process.env.INFLUXDB_DB || 'k6_load_tests',
     username: process.env.INFLUXDB_USER || 'k6',
     password: process.env.INFLUXDB_PASSWORD || 'k6password',
-    retention: process.env.INFLUXDB_RETENTION || '30d'
+    retention: process.env.INFLUXDB_RETENTION || '30d',
+    version: process.env.INFLUXDB_VERSION || '1',
+    // InfluxDB 2.x only
+    org: process.env.INFLUXDB_ORG || 'k6-org',
+    bucket: process.env.INFLUXDB_BUCKET || process.env.INFLUXDB_DB || 'k6_load_tests',
+    token: process.env.INFLUXDB_TOKEN || DEFAULT_INFLUXDB_TOKEN,
+    // How k6 writes points: the generated commands pass tagsAsFields to k6 and
+    // the generated dashboard queries the same layout
+    measurement: process.env.INFLUXDB_MEASUREMENT || '{metric}',
+    tagsAsFields: process.env.K6_INFLUXDB_TAGS_AS_FIELDS || DEFAULT_TAGS_AS_FIELDS[process.env.INFLUXDB_VERSION === '2' ? 2 : 1]
   },
   grafana: {
     host: process.env.GRAFANA_HOST || 'localhost',
     port: process.env.GRAFANA_PORT || '3000',
     username: process.env.GRAFANA_USER || 'admin',
-    password: process.env.GRAFANA_PASSWORD || 'admin'
+    password: process.env.GRAFANA_PASSWORD || 'admin',
+    // influxql, flux or promql; flux for InfluxDB 2.x, else detected from grafana-datasource.yml
+    queryLanguage: process.env.GRAFANA_QUERY_LANGUAGE,
+    datasourceFile: path.join(__dirname, 'grafana-datasource.yml'),
+    url: process.env.GRAFANA_URL,
+    // Preferred over username/password for publish
+    apiToken: process.env.GRAFANA_API_TOKEN,
+    folder: {
+      uid: process.env.GRAFANA_FOLDER_UID || 'k6-load-tests',
+      title: process.env.GRAFANA_FOLDER || 'K6 Load Tests'
+    },
+    datasourceUid: process.env.GRAFANA_DATASOURCE_UID || 'k6-influxdb',
+    // InfluxDB as Grafana reaches it (the compose service name by default)
+    influxdbUrl: process.env.GRAFANA_INFLUXDB_URL || 'http://influxdb:8086'
   },
   outputDir: process.env.K6_OUTPUT_DIR || './test-results'
 };
+CONFIG.grafana.provisioningDir = process.env.GRAFANA_PROVISIONING_DIR || path.join(CONFIG.outputDir, 'provisioning');
+
+const isInfluxV2 = () => CONFIG.influxdb.version === '2';
+
+// Nested maps of scalars as YAML, for the provisioning files
+function yamlLines(object, indent) {
+  return Object.entries(object).flatMap(([key, value]) => (value !== null && typeof value === 'object'
+    ? [`${indent}${key}:`, ...yamlLines(value, `${indent}  `)]
+    : [`${indent}${key}: ${value}`]));
+}
 
 class GrafanaSetup {
   constructor() {
@@ -44,16 +96,38 @@ class GrafanaSetup {
     }
   }
 
+  /**
+   * Environment, binary and --out flag for the configured InfluxDB version.
+   * InfluxDB 2.x needs a k6 built with the xk6-output-influxdb extension.
+   */
+  k6InfluxOutput() {
+    const address = `http://${CONFIG.influxdb.host}:${CONFIG.influxdb.port}`;
+    if (isInfluxV2()) {
+      return {
+        env: `K6_INFLUXDB_ORGANIZATION=${CONFIG.influxdb.org} K6_INFLUXDB_BUCKET=${CONFIG.influxdb.bucket} K6_INFLUXDB_TOKEN=${INFLUXDB_TOKEN_REFERENCE} K6_INFLUXDB_TAGS_AS_FIELDS=${CONFIG.influxdb.tagsAsFields}`,
+        binary: './k6',
+        out: `xk6-influxdb=${address}`,
+        build: 'xk6 build --with github.com/grafana/xk6-output-influxdb'
+      };
+    }
+    return {
+      env: `K6_INFLUXDB_TAGS_AS_FIELDS=${CONFIG.influxdb.tagsAsFields}`,
+      binary: 'k6',
+      out: `influxdb=http://${CONFIG.influxdb.username}:${CONFIG.influxdb.password}@${CONFIG.influxdb.host}:${CONFIG.influxdb.port}/${CONFIG.influxdb.database}`,
+      build: null
+    };
+  }
+
   /**
    * Generate k6 command with InfluxDB output
    */
   generateK6Command(testFile = 'k6_api_load_test.js', scenario = 'user_flow') {
-    const influxUrl = `http://${CONFIG.influxdb.username}:${CONFIG.influxdb.password}@${CONFIG.influxdb.host}:${CONFIG.influxdb.port}/${CONFIG.influxdb.database}`;
+    const output = this.k6InfluxOutput();
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     
-    const command = `k6 run \\
+    const command = `${output.build ? `# InfluxDB 2.x: build the k6 binary once with: ${output.build}\n` : ''}${output.env} ${output.binary} run \\
   --env SCENARIO=${scenario} \\
-  --out influxdb=${influxUrl} \\
+  --out ${output.out} \\
   --out json="${CONFIG.outputDir}/k6-results-${timestamp}.json" \\
   ${testFile}`;
 
@@ -61,10 +135,11 @@ class GrafanaSetup {
   }
 
   /**
-   * Create InfluxDB database and user
+   * Create InfluxDB database and user (1.x) or bucket and retention (2.x)
    */
   async setupInfluxDB() {
     console.log('🔧 Setting up InfluxDB...');
+    if (isInfluxV2()) return this.setupInfluxDBv2();
     
     const setupScript = `
 -- Create database
@@ -91,204 +166,233 @@ GRANT ALL ON "${CONFIG.influxdb.database}" TO "${CONFIG.influxdb.username}";
   }
 
   /**
-   * Generate Grafana dashboard configuration
+   * Bucket with the configured retention, created or updated with the
+   * influx CLI so it can be re-run against an existing instance
+   */
+  setupInfluxDBv2() {
+    const setupScript = `#!/bin/bash
+
+# InfluxDB 2.x bucket setup for k6 (needs the influx CLI)
+set -e
+
+HOST=http://${CONFIG.influxdb.host}:${CONFIG.influxdb.port}
+ORG=${CONFIG.influxdb.org}
+BUCKET=${CONFIG.influxdb.bucket}
+RETENTION=${CONFIG.influxdb.retention}
+export INFLUX_TOKEN=\${INFLUX_TOKEN:-${INFLUXDB_TOKEN_REFERENCE}}
+
+BUCKET_ID=\$(influx bucket list --host "\$HOST" --org "\$ORG" --name "\$BUCKET" --hide-headers 2>/dev/null | cut -f1)
+if [ -n "\$BUCKET_ID" ]; then
+    influx bucket update --host "\$HOST" --id "\$BUCKET_ID" --retention "\$RETENTION"
+    echo "✅ Bucket \$BUCKET updated (retention \$RETENTION)"
+else
+    influx bucket create --host "\$HOST" --org "\$ORG" --name "\$BUCKET" --retention "\$RETENTION"
+    echo "✅ Bucket \$BUCKET created (retention \$RETENTION)"
+fi
+`;
+
+    const scriptPath = path.join(CONFIG.outputDir, 'influxdb-setup.sh');
+    fs.writeFileSync(scriptPath, setupScript);
+    try {
+      execSync(`chmod +x "${scriptPath}"`);
+    } catch (error) {
+      console.log(`⚠️  Please make the script executable: chmod +x "${scriptPath}"`);
+    }
+
+    console.log(`✅ InfluxDB setup script created: ${scriptPath}`);
+    console.log(`📝 InfluxDB 2.x will be initialized via Docker environment variables; run the script against an existing instance`);
+    console.log(`   Org: ${CONFIG.influxdb.org}`);
+    console.log(`   Bucket: ${CONFIG.influxdb.bucket} (retention ${CONFIG.influxdb.retention})`);
+  }
+
+  /**
+   * Query language of the provisioned datasource: promql for Prometheus,
+   * flux or influxql (the default) for InfluxDB
    */
-  generateGrafanaDashboard() {
-    const dashboard = {
-      "dashboard": {
-        "id": null,
-        "title": "K6 Load Test Performance Dashboard",
-        "tags": ["k6", "load-testing", "performance"],
-        "style": "dark",
-        "timezone": "browser",
-        "panels": [
-          {
-            "id": 1,
-            "title": "Request Rate (RPS)",
-            "type": "stat",
-            "targets": [
-              {
-                "expr": "rate(http_reqs[1m])",
-                "refId": "A"
-              }
-            ],
-            "fieldConfig": {
-              "defaults": {
-                "color": {
-                  "mode": "thresholds"
-                },
-                "thresholds": {
-                  "steps": [
-                    {"color": "green", "value": 0},
-                    {"color": "yellow", "value": 100},
-                    {"color": "red", "value": 500}
-                  ]
-                },
-                "unit": "reqps"
-              }
-            },
-            "gridPos": {"h": 8, "w": 12, "x": 0, "y": 0}
-          },
-          {
-            "id": 2,
-            "title": "Response Time (P95)",
-            "type": "stat",
-            "targets": [
-              {
-                "expr": "histogram_quantile(0.95, rate(http_req_duration_bucket[5m]))",
-                "refId": "A"
-              }
-            ],
-            "fieldConfig": {
-              "defaults": {
-                "color": {
-                  "mode": "thresholds"
-                },
-                "thresholds": {
-                  "steps": [
-                    {"color": "green", "value": 0},
-                    {"color": "yellow", "value": 1000},
-                    {"color": "red", "value": 2000}
-                  ]
-                },
-                "unit": "ms"
-              }
-            },
-            "gridPos": {"h": 8, "w": 12, "x": 12, "y": 0}
-          },
-          {
-            "id": 3,
-            "title": "Error Rate",
-            "type": "stat",
-            "targets": [
-              {
-                "expr": "rate(http_req_failed[1m]) * 100",
-                "refId": "A"
-              }
-            ],
-            "fieldConfig": {
-              "defaults": {
-                "color": {
-                  "mode": "thresholds"
-                },
-                "thresholds": {
-                  "steps": [
-                    {"color": "green", "value": 0},
-                    {"color": "yellow", "value": 1},
-                    {"color": "red", "value": 5}
-                  ]
-                },
-                "unit": "percent"
-              }
-            },
-            "gridPos": {"h": 8, "w": 12, "x": 0, "y": 8}
-          },
-          {
-            "id": 4,
-            "title": "Virtual Users",
-            "type": "stat",
-            "targets": [
-              {
-                "expr": "vus",
-                "refId": "A"
-              }
-            ],
-            "fieldConfig": {
-              "defaults": {
-                "color": {
-                  "mode": "palette-classic"
-                },
-                "unit": "short"
-              }
-            },
-            "gridPos": {"h": 8, "w": 12, "x": 12, "y": 8}
-          },
-          {
-            "id": 5,
-            "title": "Response Time Trends",
-            "type": "timeseries",
-            "targets": [
-              {
-                "expr": "histogram_quantile(0.50, rate(http_req_duration_bucket[1m]))",
-                "refId": "A",
-                "legendFormat": "P50"
-              },
-              {
-                "expr": "histogram_quantile(0.95, rate(http_req_duration_bucket[1m]))",
-                "refId": "B",
-                "legendFormat": "P95"
-              },
-              {
-                "expr": "histogram_quantile(0.99, rate(http_req_duration_bucket[1m]))",
-                "refId": "C",
-                "legendFormat": "P99"
-              }
-            ],
-            "fieldConfig": {
-              "defaults": {
-                "unit": "ms",
-                "color": {
-                  "mode": "palette-classic"
-                }
-              }
-            },
-            "gridPos": {"h": 8, "w": 24, "x": 0, "y": 16}
-          },
-          {
-            "id": 6,
-            "title": "Request Rate by Endpoint",
-            "type": "timeseries",
-            "targets": [
-              {
-                "expr": "rate(http_reqs{endpoint!=\"\"}[1m])",
-                "refId": "A",
-                "legendFormat": "{{endpoint}}"
-              }
-            ],
-            "fieldConfig": {
-              "defaults": {
-                "unit": "reqps",
-                "color": {
-                  "mode": "palette-classic"
-                }
-              }
-            },
-            "gridPos": {"h": 8, "w": 24, "x": 0, "y": 24}
-          },
-          {
-            "id": 7,
-            "title": "Response Time by Endpoint",
-            "type": "timeseries",
-            "targets": [
-              {
-                "expr": "histogram_quantile(0.95, rate(http_req_duration_bucket{endpoint!=\"\"}[1m]))",
-                "refId": "A",
-                "legendFormat": "{{endpoint}} P95"
-              }
-            ],
-            "fieldConfig": {
-              "defaults": {
-                "unit": "ms",
-                "color": {
-                  "mode": "palette-classic"
-                }
-              }
-            },
-            "gridPos": {"h": 8, "w": 24, "x": 0, "y": 32}
-          }
-        ],
-        "time": {
-          "from": "now-1h",
-          "to": "now"
-        },
-        "refresh": "5s"
+  detectQueryLanguage(datasourceFile = CONFIG.grafana.datasourceFile) {
+    if (isInfluxV2()) return 'flux';
+    if (!fs.existsSync(datasourceFile)) return 'influxql';
+    const content = fs.readFileSync(datasourceFile, 'utf8');
+    if (/^\s*type:\s*prometheus\s*$/m.test(content)) return 'promql';
+    if (/^\s*version:\s*Flux\s*$/mi.test(content)) return 'flux';
+    return 'influxql';
+  }
+
+  dashboardOptions(options = {}) {
+    return {
+      language: options.language || CONFIG.grafana.queryLanguage || this.detectQueryLanguage(),
+      measurement: options.measurement || CONFIG.influxdb.measurement,
+      tagsAsFields: options.tagsAsFields || CONFIG.influxdb.tagsAsFields,
+      bucket: CONFIG.influxdb.bucket
+    };
+  }
+
+  /**
+   * The generated dashboard plus any extra dashboard files (exported or
+   * import-wrapped `{ dashboard }` JSON); files without a uid get one from
+   * their name so they can be published idempotently
+   */
+  collectDashboards(options = {}) {
+    const dashboards = [buildDashboard(this.dashboardOptions(options))];
+    for (const file of options.dashboardFiles || []) {
+      const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const dashboard = { ...(json.dashboard || json) };
+      if (!dashboard.uid) {
+        dashboard.uid = path.basename(file, '.json').toLowerCase().replace(/[^a-z0-9-]+/g, '-').slice(0, 40);
       }
+      dashboards.push(dashboard);
+    }
+    return dashboards;
+  }
+
+  /**
+   * InfluxDB datasource shared by provision and publish; the fixed uid keeps
+   * publishing idempotent
+   */
+  datasourceDefinition() {
+    if (isInfluxV2()) {
+      return {
+        uid: CONFIG.grafana.datasourceUid,
+        name: 'InfluxDB',
+        type: 'influxdb',
+        access: 'proxy',
+        url: CONFIG.grafana.influxdbUrl,
+        isDefault: true,
+        jsonData: { version: 'Flux', organization: CONFIG.influxdb.org, defaultBucket: CONFIG.influxdb.bucket },
+        secureJsonData: { token: CONFIG.influxdb.token }
+      };
+    }
+    return {
+      uid: CONFIG.grafana.datasourceUid,
+      name: 'InfluxDB',
+      type: 'influxdb',
+      access: 'proxy',
+      url: CONFIG.grafana.influxdbUrl,
+      database: CONFIG.influxdb.database,
+      user: CONFIG.influxdb.username,
+      isDefault: true,
+      jsonData: { httpMode: 'GET', version: 'InfluxQL' },
+      secureJsonData: { password: CONFIG.influxdb.password }
     };
+  }
+
+  /**
+   * Write Grafana's provisioning folders: dashboards/k6.yml (file provider),
+   * dashboards/k6/<uid>.json and datasources/k6.yml. The generated
+   * docker-compose mounts both folders.
+   */
+  provision(options = {}) {
+    const dashboardsDir = path.join(CONFIG.grafana.provisioningDir, 'dashboards');
+    const jsonDir = path.join(dashboardsDir, 'k6');
+    const datasourcesDir = path.join(CONFIG.grafana.provisioningDir, 'datasources');
+    fs.mkdirSync(jsonDir, { recursive: true });
+    fs.mkdirSync(datasourcesDir, { recursive: true });
+
+    const dashboards = this.collectDashboards(options);
+    const written = new Set();
+    for (const dashboard of dashboards) {
+      // Provisioned files are the bare dashboard model, not the import wrapper
+      const file = `${dashboard.uid}.json`;
+      fs.writeFileSync(path.join(jsonDir, file), JSON.stringify({ ...dashboard, id: null }, null, 2));
+      written.add(file);
+    }
+    // Dashboards dropped since the last provision would otherwise linger
+    fs.readdirSync(jsonDir)
+      .filter(file => file.endsWith('.json') && !written.has(file))
+      .forEach(file => fs.unlinkSync(path.join(jsonDir, file)));
+
+    const provider = `apiVersion: 1
+
+providers:
+  - name: k6
+    orgId: 1
+    folder: '${CONFIG.grafana.folder.title}'
+    folderUid: ${CONFIG.grafana.folder.uid}
+    type: file
+    disableDeletion: false
+    allowUiUpdates: false
+    updateIntervalSeconds: 30
+    options:
+      path: /etc/grafana/provisioning/dashboards/k6
+`;
+    fs.writeFileSync(path.join(dashboardsDir, 'k6.yml'), provider);
+
+    const datasource = this.datasourceDefinition();
+    const { name, ...fields } = datasource;
+    // Grafana expands $INFLUXDB_TOKEN from its environment (set by the compose file)
+    if (isInfluxV2()) fields.secureJsonData = { token: '$INFLUXDB_TOKEN' };
+    const datasourceYaml = `apiVersion: 1
+
+datasources:
+  - name: ${name}
+${yamlLines({ ...fields, editable: true }, '    ').join('\n')}
+`;
+    fs.writeFileSync(path.join(datasourcesDir, 'k6.yml'), datasourceYaml);
+
+    console.log(`✅ Grafana provisioning created: ${CONFIG.grafana.provisioningDir}`);
+    console.log(`   Dashboards: ${dashboards.map(dashboard => dashboard.uid).join(', ')} → folder "${CONFIG.grafana.folder.title}"`);
+    console.log(`   Datasource: ${datasource.name} (${datasource.uid}) → ${datasource.url}`);
+    return CONFIG.grafana.provisioningDir;
+  }
+
+  /**
+   * Push the folder, datasource and dashboards to a running Grafana.
+   * Resolves to the per-resource results; conflicts are left untouched
+   * unless options.force is set.
+   */
+  async publish(options = {}) {
+    const client = this.apiClient();
+    const results = await publishToGrafana(client, {
+      folder: CONFIG.grafana.folder,
+      datasources: [this.datasourceDefinition()],
+      dashboards: this.collectDashboards(options),
+      dryRun: options.dryRun,
+      force: options.force
+    });
+    displayPublishResults(results, { dryRun: options.dryRun, url: client.url });
+    return results;
+  }
+
+  apiClient() {
+    return createGrafanaClient({
+      url: CONFIG.grafana.url || `http://${CONFIG.grafana.host}:${CONFIG.grafana.port}`,
+      token: CONFIG.grafana.apiToken,
+      username: CONFIG.grafana.username,
+      password: CONFIG.grafana.password
+    });
+  }
+
+  /**
+   * Post region annotations for a run and each of its phases. Annotating
+   * the same run again updates them (e.g. with the gate's verdict).
+   * @param {string} resultsFile - k6 NDJSON results
+   * @param {Object} [options] - scenario, environment, verdict, gate, dryRun
+   */
+  async annotate(resultsFile, options = {}) {
+    const { run, annotations } = await buildRunAnnotations(resultsFile, options);
+    const client = this.apiClient();
+    const results = await publishAnnotations(client, annotations, { runTag: `run:${run.runId}`, dryRun: options.dryRun });
+
+    displayPublishResults(results, { dryRun: options.dryRun, url: client.url });
+    console.log(`   Run ${run.runId}: ${run.scenario} @ ${run.environment}, ${run.verdict}`);
+    run.reasons.forEach(reason => console.log(`   - ${reason}`));
+    return { run, results };
+  }
+
+  /**
+   * Generate Grafana dashboard configuration
+   * @param {Object} [options] - language, measurement and tagsAsFields overrides
+   */
+  generateGrafanaDashboard(options = {}) {
+    const dashboardOptions = this.dashboardOptions(options);
+    const dashboard = { dashboard: buildDashboard(dashboardOptions) };
 
     const dashboardPath = path.join(CONFIG.outputDir, 'grafana-k6-dashboard.json');
     fs.writeFileSync(dashboardPath, JSON.stringify(dashboard, null, 2));
     
     console.log(`✅ Grafana dashboard configuration created: ${dashboardPath}`);
+    console.log(`   Queries: ${dashboardOptions.language}, measurement ${dashboardOptions.measurement}, tagsAsFields ${dashboardOptions.tagsAsFields}`);
+    console.log(`   Variables: datasource, environment, test_run_id, phase, endpoint`);
     return dashboardPath;
   }
 
@@ -296,27 +400,47 @@ GRANT ALL ON "${CONFIG.influxdb.database}" TO "${CONFIG.influxdb.username}";
    * Generate Docker Compose file for InfluxDB + Grafana
    */
   generateDockerCompose() {
-    const dockerCompose = `version: '3.8'
-
-services:
-  influxdb:
+    // Mounts are relative to the compose file, which lives in the output directory
+    const provisioningDir = path.relative(CONFIG.outputDir, CONFIG.grafana.provisioningDir).split(path.sep).join('/');
+    const influxdbService = isInfluxV2()
+      ? `  influxdb:
     image: influxdb:2.7
     container_name: k6-influxdb
     ports:
-      - "8086:8086"
+      - "${CONFIG.influxdb.port}:8086"
     environment:
       - DOCKER_INFLUXDB_INIT_MODE=setup
       - DOCKER_INFLUXDB_INIT_USERNAME=${CONFIG.influxdb.username}
       - DOCKER_INFLUXDB_INIT_PASSWORD=${CONFIG.influxdb.password}
-      - DOCKER_INFLUXDB_INIT_ORG=k6-org
-      - DOCKER_INFLUXDB_INIT_BUCKET=${CONFIG.influxdb.database}
-      - DOCKER_INFLUXDB_INIT_ADMIN_TOKEN=k6-admin-token
+      - DOCKER_INFLUXDB_INIT_ORG=${CONFIG.influxdb.org}
+      - DOCKER_INFLUXDB_INIT_BUCKET=${CONFIG.influxdb.bucket}
+      - DOCKER_INFLUXDB_INIT_RETENTION=${CONFIG.influxdb.retention}
+      - DOCKER_INFLUXDB_INIT_ADMIN_TOKEN=${INFLUXDB_TOKEN_REFERENCE}
     volumes:
       - influxdb-data:/var/lib/influxdb2
       - influxdb-config:/etc/influxdb2
     networks:
       - k6-monitoring
+`
+      : `  influxdb:
+    image: influxdb:1.8
+    container_name: k6-influxdb
+    ports:
+      - "${CONFIG.influxdb.port}:8086"
+    environment:
+      - INFLUXDB_DB=${CONFIG.influxdb.database}
+      - INFLUXDB_USER=${CONFIG.influxdb.username}
+      - INFLUXDB_USER_PASSWORD=${CONFIG.influxdb.password}
+      - INFLUXDB_HTTP_AUTH_ENABLED=true
+    volumes:
+      - influxdb-data:/var/lib/influxdb
+    networks:
+      - k6-monitoring
+`;
+    const dockerCompose = `version: '3.8'
 
+services:
+${influxdbService}
   grafana:
     image: grafana/grafana:latest
     container_name: k6-grafana
@@ -326,9 +450,14 @@ services:
       - GF_SECURITY_ADMIN_USER=${CONFIG.grafana.username}
       - GF_SECURITY_ADMIN_PASSWORD=${CONFIG.grafana.password}
       - GF_INSTALL_PLUGINS=grafana-influxdb-datasource
-    volumes:
+      - GF_DASHBOARDS_DEFAULT_HOME_DASHBOARD_PATH=/etc/grafana/provisioning/dashboards/k6/k6-dashboard.json
+${isInfluxV2() ? `      # Read by the provisioned datasource
+      - INFLUXDB_TOKEN=${INFLUXDB_TOKEN_REFERENCE}
+` : ''}    volumes:
       - grafana-data:/var/lib/grafana
-      - ./grafana-k6-dashboard.json:/etc/grafana/provisioning/dashboards/k6-dashboard.json
+      # Written by: node grafana-setup.js provision
+      - ./${provisioningDir}/dashboards:/etc/grafana/provisioning/dashboards
+      - ./${provisioningDir}/datasources:/etc/grafana/provisioning/datasources
     networks:
       - k6-monitoring
     depends_on:
@@ -355,6 +484,7 @@ networks:
    * Generate run script for k6 with Grafana export
    */
   generateRunScript() {
+    const output = this.k6InfluxOutput();
     const runScript = `#!/bin/bash
 
 # K6 Load Test with Grafana Export
@@ -380,11 +510,11 @@ if ! curl -s http://${CONFIG.influxdb.host}:${CONFIG.influxdb.port}/ping > /dev/
     exit 1
 fi
 
-# Run k6 test with InfluxDB output
-echo "🏃 Running K6 test..."
-k6 run \\
+# Run k6 test with InfluxDB output (tagsAsFields must match the generated dashboard)
+${output.build ? `# InfluxDB 2.x: build the k6 binary once with: ${output.build}\n` : ''}echo "🏃 Running K6 test..."
+${output.env} ${output.binary} run \\
   --env SCENARIO=\$SCENARIO \\
-  --out influxdb=http://${CONFIG.influxdb.username}:${CONFIG.influxdb.password}@${CONFIG.influxdb.host}:${CONFIG.influxdb.port}/${CONFIG.influxdb.database} \\
+  --out ${output.out} \\
   --out json="${CONFIG.outputDir}/k6-results-\$TIMESTAMP.json" \\
   \$TEST_FILE
 
@@ -428,12 +558,31 @@ INFLUXDB_DB=k6_load_tests
 INFLUXDB_USER=k6
 INFLUXDB_PASSWORD=k6password
 INFLUXDB_RETENTION=30d
+# 1 (database/user, InfluxQL) or 2 (org/bucket/token, Flux, xk6-output-influxdb)
+INFLUXDB_VERSION=1
+INFLUXDB_ORG=k6-org
+INFLUXDB_BUCKET=k6_load_tests
+INFLUXDB_TOKEN=k6-admin-token
+INFLUXDB_MEASUREMENT={metric}
+# Defaults to ${DEFAULT_TAGS_AS_FIELDS[1]} (1.x) or ${DEFAULT_TAGS_AS_FIELDS[2]} (2.x)
+K6_INFLUXDB_TAGS_AS_FIELDS=${DEFAULT_TAGS_AS_FIELDS[1]}
 
 # Grafana Configuration
 GRAFANA_HOST=localhost
 GRAFANA_PORT=3000
 GRAFANA_USER=admin
 GRAFANA_PASSWORD=admin
+# influxql, flux or promql (default: flux for InfluxDB 2.x, else detected from grafana-datasource.yml)
+GRAFANA_QUERY_LANGUAGE=
+# publish: Grafana URL (default http://GRAFANA_HOST:GRAFANA_PORT), API token over user/password
+GRAFANA_URL=
+GRAFANA_API_TOKEN=
+GRAFANA_FOLDER=K6 Load Tests
+GRAFANA_FOLDER_UID=k6-load-tests
+GRAFANA_DATASOURCE_UID=k6-influxdb
+# InfluxDB as Grafana reaches it
+GRAFANA_INFLUXDB_URL=http://influxdb:8086
+GRAFANA_PROVISIONING_DIR=./test-results/provisioning
 
 # Output Directory
 K6_OUTPUT_DIR=./test-results
@@ -455,6 +604,7 @@ K6_OUTPUT_DIR=./test-results
     // Generate all configuration files
     await this.setupInfluxDB();
     this.generateGrafanaDashboard();
+    this.provision();
     this.generateDockerCompose();
     this.generateRunScript();
     this.generateEnvConfig();
@@ -464,15 +614,37 @@ K6_OUTPUT_DIR=./test-results
     console.log(`   docker-compose -f ${CONFIG.outputDir}/docker-compose-grafana.yml up -d`);
     console.log('\n2. Run a k6 test with Grafana export:');
     console.log(`   ${CONFIG.outputDir}/run-k6-grafana.sh user_flow`);
+    if (isInfluxV2()) {
+      console.log(`   (InfluxDB 2.x: build k6 once with: ${this.k6InfluxOutput().build})`);
+    }
     console.log('\n3. View results in Grafana:');
     console.log(`   http://${CONFIG.grafana.host}:${CONFIG.grafana.port}`);
     console.log('   (Login: admin/admin)');
-    console.log('\n4. Import the dashboard:');
-    console.log(`   - Go to Grafana → Dashboards → Import`);
-    console.log(`   - Upload: ${CONFIG.outputDir}/grafana-k6-dashboard.json`);
+    console.log(`   The dashboard and datasource are provisioned into the "${CONFIG.grafana.folder.title}" folder`);
+    console.log('\n4. Or push them to an existing Grafana:');
+    console.log('   node grafana-setup.js publish --dry-run');
+    console.log('   node grafana-setup.js publish');
   }
 }
 
+function optionValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+function optionValues(name) {
+  return process.argv.flatMap((arg, index) => (arg === name && process.argv[index + 1] ? [process.argv[index + 1]] : []));
+}
+
+function dashboardFlags() {
+  return {
+    language: optionValue('--language'),
+    measurement: optionValue('--measurement'),
+    tagsAsFields: optionValue('--tags-as-fields'),
+    dashboardFiles: optionValues('--dashboard')
+  };
+}
+
 // CLI Interface
 if (require.main === module) {
   const setup = new GrafanaSetup();
@@ -488,7 +660,36 @@ if (require.main === module) {
       console.log(setup.generateK6Command('k6_api_load_test.js', scenario));
       break;
     case 'dashboard':
-      setup.generateGrafanaDashboard();
+      setup.generateGrafanaDashboard(dashboardFlags());
+      break;
+    case 'provision':
+      setup.provision(dashboardFlags());
+      break;
+    case 'publish':
+      setup.publish({ ...dashboardFlags(), dryRun: process.argv.includes('--dry-run'), force: process.argv.includes('--force') })
+        .then(results => {
+          // 2 = conflicts left in place, like the gate's regression exit code
+          if (results.some(result => result.action === 'conflict')) process.exit(2);
+        })
+        .catch(error => {
+          console.error(`❌ Publish failed: ${error.message}`);
+          process.exit(1);
+        });
+      break;
+    case 'annotate':
+      if (!process.argv[3] || process.argv[3].startsWith('--')) {
+        console.error('Usage: node grafana-setup.js annotate <results.json> [--scenario name] [--environment name] [--verdict passed|failed] [--dry-run]');
+        process.exit(1);
+      }
+      setup.annotate(process.argv[3], {
+        scenario: optionValue('--scenario'),
+        environment: optionValue('--environment'),
+        verdict: optionValue('--verdict'),
+        dryRun: process.argv.includes('--dry-run')
+      }).catch(error => {
+        console.error(`❌ Annotate failed: ${error.message}`);
+        process.exit(1);
+      });
       break;
     case 'docker':
       setup.generateDockerCompose();
@@ -498,7 +699,15 @@ if (require.main === module) {
       console.log('Usage:');
       console.log('  node grafana-setup.js setup          - Complete setup');
       console.log('  node grafana-setup.js command [scenario] - Generate k6 command');
-      console.log('  node grafana-setup.js dashboard      - Generate dashboard only');
+      console.log('  node grafana-setup.js dashboard [--language influxql|flux|promql] [--measurement "{metric}"] [--tags-as-fields vu,iter,url]');
+      console.log('                                       - Generate dashboard only');
+      console.log('  node grafana-setup.js provision [--dashboard file.json ...]');
+      console.log('                                       - Write Grafana provisioning folders (dashboards, datasources)');
+      console.log('  node grafana-setup.js publish [--dry-run] [--force] [--dashboard file.json ...]');
+      console.log('                                       - Push folder, datasource and dashboards via the HTTP API');
+      console.log('                                         (exit code 2 when conflicts were skipped)');
+      console.log('  node grafana-setup.js annotate <results.json> [--scenario name] [--environment name] [--verdict passed|failed] [--dry-run]');
+      console.log('                                       - Mark the run and its phases with region annotations');
       console.log('  node grafana-setup.js docker         - Generate docker-compose only');
   }
 }
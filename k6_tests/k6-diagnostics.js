@@ -0,0 +1,271 @@
+/**
+ * Connection and timing-phase diagnostics
+ *
+ * k6 splits every request into blocked (DNS and waiting for a free
+ * connection), connecting, TLS handshaking, sending, waiting (time to first
+ * byte - the server's share) and receiving. This module turns those into
+ * answers to "is it the backend or the network?":
+ * 1. Per service host: how many requests opened a new connection and what
+ *    TCP connects and TLS handshakes cost
+ * 2. Per endpoint: server time vs. network time vs. queueing
+ * 3. Findings in plain language - connection churn, slow TLS, slow connects,
+ *    download-bound endpoints and request queueing
+ */
+
+const { QuantileSketch } = require('./k6-quantiles');
+
+const PHASES = {
+  http_req_blocked: 'blocked',
+  http_req_connecting: 'connecting',
+  http_req_tls_handshaking: 'tls',
+  http_req_sending: 'sending',
+  http_req_waiting: 'waiting',
+  http_req_receiving: 'receiving'
+};
+
+// When a pattern is worth a finding. Each VU's first connection is always
+// new, so connect and TLS costs need a few more handshakes than that to count.
+const LIMITS = {
+  minRequests: 20,
+  minConnections: 5,
+  newConnectionPercent: 20,
+  connectMs: 100,
+  tlsMs: 100,
+  queueingMs: 50,
+  receivingPercent: 25,
+  receivingMs: 50,
+  // Verdict: where most of the request time goes
+  serverPercent: 60,
+  networkPercent: 40
+};
+
+function hostOf(tags) {
+  try {
+    return new URL(tags.url || tags.name).host;
+  } catch (error) {
+    return 'unknown host';
+  }
+}
+
+function createGroup() {
+  const group = { protocols: new Set(), newConnections: 0, tlsHandshakes: 0, connectOnNew: 0, tlsOnNew: 0, waitingSketch: new QuantileSketch() };
+  Object.values(PHASES).forEach(phase => { group[phase] = { total: 0, count: 0 }; });
+  return group;
+}
+
+function addPoint(group, phase, point) {
+  group[phase].total += point.value;
+  group[phase].count++;
+  if (point.tags.proto) group.protocols.add(point.tags.proto);
+
+  if (phase === 'connecting' && point.value > 0) {
+    group.newConnections++;
+    group.connectOnNew += point.value;
+  } else if (phase === 'tls' && point.value > 0) {
+    group.tlsHandshakes++;
+    group.tlsOnNew += point.value;
+  } else if (phase === 'waiting') {
+    group.waitingSketch.add(point.value);
+  }
+}
+
+/**
+ * Aggregator for readK6Stream
+ */
+function createDiagnosticsAggregator() {
+  const endpoints = {};
+  const hosts = {};
+
+  return {
+    endpoints,
+    hosts,
+    onPoint(point) {
+      const phase = PHASES[point.metric];
+      if (!phase) return;
+
+      const endpoint = point.tags.endpoint || point.tags.name || 'Unknown';
+      const host = hostOf(point.tags);
+      addPoint(endpoints[endpoint] || (endpoints[endpoint] = createGroup()), phase, point);
+      addPoint(hosts[host] || (hosts[host] = createGroup()), phase, point);
+    }
+  };
+}
+
+function groupStats(group) {
+  const avg = phase => (group[phase].count > 0 ? group[phase].total / group[phase].count : 0);
+  const requests = Math.max(...Object.values(PHASES).map(phase => group[phase].count));
+  const blocked = avg('blocked');
+  const connecting = avg('connecting');
+  const tls = avg('tls');
+  const sending = avg('sending');
+  const waiting = avg('waiting');
+  const receiving = avg('receiving');
+  // blocked already contains connecting and TLS; the rest is DNS and waiting for a free connection
+  const queueing = Math.max(0, blocked - connecting - tls);
+  const total = blocked + sending + waiting + receiving;
+  const share = value => (total > 0 ? value / total * 100 : 0);
+
+  return {
+    requests,
+    protocols: [...group.protocols].sort(),
+    newConnections: group.newConnections,
+    newConnectionPercent: group.connecting.count > 0 ? group.newConnections / group.connecting.count * 100 : 0,
+    tlsHandshakes: group.tlsHandshakes,
+    connectOnNew: group.newConnections > 0 ? group.connectOnNew / group.newConnections : 0,
+    tlsOnNew: group.tlsHandshakes > 0 ? group.tlsOnNew / group.tlsHandshakes : 0,
+    tlsPerRequest: tls,
+    blocked,
+    queueing,
+    sending,
+    waiting,
+    waitingP95: group.waitingSketch.count > 0 ? group.waitingSketch.quantile(0.95) : 0,
+    receiving,
+    serverPercent: share(waiting),
+    networkPercent: share(connecting + tls + sending + receiving),
+    queueingPercent: share(queueing),
+    receivingPercent: share(receiving)
+  };
+}
+
+const VERDICTS = [
+  { name: 'backend', explanation: `Mostly server time (≥${LIMITS.serverPercent}% waiting for the first byte) - chase the backend` },
+  { name: 'network', explanation: `Mostly connection setup, transfer or queueing (≥${LIMITS.networkPercent}%) - chase the network` },
+  { name: 'mixed', explanation: 'Split between server and network' }
+];
+
+function verdictOf(stats) {
+  if (stats.serverPercent >= LIMITS.serverPercent) return 'backend';
+  if (stats.networkPercent + stats.queueingPercent >= LIMITS.networkPercent) return 'network';
+  return 'mixed';
+}
+
+// Connection setup is a property of the host; the time split is per endpoint
+function hostFindings(stats) {
+  const findings = [];
+  if (stats.requests < LIMITS.minRequests) return findings;
+
+  if (stats.newConnectionPercent >= LIMITS.newConnectionPercent) {
+    const http2 = stats.protocols.includes('HTTP/2.0');
+    findings.push({
+      kind: 'connection churn',
+      area: 'network',
+      message: `${stats.newConnectionPercent.toFixed(0)}% of requests opened a new connection, so keep-alive connections aren't being reused and each of those requests paid ${(stats.connectOnNew + stats.tlsOnNew).toFixed(0)}ms of TCP and TLS setup. ` +
+        `Look for the server or load balancer closing connections (Connection: close, an idle timeout shorter than the gap between requests)${http2 ? '' : ', or too many parallel HTTP/1.1 requests per VU'}.`
+    });
+  }
+  if (stats.tlsHandshakes >= LIMITS.minConnections && stats.tlsOnNew >= LIMITS.tlsMs) {
+    findings.push({
+      kind: 'slow TLS',
+      area: 'network',
+      message: `TLS handshakes take ${stats.tlsOnNew.toFixed(0)}ms on average (${stats.tlsHandshakes} handshakes, ${stats.tlsPerRequest.toFixed(1)}ms per request once amortized). ` +
+        'Check TLS termination capacity, session resumption, OCSP stapling and the size of the certificate chain.'
+    });
+  }
+  if (stats.newConnections >= LIMITS.minConnections && stats.connectOnNew >= LIMITS.connectMs) {
+    findings.push({
+      kind: 'slow connect',
+      area: 'network',
+      message: `TCP connects take ${stats.connectOnNew.toFixed(0)}ms on average, which is round-trip latency to the host or a load balancer slow to accept connections - not the application.`
+    });
+  }
+  return findings;
+}
+
+function endpointFindings(stats) {
+  const findings = [];
+  if (stats.requests < LIMITS.minRequests) return findings;
+
+  if (stats.receivingPercent >= LIMITS.receivingPercent && stats.receiving >= LIMITS.receivingMs) {
+    findings.push({
+      kind: 'download bottleneck',
+      area: 'network',
+      message: `${stats.receivingPercent.toFixed(0)}% of the request time (${stats.receiving.toFixed(0)}ms) is spent downloading the response body. The payload is large for the available bandwidth: compress it, paginate it or trim fields.`
+    });
+  }
+  if (stats.queueing >= LIMITS.queueingMs) {
+    findings.push({
+      kind: 'request queueing',
+      area: 'client',
+      message: `Requests wait ${stats.queueing.toFixed(0)}ms before being sent (DNS lookups or no free connection). Slow DNS, or more concurrent requests per host than there are connections - check http.batch sizes and connection limits on the load generator.`
+    });
+  }
+  return findings;
+}
+
+/**
+ * @returns {{hosts: Object<string, Object>, endpoints: Object<string, Object>, findings: Array<{scope: string, name: string, kind: string, area: string, message: string}>}}
+ */
+function buildDiagnostics(aggregator) {
+  const hosts = {};
+  const endpoints = {};
+  const findings = [];
+
+  Object.keys(aggregator.hosts).sort().forEach(host => {
+    hosts[host] = groupStats(aggregator.hosts[host]);
+    hosts[host].verdict = verdictOf(hosts[host]);
+    hostFindings(hosts[host]).forEach(finding => findings.push({ scope: 'host', name: host, ...finding }));
+  });
+  Object.keys(aggregator.endpoints).sort().forEach(endpoint => {
+    endpoints[endpoint] = groupStats(aggregator.endpoints[endpoint]);
+    endpoints[endpoint].verdict = verdictOf(endpoints[endpoint]);
+    endpointFindings(endpoints[endpoint]).forEach(finding => findings.push({ scope: 'endpoint', name: endpoint, ...finding }));
+  });
+
+  return { hosts, endpoints, findings };
+}
+
+function displayDiagnostics(diagnostics) {
+  if (Object.keys(diagnostics.endpoints).length === 0) return;
+
+  console.log('\n🔌 CONNECTION AND TIMING DIAGNOSTICS');
+  console.log('='.repeat(80));
+  console.log(`   ${'Host'.padEnd(40)} ${'Requests'.padStart(8)} ${'New conn'.padStart(9)} ${'Connect'.padStart(8)} ${'TLS'.padStart(8)} ${'TLS/req'.padStart(8)}  Protocol`);
+  Object.keys(diagnostics.hosts).forEach(host => {
+    const stats = diagnostics.hosts[host];
+    console.log(`   ${host.slice(0, 40).padEnd(40)} ${String(stats.requests).padStart(8)} ${`${stats.newConnectionPercent.toFixed(1)}%`.padStart(9)} ${`${stats.connectOnNew.toFixed(0)}ms`.padStart(8)} ${`${stats.tlsOnNew.toFixed(0)}ms`.padStart(8)} ${`${stats.tlsPerRequest.toFixed(1)}ms`.padStart(8)}  ${stats.protocols.join(', ') || '-'}`);
+  });
+
+  console.log(`\n   ${'Endpoint'.padEnd(30)} ${'Server'.padStart(7)} ${'Network'.padStart(8)} ${'Queue'.padStart(6)} ${'TTFB P95'.padStart(9)} ${'Receive'.padStart(8)}  Verdict`);
+  Object.keys(diagnostics.endpoints).forEach(endpoint => {
+    const stats = diagnostics.endpoints[endpoint];
+    console.log(`   ${endpoint.slice(0, 30).padEnd(30)} ${`${stats.serverPercent.toFixed(0)}%`.padStart(7)} ${`${stats.networkPercent.toFixed(0)}%`.padStart(8)} ${`${stats.queueingPercent.toFixed(0)}%`.padStart(6)} ${`${stats.waitingP95.toFixed(0)}ms`.padStart(9)} ${`${stats.receiving.toFixed(0)}ms`.padStart(8)}  ${stats.verdict}`);
+  });
+
+  console.log('\n💡 DIAGNOSIS');
+  VERDICTS.forEach(verdict => {
+    const names = Object.keys(diagnostics.endpoints).filter(endpoint => diagnostics.endpoints[endpoint].verdict === verdict.name);
+    if (names.length > 0) console.log(`   🧭 ${verdict.explanation}: ${names.join(', ')}`);
+  });
+  if (diagnostics.findings.length === 0) {
+    console.log('   ✅ No connection churn, slow handshakes, queueing or download bottlenecks found');
+    return;
+  }
+  diagnostics.findings.forEach(finding => {
+    console.log(`   ⚠️  ${finding.name} - ${finding.kind} (${finding.area})`);
+    console.log(`      ${finding.message}`);
+  });
+}
+
+/**
+ * One row per host and endpoint, header first
+ */
+function diagnosticsRows(diagnostics) {
+  const headers = ['Scope', 'Name', 'Requests', 'New Connections (%)', 'Avg Connect on New (ms)', 'Avg TLS on New (ms)', 'TLS per Request (ms)',
+    'Avg Queueing (ms)', 'Avg Sending (ms)', 'Avg Waiting (ms)', 'P95 Waiting (ms)', 'Avg Receiving (ms)', 'Server Time (%)', 'Network Time (%)', 'Queueing (%)', 'Verdict', 'Findings'];
+  const round = value => Math.round(value * 100) / 100;
+  const rows = [headers];
+
+  [['host', diagnostics.hosts], ['endpoint', diagnostics.endpoints]].forEach(([scope, groups]) => {
+    Object.keys(groups).forEach(name => {
+      const stats = groups[name];
+      const findings = diagnostics.findings.filter(finding => finding.scope === scope && finding.name === name).map(finding => finding.kind);
+      rows.push([scope, name, stats.requests, round(stats.newConnectionPercent), round(stats.connectOnNew), round(stats.tlsOnNew), round(stats.tlsPerRequest),
+        round(stats.queueing), round(stats.sending), round(stats.waiting), round(stats.waitingP95), round(stats.receiving),
+        round(stats.serverPercent), round(stats.networkPercent), round(stats.queueingPercent), stats.verdict, findings.join('; ')]);
+    });
+  });
+
+  return rows;
+}
+
+module.exports = { createDiagnosticsAggregator, buildDiagnostics, displayDiagnostics, diagnosticsRows, LIMITS, VERDICTS };
@@ -0,0 +1,245 @@
+import http from 'k6/http';
+import exec from 'k6/execution';
+import { check } from 'k6';
+import { SharedArray } from 'k6/data';
+import { getToken, refreshCredential } from './k6-auth.js';
+
+// Shared endpoint catalog for all k6 scripts.
+// Add, retire or retune an API in api-endpoints.json - the journeys resolve
+// their steps through this module, so no script needs to change.
+const CATALOG_FILE = __ENV.ENDPOINT_CATALOG || './api-endpoints.json';
+
+const DEFAULT_HEADERS = {
+  'Content-Type': 'application/json',
+  Accept: 'application/json',
+  'User-Agent': 'K6-Load-Test/1.0',
+  'Cache-Control': 'no-cache',
+  'x-loadtest': 'true',
+};
+
+// Loaded once in the init context and shared read-only between VUs.
+// Service base URLs are resolved here so every entry is self-contained.
+export const endpoints = new SharedArray('api-endpoints', () => {
+  const catalog = JSON.parse(open(CATALOG_FILE));
+
+  return catalog.endpoints.map((endpoint) => {
+    const service = catalog.services[endpoint.service];
+    if (!service && !endpoint.baseUrl) {
+      throw new Error(`Endpoint "${endpoint.name}" references unknown service "${endpoint.service}"`);
+    }
+
+    return {
+      method: 'GET',
+      headers: {},
+      expectedStatus: 200,
+      slo: {},
+      ...endpoint,
+      baseUrl: endpoint.baseUrl || service.baseUrl,
+    };
+  });
+});
+
+const endpointsByStep = {};
+for (const endpoint of endpoints) {
+  endpointsByStep[endpoint.step] = endpoint;
+}
+
+export function getEndpoint(step) {
+  return endpointsByStep[step];
+}
+
+// Credential keys the catalog needs, for resolveCredentials() in setup()
+export function credentialKeys() {
+  const keys = [];
+  for (const endpoint of endpoints) {
+    if (endpoint.auth && !keys.includes(endpoint.auth)) keys.push(endpoint.auth);
+  }
+  return keys;
+}
+
+// Replace {{placeholders}} in catalog header values (e.g. {{tenantId}})
+function interpolate(value, vars) {
+  return String(value).replace(/\{\{(\w+)\}\}/g, (match, key) => (vars[key] !== undefined ? vars[key] : match));
+}
+
+// Build method, URL, headers and tags for one catalog endpoint.
+// context: { runInfo, tenantId } supplied by the calling script; bearer
+// tokens come from the credential provider in k6-auth.js.
+export function buildRequest(endpoint, context) {
+  const headers = { ...DEFAULT_HEADERS };
+  Object.keys(endpoint.headers).forEach((key) => {
+    headers[key] = interpolate(endpoint.headers[key], { tenantId: context.tenantId });
+  });
+
+  if (endpoint.auth) {
+    headers.Authorization = `Bearer ${getToken(endpoint.auth)}`;
+  }
+
+  return {
+    method: endpoint.method,
+    url: `${endpoint.baseUrl}${endpoint.path}`,
+    params: {
+      headers,
+      tags: {
+        endpoint: endpoint.name,
+        service: endpoint.service,
+        path: endpoint.path,
+        method: endpoint.method,
+        phase: exec.scenario.name,
+        test_run_id: context.runInfo.runId,
+        environment: context.runInfo.environment,
+        timestamp: new Date().toISOString(),
+      },
+    },
+  };
+}
+
+export function checkResponse(response, endpoint, maxDuration = endpoint.slo.p95 || 2000) {
+  // Tagged with the endpoint so checks{endpoint:...} thresholds can see them
+  return check(response, {
+    [`${endpoint.name} - status is ${endpoint.expectedStatus}`]: (r) => r.status === endpoint.expectedStatus,
+    [`${endpoint.name} - duration < ${maxDuration}`]: (r) => r.timings.duration < maxDuration,
+    [`${endpoint.name} - returns JSON`]: (r) => r.headers['Content-Type'] && r.headers['Content-Type'].includes('application/json'),
+    [`${endpoint.name} - valid JSON response`]: (r) => {
+      try {
+        JSON.parse(r.body);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+  }, { endpoint: endpoint.name });
+}
+
+// SLO fields in the catalog and the k6 threshold each one becomes
+const SLO_THRESHOLDS = [
+  { key: 'p95', metric: 'http_req_duration', expression: (value) => `p(95)<${value}` },
+  { key: 'p99', metric: 'http_req_duration', expression: (value) => `p(99)<${value}` },
+  { key: 'errorRate', metric: 'http_req_failed', expression: (value) => `rate<${value}` },
+  { key: 'checkRate', metric: 'checks', expression: (value) => `rate>${value}` },
+];
+
+// Per-endpoint thresholds on the `endpoint` tag, generated from each
+// endpoint's `slo` block. `abortOnFail`/`delayAbortEval` in the slo block
+// apply to all of that endpoint's thresholds.
+export function endpointThresholds() {
+  const thresholds = {};
+
+  for (const endpoint of endpoints) {
+    const slo = endpoint.slo;
+    SLO_THRESHOLDS.forEach(({ key, metric, expression }) => {
+      if (slo[key] === undefined) return;
+
+      const name = `${metric}{endpoint:${endpoint.name}}`;
+      const threshold = slo.abortOnFail
+        ? { threshold: expression(slo[key]), abortOnFail: true, ...(slo.delayAbortEval ? { delayAbortEval: slo.delayAbortEval } : {}) }
+        : expression(slo[key]);
+
+      thresholds[name] = (thresholds[name] || []).concat(threshold);
+    });
+  }
+
+  return thresholds;
+}
+
+// Outcome of every per-endpoint threshold in handleSummary() data
+export function sloResults(data) {
+  const results = [];
+
+  Object.keys(data.metrics).forEach((name) => {
+    const match = name.match(/^(\w+)\{endpoint:(.+)\}$/);
+    const metric = data.metrics[name];
+    if (!match || !metric.thresholds) return;
+
+    Object.keys(metric.thresholds).forEach((threshold) => {
+      const stat = threshold.split(/[<>=!]/)[0].trim();
+      results.push({
+        endpoint: match[2],
+        metric: match[1],
+        threshold,
+        value: metric.values ? metric.values[stat] : undefined,
+        ok: metric.thresholds[threshold].ok,
+      });
+    });
+  });
+
+  return results;
+}
+
+function formatSloValue(metric, value) {
+  if (value === undefined) return 'n/a';
+  return metric === 'http_req_duration' ? `${Math.round(value)}ms` : `${(value * 100).toFixed(2)}%`;
+}
+
+export function printSloResults(data) {
+  const results = sloResults(data);
+  if (results.length === 0) return;
+
+  console.log(`\n🎯 ENDPOINT SLOs:`);
+  for (const endpoint of endpoints) {
+    const own = results.filter((result) => result.endpoint === endpoint.name);
+    if (own.length === 0) continue;
+
+    const breached = own.filter((result) => !result.ok);
+    const details = (breached.length > 0 ? breached : own)
+      .map((result) => `${result.metric} ${result.threshold} (${formatSloValue(result.metric, result.value)})`)
+      .join(', ');
+    console.log(`   ${breached.length > 0 ? '❌' : '✅'} ${endpoint.name}: ${breached.length > 0 ? 'BREACHED ' : ''}${details}`);
+  }
+
+  const breachedEndpoints = [...new Set(results.filter((result) => !result.ok).map((result) => result.endpoint))];
+  if (breachedEndpoints.length > 0) {
+    console.log(`   🔴 SLO breached by: ${breachedEndpoints.join(', ')}`);
+  } else {
+    console.log(`   🟢 All endpoints within SLO`);
+  }
+}
+
+// Call one journey step by its catalog key. Unknown steps are skipped so a
+// retired endpoint doesn't break journeys that still mention it.
+// A 401 on a login-based credential triggers one refresh and retry.
+export function callEndpoint(step, context, maxDuration) {
+  const endpoint = getEndpoint(step);
+  if (!endpoint) return undefined;
+
+  const request = buildRequest(endpoint, context);
+  let response = http.request(request.method, request.url, null, request.params);
+
+  if (response.status === 401 && endpoint.auth && refreshCredential(endpoint.auth)) {
+    const retry = buildRequest(endpoint, context);
+    response = http.request(retry.method, retry.url, null, retry.params);
+  }
+  checkResponse(response, endpoint, maxDuration);
+
+  return response;
+}
+
+// Fire several steps in parallel with http.batch, at most `concurrency`
+// requests in flight at a time (k6's batchPerHost still applies on top).
+// Returns the responses in step order; unknown steps are skipped.
+export function callEndpointsInParallel(steps, context, { concurrency = steps.length, maxDuration } = {}) {
+  const catalogEndpoints = steps.map(getEndpoint).filter(Boolean);
+  // A non-numeric concurrency would make every chunk empty; send all at once instead
+  const chunkSize = Number.isFinite(concurrency) ? Math.max(1, Math.floor(concurrency)) : Math.max(1, steps.length);
+  const responses = [];
+
+  for (let i = 0; i < catalogEndpoints.length; i += chunkSize) {
+    const chunk = catalogEndpoints.slice(i, i + chunkSize);
+    const batchResponses = http.batch(chunk.map((endpoint) => {
+      const request = buildRequest(endpoint, context);
+      return [request.method, request.url, null, request.params];
+    }));
+
+    chunk.forEach((endpoint, index) => {
+      let response = batchResponses[index];
+      if (response.status === 401 && endpoint.auth && refreshCredential(endpoint.auth)) {
+        const retry = buildRequest(endpoint, context);
+        response = http.request(retry.method, retry.url, null, retry.params);
+      }
+      checkResponse(response, endpoint, maxDuration);
+      responses.push(response);
+    });
+  }
+
+  return responses;
+}
@@ -0,0 +1,285 @@
+/**
+ * Status-code and error taxonomy per endpoint
+ *
+ * k6 tags every http_reqs point with the response `status` and, for failed
+ * requests, an `error` message and numeric `error_code`. This aggregator
+ * groups them per endpoint:
+ * 1. Status code distribution (status 0 means no response at all)
+ * 2. k6 error codes by category - timeouts, connection resets, DNS, TLS...
+ *    with their first and last occurrence
+ * 3. Error bursts: runs of consecutive time windows with failed requests
+ */
+
+const { OVERALL } = require('./k6-run-stats');
+
+// https://grafana.com/docs/k6/latest/javascript-api/error-codes/
+const ERROR_CODE_CATEGORIES = [
+  [1050, 1050, 'timeout'],
+  [1211, 1211, 'timeout'],
+  [1212, 1212, 'connection refused'],
+  [1220, 1220, 'connection reset'],
+  [1000, 1099, 'general'],
+  [1100, 1199, 'dns'],
+  [1200, 1299, 'tcp'],
+  [1300, 1399, 'tls'],
+  [1400, 1499, 'http 4xx'],
+  [1500, 1599, 'http 5xx'],
+  [1600, 1699, 'http/2']
+];
+
+const DEFAULT_WINDOW_MS = 10000;
+
+function classifyErrorCode(code) {
+  const match = ERROR_CODE_CATEGORIES.find(([from, to]) => code >= from && code <= to);
+  return match ? match[2] : 'unknown';
+}
+
+function statusClass(status) {
+  if (!status || status === '0') return 'no response';
+  return `${String(status)[0]}xx`;
+}
+
+/**
+ * k6 marks a request failed with expected_response (its responseCallback);
+ * older outputs without that tag fall back to the status code
+ */
+function isFailed(tags) {
+  if (tags.expected_response !== undefined) return tags.expected_response === 'false';
+  const status = Number(tags.status);
+  return !status || status >= 400 || Boolean(tags.error_code);
+}
+
+function errorKey(tags) {
+  if (tags.error_code) {
+    const code = Number(tags.error_code);
+    return { key: String(code), code, category: classifyErrorCode(code) };
+  }
+  return { key: `HTTP ${tags.status || 0}`, code: null, category: tags.status && tags.status !== '0' ? `http ${statusClass(tags.status)}` : 'no response' };
+}
+
+function createEndpointEntry() {
+  return { requests: 0, failures: 0, statuses: {}, errors: {}, firstFailure: null, lastFailure: null };
+}
+
+function track(map, key, time, extra = {}) {
+  const entry = map[key] || (map[key] = { ...extra, count: 0, first: time, last: time });
+  entry.count++;
+  if (time < entry.first) entry.first = time;
+  if (time > entry.last) entry.last = time;
+  return entry;
+}
+
+function record(entry, tags, time) {
+  entry.requests++;
+  track(entry.statuses, tags.status || '0', time);
+  if (!isFailed(tags)) return;
+
+  entry.failures++;
+  const { key, code, category } = errorKey(tags);
+  track(entry.errors, key, time, { code, category, message: tags.error || null });
+  if (entry.firstFailure === null || time < entry.firstFailure) entry.firstFailure = time;
+  if (entry.lastFailure === null || time > entry.lastFailure) entry.lastFailure = time;
+}
+
+/**
+ * Aggregator for readK6Stream, counting each request once via http_reqs
+ * @param {Object} [options]
+ * @param {number} [options.windowMs] - burst detection window (default 10s)
+ */
+function createErrorAggregator({ windowMs = DEFAULT_WINDOW_MS } = {}) {
+  const endpoints = {};
+  const overall = createEndpointEntry();
+  const windows = new Map();
+
+  return {
+    windowMs,
+    endpoints,
+    overall,
+    windows,
+    onPoint(point) {
+      if (point.metric !== 'http_reqs' || !point.time) return;
+
+      const time = Date.parse(point.time);
+      const endpoint = point.tags.endpoint || point.tags.name || 'Unknown';
+      record(endpoints[endpoint] || (endpoints[endpoint] = createEndpointEntry()), point.tags, time);
+      record(overall, point.tags, time);
+
+      const start = Math.floor(time / windowMs) * windowMs;
+      const window = windows.get(start) || { requests: 0, failures: 0, endpoints: {}, errors: {} };
+      windows.set(start, window);
+      window.requests++;
+      if (isFailed(point.tags)) {
+        const { key } = errorKey(point.tags);
+        window.failures++;
+        window.endpoints[endpoint] = (window.endpoints[endpoint] || 0) + 1;
+        window.errors[key] = (window.errors[key] || 0) + 1;
+      }
+    }
+  };
+}
+
+function topKey(counts) {
+  const keys = Object.keys(counts);
+  return keys.length === 0 ? null : keys.reduce((best, key) => (counts[key] > counts[best] ? key : best), keys[0]);
+}
+
+function addCounts(target, counts) {
+  Object.keys(counts).forEach(key => { target[key] = (target[key] || 0) + counts[key]; });
+}
+
+/**
+ * Group consecutive failing windows into bursts
+ */
+function findBursts(windows, windowMs) {
+  const bursts = [];
+  let current = null;
+
+  [...windows.keys()].sort((a, b) => a - b).forEach(start => {
+    const window = windows.get(start);
+    if (window.failures === 0) {
+      current = null;
+      return;
+    }
+    if (!current || start !== current.end) {
+      current = { start, end: start, requests: 0, failures: 0, endpoints: {}, errors: {} };
+      bursts.push(current);
+    }
+    current.end = start + windowMs;
+    current.requests += window.requests;
+    current.failures += window.failures;
+    addCounts(current.endpoints, window.endpoints);
+    addCounts(current.errors, window.errors);
+  });
+
+  return bursts.map(burst => ({
+    start: new Date(burst.start).toISOString(),
+    end: new Date(burst.end).toISOString(),
+    durationSeconds: (burst.end - burst.start) / 1000,
+    requests: burst.requests,
+    failures: burst.failures,
+    errorRate: burst.failures / burst.requests * 100,
+    endpoints: burst.endpoints,
+    topError: topKey(burst.errors)
+  }));
+}
+
+function isoOrNull(time) {
+  return time === null ? null : new Date(time).toISOString();
+}
+
+function summarizeEntry(entry) {
+  const mapEntries = (map, extra) => Object.keys(map)
+    .sort((a, b) => map[b].count - map[a].count || a.localeCompare(b))
+    .map(key => ({ key, ...extra(key), count: map[key].count, rate: map[key].count / entry.requests * 100, first: isoOrNull(map[key].first), last: isoOrNull(map[key].last) }));
+
+  return {
+    requests: entry.requests,
+    failures: entry.failures,
+    errorRate: entry.requests > 0 ? entry.failures / entry.requests * 100 : 0,
+    firstFailure: isoOrNull(entry.firstFailure),
+    lastFailure: isoOrNull(entry.lastFailure),
+    statuses: mapEntries(entry.statuses, key => ({ category: statusClass(key) })),
+    errors: mapEntries(entry.errors, key => ({ code: entry.errors[key].code, category: entry.errors[key].category, message: entry.errors[key].message }))
+  };
+}
+
+/**
+ * @returns {{windowSeconds: number, endpoints: Object<string, Object>, bursts: Object[]}}
+ *   endpoints includes OVERALL; statuses and errors are sorted by count
+ */
+function buildErrorBreakdown(aggregator) {
+  const endpoints = {};
+  Object.keys(aggregator.endpoints).sort().forEach(name => {
+    endpoints[name] = summarizeEntry(aggregator.endpoints[name]);
+  });
+  endpoints[OVERALL] = summarizeEntry(aggregator.overall);
+
+  return {
+    windowSeconds: aggregator.windowMs / 1000,
+    endpoints,
+    bursts: findBursts(aggregator.windows, aggregator.windowMs)
+  };
+}
+
+function shortTime(iso) {
+  return iso ? iso.slice(11, 19) : '-';
+}
+
+function displayErrorBreakdown(breakdown) {
+  console.log('\n❌ ERROR BREAKDOWN');
+  console.log('='.repeat(80));
+
+  const overall = breakdown.endpoints[OVERALL];
+  if (overall.requests === 0) {
+    console.log('No HTTP requests found');
+    return;
+  }
+
+  Object.keys(breakdown.endpoints).forEach(name => {
+    const entry = breakdown.endpoints[name];
+    const statuses = entry.statuses.map(status => `${status.key === '0' ? 'no response' : status.key}: ${status.count}`).join(', ');
+    console.log(`\n${name === OVERALL ? '📊' : '🔗'} ${name} - ${entry.failures} of ${entry.requests} failed (${entry.errorRate.toFixed(2)}%)`);
+    console.log(`   Status codes: ${statuses}`);
+    entry.errors.forEach(error => {
+      const message = error.message ? ` - ${error.message}` : '';
+      console.log(`   ${error.key.padEnd(9)} ${error.category.padEnd(18)} ${String(error.count).padStart(6)} (${error.rate.toFixed(2)}%)  first ${shortTime(error.first)}, last ${shortTime(error.last)}${message}`);
+    });
+  });
+
+  if (overall.failures === 0) {
+    console.log('\nNo failed requests ✅');
+    return;
+  }
+
+  console.log(`\n💥 ERROR BURSTS (consecutive ${breakdown.windowSeconds}s windows with failures)`);
+  const largest = [...breakdown.bursts].sort((a, b) => b.failures - a.failures).slice(0, 10);
+  largest.forEach(burst => {
+    const endpoints = Object.keys(burst.endpoints).sort((a, b) => burst.endpoints[b] - burst.endpoints[a]).join(', ');
+    console.log(`   ${shortTime(burst.start)}-${shortTime(burst.end)} ${String(burst.failures).padStart(6)} failed of ${burst.requests} (${burst.errorRate.toFixed(1)}%), mostly ${burst.topError} - ${endpoints}`);
+  });
+  if (breakdown.bursts.length > largest.length) {
+    console.log(`   ... ${breakdown.bursts.length - largest.length} smaller burst(s) in the CSV`);
+  }
+}
+
+/**
+ * Long-format rows (header first): one per status code and error code of
+ * every endpoint, then one per burst
+ */
+function errorRows(breakdown) {
+  const headers = ['Kind', 'Endpoint', 'Key', 'Category', 'Count', 'Rate (%)', 'First Seen', 'Last Seen', 'Detail'];
+  const rows = [headers];
+  const round = value => Math.round(value * 100) / 100;
+
+  Object.keys(breakdown.endpoints).forEach(name => {
+    const entry = breakdown.endpoints[name];
+    entry.statuses.forEach(status => rows.push(['status', name, status.key, status.category, status.count, round(status.rate), status.first, status.last, null]));
+    entry.errors.forEach(error => rows.push(['error', name, error.key, error.category, error.count, round(error.rate), error.first, error.last, error.message]));
+  });
+
+  breakdown.bursts.forEach(burst => {
+    rows.push(['burst', Object.keys(burst.endpoints).sort().join('; '), burst.topError, null, burst.failures, round(burst.errorRate), burst.start, burst.end, `${burst.requests} requests`]);
+  });
+
+  return rows;
+}
+
+function errorBreakdownCSV(breakdown) {
+  const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+  return errorRows(breakdown)
+    .map((row, index) => row.map(value => {
+      if (value === null) return '';
+      return index === 0 || typeof value === 'number' ? value : quote(value);
+    }).join(','))
+    .join('\n');
+}
+
+module.exports = {
+  createErrorAggregator,
+  buildErrorBreakdown,
+  displayErrorBreakdown,
+  errorRows,
+  errorBreakdownCSV,
+  classifyErrorCode,
+  statusClass
+};
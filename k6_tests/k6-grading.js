@@ -0,0 +1,296 @@
+/**
+ * Apdex scores and performance grades
+ *
+ * One grading engine for the analyzers, the reports, the run history and the
+ * k6 end-of-test summary, configured by grading-rubrics.json:
+ * 1. A rubric is an Apdex T (ms) plus, per letter grade, the lowest Apdex and
+ *    the highest P95 / error rate it allows; `scenarios` and `endpoints`
+ *    entries override the default one criterion at a time
+ * 2. Apdex = (satisfied + tolerating / 2) / requests, where satisfied requests
+ *    take at most T and tolerating ones at most 4T; failed requests count as
+ *    frustrated. Without a duration sketch it is read off the percentiles.
+ * 3. The grade is the best letter whose criteria all hold, otherwise F. The
+ *    reasons are the criteria that kept it from the next better letter.
+ *
+ * k6 loads this file too (handleSummary), so it has no dependencies and only
+ * loadRubrics() touches the file system.
+ */
+
+const DEFAULT_RUBRIC = {
+  apdexT: 500,
+  grades: {
+    A: { apdex: 0.94, p95: 1000, errorRate: 0.5 },
+    B: { apdex: 0.85, p95: 2000, errorRate: 1 },
+    C: { apdex: 0.7, p95: 3000, errorRate: 2 },
+    D: { apdex: 0.5, p95: 5000, errorRate: 5 }
+  }
+};
+
+const FAILING_GRADE = 'F';
+
+// Standard Apdex rating bands
+const APDEX_RATINGS = [[0.94, 'Excellent'], [0.85, 'Good'], [0.7, 'Fair'], [0.5, 'Poor'], [0, 'Unacceptable']];
+
+const ms = value => `${Math.round(value)}ms`;
+const CRITERIA = {
+  apdex: { label: 'Apdex', higherIsBetter: true, format: value => value.toFixed(2) },
+  avg: { label: 'Avg', format: ms },
+  p50: { label: 'P50', format: ms },
+  p90: { label: 'P90', format: ms },
+  p95: { label: 'P95', format: ms },
+  p99: { label: 'P99', format: ms },
+  errorRate: { label: 'errors', format: value => `${value.toFixed(2)}%` }
+};
+
+const GRADE_ICONS = { A: '🟢', B: '🟢', C: '🟡', D: '🟠', F: '🔴' };
+
+function rubricsFile() {
+  return process.env.GRADING_RUBRICS || require('path').join(__dirname, 'grading-rubrics.json');
+}
+
+function loadRubrics(file = rubricsFile()) {
+  const fs = require('fs');
+  const config = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  return { default: config.default || {}, scenarios: config.scenarios || {}, endpoints: config.endpoints || {} };
+}
+
+function mergeRubric(base, override) {
+  if (!override) return base;
+  const grades = { ...base.grades };
+  Object.keys(override.grades || {}).forEach(letter => {
+    grades[letter] = { ...(grades[letter] || {}), ...override.grades[letter] };
+  });
+  return { apdexT: override.apdexT !== undefined ? override.apdexT : base.apdexT, grades };
+}
+
+/**
+ * Rubric for one endpoint of a run: default, then every scenario the run
+ * covered, then the endpoint, then the endpoint within those scenarios
+ * @param {Object} rubrics - loadRubrics() result or the parsed JSON
+ * @param {Object} [target]
+ * @param {string} [target.scenario] - comma-separated for chained runs
+ * @param {string} [target.endpoint]
+ */
+function rubricFor(rubrics, { scenario, endpoint } = {}) {
+  const names = scenario ? String(scenario).split(',').map(name => name.trim()) : [];
+  const scenarioEntries = Object.keys(rubrics.scenarios || {})
+    .filter(name => names.includes(name))
+    .map(name => rubrics.scenarios[name]);
+
+  let rubric = mergeRubric(DEFAULT_RUBRIC, rubrics.default);
+  scenarioEntries.forEach(entry => { rubric = mergeRubric(rubric, entry); });
+  if (endpoint) {
+    rubric = mergeRubric(rubric, (rubrics.endpoints || {})[endpoint]);
+    scenarioEntries.forEach(entry => { rubric = mergeRubric(rubric, (entry.endpoints || {})[endpoint]); });
+  }
+  return rubric;
+}
+
+/**
+ * Share of requests at or below `value`, interpolated between the known
+ * percentiles (summary exports and handleSummary data have no samples)
+ */
+function fractionFromPercentiles(stats, value) {
+  const points = [[stats.p50, 0.5], [stats.p90, 0.9], [stats.p95, 0.95], [stats.p99, 0.99], [stats.max, 1]]
+    .filter(([latency]) => Number.isFinite(latency));
+  // The max alone says nothing about the shape below it
+  if (points.length === 0 || (points.length === 1 && points[0][1] === 1)) return null;
+
+  let previous = [0, 0];
+  for (const point of points) {
+    if (value < point[0]) {
+      const span = point[0] - previous[0];
+      return span > 0 ? previous[1] + (point[1] - previous[1]) * (value - previous[0]) / span : previous[1];
+    }
+    previous = point;
+  }
+  return previous[1];
+}
+
+function apdexRating(score) {
+  return APDEX_RATINGS.find(([minimum]) => score >= minimum)[1];
+}
+
+/**
+ * @param {Object} stats - requests, p50..p99, max, errorRate (%) and optionally a QuantileSketch
+ * @param {number} t - Apdex T in ms
+ * @returns {{score: number, t: number, satisfied: number, tolerating: number, frustrated: number, rating: string, estimated: boolean}|null}
+ *   satisfied/tolerating/frustrated are shares of all requests
+ */
+function apdexOf(stats, t) {
+  if (!stats) return null;
+
+  let satisfied;
+  let withinFourT;
+  const estimated = !(stats.sketch && stats.sketch.count > 0);
+  if (!estimated) {
+    satisfied = stats.sketch.countAtOrBelow(t) / stats.sketch.count;
+    withinFourT = stats.sketch.countAtOrBelow(4 * t) / stats.sketch.count;
+  } else {
+    satisfied = fractionFromPercentiles(stats, t);
+    withinFourT = fractionFromPercentiles(stats, 4 * t);
+    if (satisfied === null) return null;
+  }
+
+  // Failed requests are frustrated whatever their duration
+  const succeeded = 1 - (Number.isFinite(stats.errorRate) ? stats.errorRate : 0) / 100;
+  const share = value => Math.round(value * succeeded * 10000) / 10000;
+  const score = Math.round((satisfied + (withinFourT - satisfied) / 2) * succeeded * 1000) / 1000;
+
+  return {
+    score,
+    t,
+    satisfied: share(satisfied),
+    tolerating: share(withinFourT - satisfied),
+    frustrated: Math.round((1 - (satisfied + (withinFourT - satisfied)) * succeeded) * 10000) / 10000,
+    rating: apdexRating(score),
+    estimated
+  };
+}
+
+function criteriaChecks(criteria, values) {
+  return Object.keys(criteria)
+    .filter(metric => CRITERIA[metric] && Number.isFinite(values[metric]))
+    .map(metric => {
+      const limit = criteria[metric];
+      const value = values[metric];
+      return { metric, value, limit, ok: CRITERIA[metric].higherIsBetter ? value >= limit : value <= limit };
+    });
+}
+
+function describeCheck(check, letter) {
+  const { label, format, higherIsBetter } = CRITERIA[check.metric];
+  if (check.ok) return `${label} ${format(check.value)} ${higherIsBetter ? '≥' : '≤'} ${format(check.limit)}`;
+  return `${label} ${format(check.value)} ${higherIsBetter ? 'below' : 'above'} ${format(check.limit)} needed for ${letter}`;
+}
+
+/**
+ * Grade one endpoint's stats against a rubric
+ * @returns {{grade: string|null, apdex: Object|null, reasons: string[]}} grade is null when no criterion could be checked
+ */
+function gradeStats(stats, rubric) {
+  const apdex = apdexOf(stats, rubric.apdexT);
+  const values = { ...stats, apdex: apdex ? apdex.score : null };
+  const letters = Object.keys(rubric.grades).sort();
+  const outcomes = letters.map(letter => ({ letter, checks: criteriaChecks(rubric.grades[letter], values) }));
+
+  if (outcomes.every(outcome => outcome.checks.length === 0)) {
+    return { grade: null, apdex, reasons: ['No latency or error data to grade'] };
+  }
+
+  const index = outcomes.findIndex(outcome => outcome.checks.length > 0 && outcome.checks.every(check => check.ok));
+  if (index === 0) {
+    return { grade: letters[0], apdex, reasons: outcomes[0].checks.map(check => describeCheck(check, letters[0])) };
+  }
+
+  // What kept it from the next better letter
+  const better = outcomes[index === -1 ? outcomes.length - 1 : index - 1];
+  return {
+    grade: index === -1 ? FAILING_GRADE : letters[index],
+    apdex,
+    reasons: better.checks.filter(check => !check.ok).map(check => describeCheck(check, better.letter))
+  };
+}
+
+/**
+ * Grade every endpoint of a run
+ * @param {Object<string, Object>} endpoints - endpoint -> stats, e.g. loadRunStats().endpoints
+ * @param {Object} [options]
+ * @param {string} [options.scenario]
+ * @param {Object} [options.rubrics] - defaults to loadRubrics()
+ * @returns {Object<string, Object>} endpoint -> gradeStats() result plus its apdexT
+ */
+function gradeRun(endpoints, { scenario, rubrics = loadRubrics() } = {}) {
+  const grades = {};
+  Object.keys(endpoints).forEach(endpoint => {
+    if (!endpoints[endpoint]) return;
+    const rubric = rubricFor(rubrics, { scenario, endpoint });
+    grades[endpoint] = { ...gradeStats(endpoints[endpoint], rubric), apdexT: rubric.apdexT };
+  });
+  return grades;
+}
+
+// Per-endpoint stats from handleSummary() data or a --summary-export file
+function summaryStats(metrics, suffix) {
+  const duration = metrics[`http_req_duration${suffix}`];
+  const failed = metrics[`http_req_failed${suffix}`];
+  if (!duration && !failed) return null;
+
+  const values = duration ? duration.values || duration : {};
+  const failedValues = failed ? failed.values || failed : {};
+  const rate = failedValues.rate !== undefined ? failedValues.rate : failedValues.value;
+  const pick = (...keys) => values[keys.find(key => values[key] !== undefined)];
+  return {
+    avg: values.avg,
+    p50: pick('med', 'p(50)', 'p50'),
+    p90: pick('p(90)', 'p90'),
+    p95: pick('p(95)', 'p95'),
+    p99: pick('p(99)', 'p99'),
+    max: values.max,
+    errorRate: rate !== undefined ? rate * 100 : null
+  };
+}
+
+/**
+ * Grade a run from its summary: overall (OVERALL_NAME) plus every endpoint
+ * with an http_req_duration{endpoint:...} or http_req_failed{endpoint:...} submetric
+ */
+function gradeSummary(data, { scenario, rubrics, overallName = 'All endpoints' } = {}) {
+  const metrics = data.metrics || {};
+  const endpoints = { [overallName]: summaryStats(metrics, '') };
+  Object.keys(metrics)
+    .map(name => name.match(/^http_req_(?:duration|failed)\{endpoint:(.+)\}$/))
+    .filter(Boolean)
+    .map(match => match[1])
+    .sort()
+    .forEach(endpoint => {
+      if (!endpoints[endpoint]) endpoints[endpoint] = summaryStats(metrics, `{endpoint:${endpoint}}`);
+    });
+  return gradeRun(endpoints, { scenario, rubrics: rubrics || loadRubrics() });
+}
+
+/**
+ * "0.91 [0.5]": Apdex notation with T in seconds; ~ marks an estimate
+ */
+function formatApdex(apdex) {
+  if (!apdex) return 'n/a';
+  return `${apdex.estimated ? '~' : ''}${apdex.score.toFixed(2)} [${apdex.t / 1000}]`;
+}
+
+function gradeLines(grades) {
+  const lines = [];
+  const width = Math.min(32, Math.max(...Object.keys(grades).map(name => name.length)));
+  Object.keys(grades).forEach(name => {
+    const result = grades[name];
+    const grade = result.grade || 'n/a';
+    const apdex = result.apdex ? `Apdex ${formatApdex(result.apdex)} ${result.apdex.rating}` : 'Apdex n/a';
+    lines.push(`   ${GRADE_ICONS[grade] || '⚪'} ${grade.padEnd(3)} ${name.slice(0, width).padEnd(width)}  ${apdex}`);
+    if (result.reasons.length > 0) lines.push(`         ${result.reasons.join('; ')}`);
+  });
+  return lines;
+}
+
+function displayGrades(grades) {
+  console.log('\n🎓 PERFORMANCE GRADES (Apdex [T in seconds], ~ = estimated from percentiles)');
+  console.log('='.repeat(80));
+  if (Object.keys(grades).length === 0) {
+    console.log('No endpoints to grade');
+    return;
+  }
+  gradeLines(grades).forEach(line => console.log(line));
+}
+
+module.exports = {
+  loadRubrics,
+  rubricFor,
+  apdexOf,
+  gradeStats,
+  gradeRun,
+  gradeSummary,
+  formatApdex,
+  gradeLines,
+  displayGrades,
+  rubricsFile,
+  DEFAULT_RUBRIC,
+  GRADE_ICONS
+};
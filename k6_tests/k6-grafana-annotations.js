@@ -0,0 +1,112 @@
+/**
+ * Grafana region annotations for a k6 run
+ *
+ * Marks when a load test ran on every dashboard, not just the k6 one:
+ * 1. One region for the whole run plus one per phase (the `phase` tag,
+ *    or the k6 scenario), spanning their first to last request
+ * 2. Every annotation carries the run id, scenario, environment and verdict
+ *    as tags (`run:<id>`, `scenario:<name>`, `environment:<name>`,
+ *    `verdict:passed|failed`) plus `k6-run` or `k6-phase`, which the
+ *    generated dashboard overlays
+ * 3. The verdict fails on any crossed threshold (re-evaluated from the
+ *    results file) or a failed performance gate
+ * 4. Annotations are organization-wide (no dashboard uid), so service
+ *    dashboards can show them with a tag query too
+ */
+
+const path = require('path');
+const { readK6Stream } = require('./k6-stream-reader');
+const { createRunMetaAggregator, HTTP_METRICS } = require('./k6-run-stats');
+const { createPhaseAggregator } = require('./k6-phase-analysis');
+const { createThresholdAggregator } = require('./k6-thresholds');
+
+const RUN_TAG = 'k6-run';
+const PHASE_TAG = 'k6-phase';
+
+const VERDICT_ICONS = { passed: '✅', failed: '❌' };
+
+/**
+ * passed/failed plus the reasons for a failure
+ * @param {Object[]} thresholds - rows from createThresholdAggregator().results()
+ * @param {Object} [gate] - checkGate() result
+ */
+function runVerdict(thresholds, gate) {
+  const reasons = thresholds
+    .filter(row => row.ok === false)
+    .map(row => `threshold ${row.metric} ${row.threshold} crossed (${row.formatted})`);
+  if (gate && gate.passed === false) {
+    reasons.unshift(gate.failures && gate.failures.length > 0
+      ? `performance gate failed: ${gate.failures.length} check(s) regressed`
+      : 'performance gate failed');
+  }
+  return { verdict: reasons.length > 0 ? 'failed' : 'passed', reasons };
+}
+
+/**
+ * Build the run and phase annotations from a k6 NDJSON results file
+ * @param {string} resultsFile
+ * @param {Object} [options]
+ * @param {string} [options.scenario] - defaults to the scenario tags in the file
+ * @param {string} [options.environment] - defaults to the environment tag in the file
+ * @param {string} [options.verdict] - passed or failed, instead of working it out
+ * @param {Object} [options.gate] - checkGate() result to fold into the verdict
+ * @returns {Promise<{run: Object, annotations: Object[]}>}
+ */
+async function buildRunAnnotations(resultsFile, options = {}) {
+  const meta = createRunMetaAggregator({ metrics: HTTP_METRICS });
+  const phases = createPhaseAggregator();
+  const thresholds = createThresholdAggregator();
+  if (options.verdict && !VERDICT_ICONS[options.verdict]) {
+    throw new Error(`Unknown verdict "${options.verdict}" - use passed or failed`);
+  }
+  await readK6Stream(resultsFile, [meta, phases, thresholds]);
+
+  const runMeta = meta.result();
+  if (!runMeta.startTime) {
+    throw new Error(`No HTTP request points in ${resultsFile} - nothing to annotate`);
+  }
+
+  const computed = runVerdict(thresholds.results(), options.gate);
+  const run = {
+    runId: runMeta.runId || path.basename(resultsFile).replace(/\.json(\.gz)?$/, ''),
+    scenario: options.scenario || runMeta.scenarios.join(',') || 'unknown',
+    environment: options.environment || runMeta.environment || 'unknown',
+    verdict: options.verdict || computed.verdict,
+    reasons: options.verdict ? [] : computed.reasons,
+    startTime: runMeta.startTime,
+    endTime: runMeta.endTime
+  };
+
+  const tags = [
+    `run:${run.runId}`,
+    `scenario:${run.scenario}`,
+    `environment:${run.environment}`,
+    `verdict:${run.verdict}`
+  ];
+  const headline = `${run.scenario} @ ${run.environment} - ${VERDICT_ICONS[run.verdict]} ${run.verdict}`;
+
+  const annotations = [{
+    key: RUN_TAG,
+    time: Date.parse(run.startTime),
+    timeEnd: Date.parse(run.endTime),
+    tags: ['k6', RUN_TAG, ...tags],
+    text: [`k6 run ${headline}`, `Run: ${run.runId}`, ...run.reasons].join('\n')
+  }];
+
+  Object.keys(phases.phases)
+    .sort((a, b) => phases.phases[a].firstTime - phases.phases[b].firstTime)
+    .forEach(name => {
+      const phase = phases.phases[name];
+      annotations.push({
+        key: `phase:${name}`,
+        time: phase.firstTime,
+        timeEnd: phase.lastTime,
+        tags: ['k6', PHASE_TAG, `phase:${name}`, ...tags],
+        text: `k6 phase ${name} - ${headline}\nRun: ${run.runId}`
+      });
+    });
+
+  return { run, annotations };
+}
+
+module.exports = { buildRunAnnotations, runVerdict, RUN_TAG, PHASE_TAG };
@@ -0,0 +1,317 @@
+/**
+ * Publishes the k6 Grafana folder, datasources and dashboards over the HTTP API
+ *
+ * Safe to run after every change, against any Grafana:
+ * 1. Every resource is addressed by uid - fetched first, then created,
+ *    updated or left alone. Only the fields we generate are compared, so
+ *    defaults Grafana adds on save don't count as changes
+ * 2. A dry run prints the plan and a field-level diff and writes nothing
+ * 3. A dashboard whose latest version wasn't saved by a publish (someone
+ *    edited it in the UI) is a conflict, as is a save Grafana rejects
+ *    because the version moved meanwhile (409/412). Conflicts are reported
+ *    and skipped unless `force` is set, which overwrites them
+ * 4. Datasource secrets (secureJsonData) can't be read back, so they are
+ *    sent on create and update but never compared
+ * 5. Run annotations (k6-grafana-annotations.js) are matched by tag instead
+ *    of uid, which annotations don't have
+ */
+
+const PUBLISH_MESSAGE = 'Published by grafana-setup.js';
+
+// Fields Grafana owns on a dashboard; never compared or sent from the local copy
+const DASHBOARD_SERVER_FIELDS = ['id', 'version', 'iteration'];
+
+const MAX_DIFF_LINES = 15;
+
+const ACTION_ICONS = { create: '➕', update: '✏️ ', unchanged: '✅', conflict: '⚠️ ' };
+
+/**
+ * Minimal JSON client for the Grafana HTTP API; an API token wins over
+ * basic auth
+ */
+function createGrafanaClient({ url, token, username, password, fetchImpl = fetch }) {
+  const baseUrl = url.replace(/\/+$/, '');
+  const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  } else if (username) {
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+  }
+
+  async function request(method, apiPath, body) {
+    let response;
+    try {
+      response = await fetchImpl(`${baseUrl}${apiPath}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new Error(`Cannot reach Grafana at ${baseUrl}: ${error.cause ? error.cause.message : error.message}`);
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      data = { message: text };
+    }
+
+    if (!response.ok) {
+      const reason = data && data.message ? data.message : response.statusText;
+      const error = new Error(`${method} ${apiPath} failed with status ${response.status}: ${reason}`);
+      error.status = response.status;
+      error.body = data;
+      throw error;
+    }
+    return data;
+  }
+
+  return {
+    url: baseUrl,
+    request,
+    // GET that treats 404 as "doesn't exist yet"
+    async find(apiPath) {
+      try {
+        return await request('GET', apiPath);
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    }
+  };
+}
+
+function isConflict(error) {
+  return error.status === 409 || error.status === 412;
+}
+
+function formatValue(value) {
+  const text = JSON.stringify(value);
+  return text !== undefined && text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Differences between what Grafana has and what we would send, limited to
+ * the fields we send: [{ path, before, after }]
+ */
+function diffResource(current, desired, basePath = '') {
+  if (desired !== null && typeof desired === 'object' && current !== null && typeof current === 'object' &&
+      Array.isArray(desired) === Array.isArray(current)) {
+    const changes = [];
+    const keys = Array.isArray(desired)
+      ? Array.from({ length: Math.max(desired.length, current.length) }, (value, index) => index)
+      : Object.keys(desired);
+    for (const key of keys) {
+      const childPath = Array.isArray(desired) ? `${basePath}[${key}]` : (basePath ? `${basePath}.${key}` : key);
+      if (Array.isArray(desired) && key >= desired.length) {
+        changes.push({ path: childPath, before: current[key], after: undefined });
+      } else {
+        changes.push(...diffResource(current[key], desired[key], childPath));
+      }
+    }
+    return changes;
+  }
+  return JSON.stringify(current) === JSON.stringify(desired)
+    ? []
+    : [{ path: basePath || '(value)', before: current, after: desired }];
+}
+
+function withoutFields(object, fields) {
+  const copy = { ...object };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Run one resource: diff, then create/update unless dry-running. `write`
+ * gets the remote copy (or null) and whether to force past conflicts.
+ */
+async function applyResource(result, { remote, changes, conflict, dryRun, force, write }) {
+  if (!remote) {
+    result.action = 'create';
+  } else if (conflict && !force) {
+    return { ...result, action: 'conflict', reason: conflict, changes };
+  } else if (changes.length === 0 && !conflict) {
+    return { ...result, action: 'unchanged', changes };
+  } else {
+    result.action = 'update';
+  }
+  result.changes = changes;
+  if (conflict) result.reason = `${conflict} (forced)`;
+  if (dryRun) return result;
+
+  try {
+    await write(remote, force);
+  } catch (error) {
+    if (!isConflict(error)) throw error;
+    if (!force) return { ...result, action: 'conflict', reason: `Grafana rejected the save: ${error.message}` };
+    await write(remote && (await result.refetch()), true);
+  }
+  return result;
+}
+
+async function publishFolder(client, folder, options) {
+  const remote = await client.find(`/api/folders/${encodeURIComponent(folder.uid)}`);
+  const result = {
+    kind: 'folder',
+    uid: folder.uid,
+    title: folder.title,
+    refetch: () => client.find(`/api/folders/${encodeURIComponent(folder.uid)}`)
+  };
+  return applyResource(result, {
+    ...options,
+    remote,
+    changes: remote ? diffResource(remote, { title: folder.title }) : [],
+    write: (current, force) => current
+      ? client.request('PUT', `/api/folders/${encodeURIComponent(folder.uid)}`, { title: folder.title, version: current.version, overwrite: force })
+      : client.request('POST', '/api/folders', { uid: folder.uid, title: folder.title })
+  });
+}
+
+async function publishDatasource(client, datasource, options) {
+  const datasourcePath = `/api/datasources/uid/${encodeURIComponent(datasource.uid)}`;
+  const remote = await client.find(datasourcePath);
+  const comparable = withoutFields(datasource, ['secureJsonData']);
+  const result = { kind: 'datasource', uid: datasource.uid, title: datasource.name, refetch: () => client.find(datasourcePath) };
+  return applyResource(result, {
+    ...options,
+    remote,
+    changes: remote ? diffResource(remote, comparable) : [],
+    // Grafana bumps a datasource's version on every save and rejects stale ones
+    write: current => current
+      ? client.request('PUT', datasourcePath, { ...current, ...datasource, version: current.version })
+      : client.request('POST', '/api/datasources', datasource)
+  });
+}
+
+/**
+ * Who saved the dashboard last, if it wasn't a publish: the conflict reason
+ */
+async function foreignEdit(client, uid) {
+  const versions = await client.find(`/api/dashboards/uid/${encodeURIComponent(uid)}/versions?limit=1`);
+  // Grafana 11 wraps the list in { versions }
+  const list = Array.isArray(versions) ? versions : ((versions && versions.versions) || []);
+  const latest = list[0];
+  if (!latest || latest.message === PUBLISH_MESSAGE) return null;
+  return `edited in Grafana since the last publish (version ${latest.version}${latest.createdBy ? ` by ${latest.createdBy}` : ''})`;
+}
+
+async function publishDashboard(client, dashboard, folderUid, options) {
+  const dashboardPath = `/api/dashboards/uid/${encodeURIComponent(dashboard.uid)}`;
+  const remote = await client.find(dashboardPath);
+  const local = withoutFields(dashboard, DASHBOARD_SERVER_FIELDS);
+  const result = { kind: 'dashboard', uid: dashboard.uid, title: dashboard.title, refetch: () => client.find(dashboardPath) };
+
+  let changes = [];
+  let conflict = null;
+  if (remote) {
+    changes = diffResource(withoutFields(remote.dashboard, DASHBOARD_SERVER_FIELDS), local);
+    const remoteFolder = remote.meta ? remote.meta.folderUid || '' : '';
+    if (remoteFolder !== (folderUid || '')) changes.push({ path: 'folderUid', before: remoteFolder, after: folderUid });
+    if (changes.length > 0) conflict = await foreignEdit(client, dashboard.uid);
+  }
+
+  return applyResource(result, {
+    ...options,
+    remote,
+    changes,
+    conflict,
+    // Saved against the version we read, so Grafana refuses if it moved meanwhile
+    write: (current, force) => client.request('POST', '/api/dashboards/db', {
+      dashboard: {
+        ...local,
+        id: current ? current.dashboard.id : null,
+        version: current ? current.dashboard.version : undefined
+      },
+      folderUid,
+      message: PUBLISH_MESSAGE,
+      overwrite: Boolean(force)
+    })
+  });
+}
+
+/**
+ * Publish the folder, then the datasources, then the dashboards into the
+ * folder. Returns one result per resource: { kind, uid, title, action,
+ * changes, reason } with action create, update, unchanged or conflict.
+ */
+async function publishToGrafana(client, { folder, datasources = [], dashboards = [], dryRun = false, force = false }) {
+  const options = { dryRun, force };
+  const results = [];
+  if (folder) results.push(await publishFolder(client, folder, options));
+  for (const datasource of datasources) {
+    results.push(await publishDatasource(client, datasource, options));
+  }
+  for (const dashboard of dashboards) {
+    results.push(await publishDashboard(client, dashboard, folder ? folder.uid : undefined, options));
+  }
+  return results.map(({ refetch, ...result }) => result);
+}
+
+/**
+ * Create or update a run's annotations. Existing ones are found by the run's
+ * tag and matched on each annotation's `key` tag, so annotating the same run
+ * again (e.g. once the gate has run) updates its regions instead of
+ * stacking duplicates.
+ */
+async function publishAnnotations(client, annotations, { runTag, dryRun = false }) {
+  const existing = (await client.request('GET', `/api/annotations?type=annotation&limit=1000&tags=${encodeURIComponent(runTag)}`)) || [];
+  const results = [];
+
+  for (const { key, ...annotation } of annotations) {
+    const desired = { ...annotation, tags: [...annotation.tags].sort() };
+    const remote = existing.find(item => (item.tags || []).includes(key));
+    const result = { kind: 'annotation', uid: key, title: annotation.text.split('\n')[0] };
+    const changes = remote ? diffResource({ ...remote, tags: [...(remote.tags || [])].sort() }, desired) : [];
+
+    results.push(await applyResource(result, {
+      remote,
+      changes,
+      dryRun,
+      write: current => current
+        ? client.request('PUT', `/api/annotations/${current.id}`, desired)
+        : client.request('POST', '/api/annotations', desired)
+    }));
+  }
+  return results;
+}
+
+function displayPublishResults(results, { dryRun = false, url } = {}) {
+  console.log(dryRun
+    ? `\n📋 Dry run - nothing was written to ${url}`
+    : `\n📤 Published to ${url}`);
+
+  for (const result of results) {
+    const verb = dryRun && result.action !== 'unchanged' && result.action !== 'conflict' ? `would ${result.action}` : result.action;
+    console.log(`  ${ACTION_ICONS[result.action]} ${result.kind} "${result.title}" (${result.uid}): ${verb}${result.reason ? ` - ${result.reason}` : ''}`);
+    if (result.action === 'create') continue;
+
+    (result.changes || []).slice(0, MAX_DIFF_LINES).forEach(change => {
+      if (change.before === undefined) {
+        console.log(`       + ${change.path}: ${formatValue(change.after)}`);
+      } else if (change.after === undefined) {
+        console.log(`       - ${change.path}: ${formatValue(change.before)}`);
+      } else {
+        console.log(`       ~ ${change.path}: ${formatValue(change.before)} → ${formatValue(change.after)}`);
+      }
+    });
+    const hidden = (result.changes || []).length - MAX_DIFF_LINES;
+    if (hidden > 0) console.log(`       … ${hidden} more change(s)`);
+  }
+
+  const conflicts = results.filter(result => result.action === 'conflict');
+  if (conflicts.length > 0) {
+    console.log(`\n⚠️  ${conflicts.length} conflict(s) skipped - re-run with --force to overwrite`);
+  }
+}
+
+module.exports = {
+  createGrafanaClient,
+  publishToGrafana,
+  publishAnnotations,
+  displayPublishResults,
+  diffResource,
+  PUBLISH_MESSAGE
+};
@@ -0,0 +1,399 @@
+/**
+ * Grafana dashboard as code for k6 results
+ *
+ * Builds the k6 dashboard for the datasource it will query instead of
+ * hand-patching exported JSON:
+ * 1. One panel list, rendered as InfluxQL (InfluxDB 1.x, k6's `influxdb`
+ *    output), Flux (InfluxDB 2.x, the xk6-output-influxdb extension) or
+ *    PromQL (k6's `experimental-prometheus-rw` output)
+ * 2. Measurements follow `measurement`: '{metric}' is k6's one measurement
+ *    per metric, 'k6.{metric}' e.g. the StatsD/Telegraf naming
+ * 3. Tags listed in `tagsAsFields` are stored as fields: InfluxQL can still
+ *    filter on them but not group by them, so per-endpoint panels repeat per
+ *    $endpoint value instead of grouping; Flux pivots them into columns
+ * 4. Template variables for endpoint, phase, test_run_id and environment
+ *    filter every request panel; the datasource is a variable too, so the
+ *    dashboard works with whatever the datasource is named
+ * 5. Run and phase regions posted by `grafana-setup.js annotate` are
+ *    overlaid through Grafana's built-in annotation store, by tag
+ */
+
+const DEFAULT_OPTIONS = {
+  language: 'influxql',
+  measurement: '{metric}',
+  // k6's default for K6_INFLUXDB_TAGS_AS_FIELDS
+  tagsAsFields: ['vu', 'iter', 'url'],
+  // Window of the per-second rate panels
+  rateWindowSeconds: 10,
+  // Flux only: the InfluxDB 2.x bucket k6 writes to
+  bucket: 'k6_load_tests',
+  title: 'K6 Load Test Performance Dashboard',
+  uid: 'k6-dashboard'
+};
+
+// Request tags every request panel is filtered by, in variable order
+const FILTER_TAGS = ['environment', 'test_run_id', 'phase', 'endpoint'];
+
+const PERCENTILES = [['P50', 50, 'med'], ['P90', 90, 'p90'], ['P95', 95, 'p95'], ['P99', 99, 'p99']];
+
+const influxql = {
+  datasourceType: 'influxdb',
+  durationUnit: 'ms',
+
+  measurement(options, metric) {
+    return `"${options.measurement.replace('{metric}', metric)}"`;
+  },
+
+  where(options, tags) {
+    const filters = tags.map(tag => ` AND "${tag}" =~ /^$${tag}$/`).join('');
+    return `WHERE $timeFilter${filters}`;
+  },
+
+  variableQuery(options, tag) {
+    // SHOW TAG VALUES doesn't see fields; DISTINCT does, over the selected time range
+    return options.tagsAsFields.includes(tag)
+      ? `SELECT DISTINCT("${tag}") FROM ${this.measurement(options, 'http_reqs')} WHERE $timeFilter`
+      : `SHOW TAG VALUES FROM ${this.measurement(options, 'http_reqs')} WITH KEY = "${tag}"`;
+  },
+
+  query(options, { metric, select, tags = FILTER_TAGS, window = '$__interval', by, fill = 'null' }) {
+    const groups = [];
+    if (window) groups.push(`time(${window})`);
+    if (by) groups.push(`"${by}"`);
+    const groupBy = groups.length > 0 ? ` GROUP BY ${groups.join(', ')}${window ? ` fill(${fill})` : ''}` : '';
+    return `SELECT ${select} FROM ${this.measurement(options, metric)} ${this.where(options, tags)}${groupBy}`;
+  },
+
+  target(options, spec, refId) {
+    return {
+      refId,
+      query: this.query(options, spec),
+      rawQuery: true,
+      resultFormat: spec.format === 'table' ? 'table' : 'time_series',
+      alias: spec.by ? `$tag_${spec.by}` : spec.legend
+    };
+  },
+
+  // InfluxQL select expressions per panel series
+  requests: () => ({ metric: 'http_reqs', select: 'sum("value")', window: null }),
+  rps: options => ({ metric: 'http_reqs', select: `sum("value") / ${options.rateWindowSeconds}`, window: `${options.rateWindowSeconds}s`, fill: '0' }),
+  percentile: (options, percentile) => ({ metric: 'http_req_duration', select: `percentile("value", ${percentile[1]})` }),
+  errorRate: () => ({ metric: 'http_req_failed', select: 'mean("value") * 100' }),
+  vus: () => ({ metric: 'vus', select: 'max("value")', tags: [] }),
+  endpointTable: () => ({
+    metric: 'http_req_duration',
+    select: 'count("value") AS "Requests", mean("value") AS "Avg", percentile("value", 95) AS "P95", percentile("value", 99) AS "P99"',
+    window: null,
+    by: 'endpoint',
+    format: 'table'
+  })
+};
+
+// Same points as InfluxQL (one measurement per metric, field "value"), read
+// from a bucket. Requests without a filtered tag (e.g. setup() logins) don't
+// match, unlike InfluxQL's empty value.
+const flux = {
+  datasourceType: 'influxdb',
+  durationUnit: 'ms',
+
+  source(options, metric, tags) {
+    const measurement = options.measurement.replace('{metric}', metric);
+    const lines = [
+      `from(bucket: "${options.bucket}")`,
+      '  |> range(start: v.timeRangeStart, stop: v.timeRangeStop)'
+    ];
+    const filters = tags.map(tag => `r.${tag} =~ /^\${${tag}:regex}$/`);
+
+    if (tags.some(tag => options.tagsAsFields.includes(tag))) {
+      // Fields become columns next to "value", then filter like tags
+      lines.push(`  |> filter(fn: (r) => r._measurement == "${measurement}")`);
+      lines.push('  |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")');
+      lines.push('  |> map(fn: (r) => ({ r with _value: r.value }))');
+      if (filters.length > 0) lines.push(`  |> filter(fn: (r) => ${filters.join(' and ')})`);
+    } else {
+      lines.push(`  |> filter(fn: (r) => ${[`r._measurement == "${measurement}"`, 'r._field == "value"', ...filters].join(' and ')})`);
+    }
+    return lines;
+  },
+
+  variableQuery(options, tag) {
+    const measurement = options.measurement.replace('{metric}', 'http_reqs');
+    return options.tagsAsFields.includes(tag)
+      ? [
+        `from(bucket: "${options.bucket}")`,
+        '  |> range(start: v.timeRangeStart, stop: v.timeRangeStop)',
+        `  |> filter(fn: (r) => r._measurement == "${measurement}" and r._field == "${tag}")`,
+        '  |> group()',
+        '  |> distinct()'
+      ].join('\n')
+      : [
+        'import "influxdata/influxdb/schema"',
+        `schema.tagValues(bucket: "${options.bucket}", tag: "${tag}", predicate: (r) => r._measurement == "${measurement}", start: v.timeRangeStart, stop: v.timeRangeStop)`
+      ].join('\n');
+  },
+
+  aggregate({ aggregate, args }, window) {
+    if (!window) return `${aggregate}(${args || ''})`;
+    const fn = args ? `(column, tables=<-) => tables |> ${aggregate}(${args}, column: column)` : aggregate;
+    return `aggregateWindow(every: ${window}, fn: ${fn}, createEmpty: false)`;
+  },
+
+  query(options, spec) {
+    const { metric, tags = FILTER_TAGS, window = 'v.windowPeriod', by, post = [], legend } = spec;
+    const lines = this.source(options, metric, by && !tags.includes(by) ? [...tags, by] : tags);
+    lines.push(`  |> group(${by ? `columns: ["${by}"]` : ''})`);
+    lines.push(`  |> ${this.aggregate(spec, window)}`);
+    post.forEach(step => lines.push(`  |> ${step}`));
+    // The value column's name is the series name Grafana shows
+    lines.push(`  |> keep(columns: [${[window ? '"_time"' : null, '"_value"', by ? `"${by}"` : null].filter(Boolean).join(', ')}])`);
+    if (legend) lines.push(`  |> rename(columns: {_value: "${legend}"})`);
+    return lines.join('\n');
+  },
+
+  target(options, spec, refId) {
+    return { refId, query: this.query(options, spec) };
+  },
+
+  requests: () => ({ metric: 'http_reqs', aggregate: 'sum', window: null }),
+  rps: options => ({
+    metric: 'http_reqs',
+    aggregate: 'sum',
+    window: `${options.rateWindowSeconds}s`,
+    post: [`map(fn: (r) => ({ r with _value: float(v: r._value) / ${options.rateWindowSeconds}.0 }))`]
+  }),
+  percentile: (options, percentile) => ({ metric: 'http_req_duration', aggregate: 'quantile', args: `q: ${percentile[1] / 100}` }),
+  errorRate: () => ({ metric: 'http_req_failed', aggregate: 'mean', post: ['map(fn: (r) => ({ r with _value: float(v: r._value) * 100.0 }))'] }),
+  vus: () => ({ metric: 'vus', aggregate: 'max', tags: [] }),
+  endpointTable: () => ({
+    metric: 'http_req_duration',
+    aggregate: 'quantile',
+    args: 'q: 0.95',
+    window: null,
+    by: 'endpoint',
+    format: 'table',
+    legend: 'P95'
+  })
+};
+
+// Names written by k6's Prometheus remote-write output; trends need
+// K6_PROMETHEUS_RW_TREND_STATS=p(50),p(90),p(95),p(99) and are in seconds
+const promql = {
+  datasourceType: 'prometheus',
+  durationUnit: 's',
+
+  selector(options, metric, tags) {
+    const labels = tags.map(tag => `${tag}=~"$${tag}"`).join(', ');
+    return labels ? `k6_${metric}{${labels}}` : `k6_${metric}`;
+  },
+
+  variableQuery(options, tag) {
+    return `label_values(k6_http_reqs_total, ${tag})`;
+  },
+
+  query(options, { expression, tags = FILTER_TAGS, by }) {
+    return expression(selector => this.selector(options, selector, tags), by ? ` by (${by})` : '');
+  },
+
+  target(options, spec, refId) {
+    return {
+      refId,
+      expr: this.query(options, spec),
+      legendFormat: spec.by ? `{{${spec.by}}}` : spec.legend,
+      instant: Boolean(spec.instant) || spec.format === 'table',
+      format: spec.format === 'table' ? 'table' : 'time_series'
+    };
+  },
+
+  requests: () => ({ expression: (metric, by) => `sum${by}(increase(${metric('http_reqs_total')}[$__range]))`, instant: true }),
+  rps: () => ({ expression: (metric, by) => `sum${by}(rate(${metric('http_reqs_total')}[$__rate_interval]))` }),
+  percentile: (options, percentile) => ({ expression: (metric, by) => `max${by}(${metric(`http_req_duration_p${percentile[1]}`)})` }),
+  errorRate: () => ({ expression: (metric, by) => `avg${by}(${metric('http_req_failed_rate')}) * 100` }),
+  vus: () => ({ expression: (metric, by) => `max${by}(${metric('vus')})`, tags: [] }),
+  endpointTable: () => ({
+    expression: (metric, by) => `max${by}(${metric('http_req_duration_p95')})`,
+    by: 'endpoint',
+    format: 'table',
+    legend: 'P95'
+  })
+};
+
+const LANGUAGES = { influxql, flux, promql };
+
+function resolveOptions(options = {}) {
+  const resolved = { ...DEFAULT_OPTIONS, ...options };
+  if (!LANGUAGES[resolved.language]) {
+    throw new Error(`Unknown query language "${resolved.language}" - use one of: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  if (typeof resolved.tagsAsFields === 'string') {
+    resolved.tagsAsFields = resolved.tagsAsFields.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  // xk6-output-influxdb takes "vu:int"-style types; only the name matters here
+  resolved.tagsAsFields = resolved.tagsAsFields.map(tag => tag.split(':')[0]);
+  return resolved;
+}
+
+function templateVariables(language, options) {
+  const datasource = {
+    name: 'datasource',
+    label: 'Datasource',
+    type: 'datasource',
+    query: language.datasourceType,
+    current: {},
+    hide: 0
+  };
+
+  const tags = FILTER_TAGS.map(tag => ({
+    name: tag,
+    label: tag,
+    type: 'query',
+    datasource: { type: language.datasourceType, uid: '${datasource}' },
+    query: language.variableQuery(options, tag),
+    // Points without the tag (or field) have an empty value, which .* still matches
+    includeAll: true,
+    allValue: '.*',
+    multi: true,
+    current: { selected: true, text: ['All'], value: ['$__all'] },
+    refresh: 2,
+    sort: 1,
+    hide: 0
+  }));
+
+  return [datasource, ...tags];
+}
+
+/**
+ * Built-in annotations plus the k6-run / k6-phase regions from
+ * k6-grafana-annotations.js, queried by tag so they span every panel
+ */
+function annotationQueries() {
+  const grafana = { type: 'grafana', uid: '-- Grafana --' };
+  const byTag = (name, tag, iconColor) => ({
+    name,
+    datasource: grafana,
+    enable: true,
+    hide: false,
+    iconColor,
+    target: { type: 'tags', tags: [tag], matchAny: false, limit: 100 }
+  });
+
+  return [
+    {
+      name: 'Annotations & Alerts',
+      builtIn: 1,
+      datasource: grafana,
+      enable: true,
+      hide: true,
+      iconColor: 'rgba(0, 211, 255, 1)',
+      type: 'dashboard'
+    },
+    byTag('k6 runs', 'k6-run', 'rgba(255, 96, 96, 0.6)'),
+    byTag('k6 phases', 'k6-phase', 'rgba(255, 176, 0, 0.4)')
+  ];
+}
+
+/**
+ * Lay panels out left to right in rows of 24 grid columns
+ */
+function layout(panels) {
+  let x = 0;
+  let y = 0;
+  let rowHeight = 0;
+  return panels.map((panel, index) => {
+    const { w, h } = panel.size;
+    if (x + w > 24) {
+      x = 0;
+      y += rowHeight;
+      rowHeight = 0;
+    }
+    const placed = { id: index + 1, ...panel, gridPos: { h, w, x, y } };
+    delete placed.size;
+    x += w;
+    rowHeight = Math.max(rowHeight, h);
+    return placed;
+  });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.language] - influxql, flux or promql
+ * @param {string} [options.measurement] - measurement name, '{metric}' is replaced by the k6 metric
+ * @param {string[]|string} [options.tagsAsFields] - tags k6 stores as fields (InfluxDB)
+ * @param {string} [options.bucket] - InfluxDB 2.x bucket the Flux queries read (flux only)
+ * @param {number} [options.rateWindowSeconds]
+ * @returns {Object} the dashboard model (what Grafana's import and provisioning expect)
+ */
+function buildDashboard(options = {}) {
+  const resolved = resolveOptions(options);
+  const language = LANGUAGES[resolved.language];
+  const datasource = { type: language.datasourceType, uid: '${datasource}' };
+  // InfluxQL can't group by a field; Flux pivots fields, Prometheus labels are always groupable
+  const endpointIsField = resolved.language === 'influxql' && resolved.tagsAsFields.includes('endpoint');
+
+  const targets = specs => specs.map((spec, index) => language.target(resolved, spec, String.fromCharCode(65 + index)));
+  const panel = (title, type, specs, { unit, size, ...rest } = {}) => ({
+    title,
+    type,
+    datasource,
+    targets: targets(specs),
+    fieldConfig: { defaults: { unit: unit || 'short', color: { mode: type === 'stat' ? 'thresholds' : 'palette-classic' } }, overrides: [] },
+    size,
+    ...rest
+  });
+  const stat = (title, spec, unit, steps) => panel(title, 'stat', [spec], {
+    unit,
+    size: { w: 6, h: 4 },
+    options: { reduceOptions: { calcs: ['lastNotNull'] }, graphMode: 'none' },
+    ...(steps ? { fieldConfig: { defaults: { unit, color: { mode: 'thresholds' }, thresholds: { mode: 'absolute', steps } }, overrides: [] } } : {})
+  });
+  const legend = (spec, name) => ({ ...spec, legend: name });
+  const byEndpoint = spec => (endpointIsField ? spec : { ...spec, by: 'endpoint' });
+  // Repeated once per selected endpoint when the endpoint can't be grouped by
+  const perEndpoint = endpointIsField ? { repeat: 'endpoint', repeatDirection: 'h', maxPerRow: 3 } : {};
+  const endpointTitle = title => (endpointIsField ? `${title} - $endpoint` : `${title} by Endpoint`);
+  const durationUnit = language.durationUnit;
+  const p95Steps = durationUnit === 'ms'
+    ? [{ color: 'green', value: null }, { color: 'yellow', value: 1000 }, { color: 'red', value: 2000 }]
+    : [{ color: 'green', value: null }, { color: 'yellow', value: 1 }, { color: 'red', value: 2 }];
+
+  const panels = [
+    stat('Requests', language.requests(resolved), 'short'),
+    stat('Response Time (P95)', { ...language.percentile(resolved, PERCENTILES[2]), window: null }, durationUnit, p95Steps),
+    stat('Error Rate', { ...language.errorRate(resolved), window: null }, 'percent', [{ color: 'green', value: null }, { color: 'yellow', value: 1 }, { color: 'red', value: 5 }]),
+    stat('Peak VUs', { ...language.vus(resolved), window: null }, 'short'),
+    panel('Response Time Percentiles', 'timeseries', PERCENTILES.map(percentile => legend(language.percentile(resolved, percentile), percentile[0])), { unit: durationUnit, size: { w: 12, h: 8 } }),
+    panel('Throughput and Virtual Users', 'timeseries', [legend(language.rps(resolved), 'RPS'), legend(language.vus(resolved), 'VUs')], {
+      unit: 'reqps',
+      size: { w: 12, h: 8 },
+      fieldConfig: {
+        defaults: { unit: 'reqps', color: { mode: 'palette-classic' } },
+        overrides: [{ matcher: { id: 'byName', options: 'VUs' }, properties: [{ id: 'unit', value: 'short' }, { id: 'custom.axisPlacement', value: 'right' }] }]
+      }
+    }),
+    panel('Error Rate Over Time', 'timeseries', [legend(language.errorRate(resolved), 'Errors')], { unit: 'percent', size: { w: 24, h: 6 } }),
+    panel(endpointTitle('Response Time (P95)'), 'timeseries', [byEndpoint(legend(language.percentile(resolved, PERCENTILES[2]), 'P95'))], { unit: durationUnit, size: { w: endpointIsField ? 8 : 12, h: 8 }, ...perEndpoint }),
+    panel(endpointTitle('Throughput'), 'timeseries', [byEndpoint(legend(language.rps(resolved), 'RPS'))], { unit: 'reqps', size: { w: endpointIsField ? 8 : 12, h: 8 }, ...perEndpoint }),
+    panel(endpointTitle('Error Rate'), 'timeseries', [byEndpoint(legend(language.errorRate(resolved), 'Errors'))], { unit: 'percent', size: { w: endpointIsField ? 8 : 24, h: 8 }, ...perEndpoint })
+  ];
+
+  if (!endpointIsField) {
+    panels.push(panel('Endpoint Summary', 'table', [language.endpointTable(resolved)], { unit: durationUnit, size: { w: 24, h: 8 } }));
+  }
+
+  return {
+    id: null,
+    uid: resolved.uid,
+    title: resolved.title,
+    description: `Generated by grafana-setup.js dashboard (${resolved.language}, measurement ${resolved.measurement}, tagsAsFields ${resolved.tagsAsFields.join(',') || 'none'})`,
+    tags: ['k6', 'load-testing', 'performance'],
+    timezone: 'browser',
+    editable: true,
+    schemaVersion: 39,
+    time: { from: 'now-1h', to: 'now' },
+    refresh: '5s',
+    templating: { list: templateVariables(language, resolved) },
+    annotations: { list: annotationQueries() },
+    panels: layout(panels)
+  };
+}
+
+module.exports = { buildDashboard, resolveOptions, DEFAULT_OPTIONS, FILTER_TAGS, LANGUAGES };
@@ -0,0 +1,296 @@
+/**
+ * Latency vs. load curve and capacity knee
+ *
+ * Pairs every timeline window's load - the active VUs, or the achieved RPS
+ * for arrival-rate tests - with that window's latency percentiles, overall
+ * and per endpoint:
+ * 1. Windows are grouped into load levels, each keeping its median latency
+ * 2. A straight line and a two-segment (hinge) line are fitted to the levels
+ * 3. The knee is the hinge where latency starts climbing much faster than
+ *    before it; the highest RPS reached up to the knee is the sustainable RPS
+ * Without a knee the system kept up with the highest load the test reached,
+ * so that RPS is only a lower bound on the capacity.
+ */
+
+const { OVERALL } = require('./k6-run-stats');
+
+const DEFAULT_OPTIONS = {
+  // 'vus' (closed model: ramping VUs) or 'rps' (open model: arrival rate)
+  load: 'vus',
+  percentile: 'p95',
+  // At most this many load levels; more distinct loads are binned
+  levels: 12,
+  // Windows with fewer requests give noisy percentiles
+  minRequests: 5,
+  // The slope above the knee must be this many times the slope below it
+  kneeSlopeRatio: 3,
+  // ...the hinge must remove this share of the straight line's squared error
+  minFitGain: 0.3,
+  // ...and latency at the highest level must be this much above the knee
+  minLatencyIncrease: 0.25,
+  // Without a knee: latency this many times higher at the top level than at
+  // the bottom means the system was saturated from the lowest load tested
+  saturatedRatio: 2
+};
+
+const LOAD_UNITS = { vus: 'VUs', rps: 'RPS' };
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Least squares for a small design matrix via the normal equations
+ * @returns {number[]|null} coefficients, or null when the system is singular
+ */
+function leastSquares(rows, ys) {
+  const size = rows[0].length;
+  const matrix = Array.from({ length: size }, (_, i) => [
+    ...Array.from({ length: size }, (__, j) => rows.reduce((sum, row) => sum + row[i] * row[j], 0)),
+    rows.reduce((sum, row, index) => sum + row[i] * ys[index], 0)
+  ]);
+
+  // Gaussian elimination with partial pivoting
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) pivot = row;
+    }
+    if (Math.abs(matrix[pivot][column]) < 1e-12) return null;
+    [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+    for (let row = 0; row < size; row++) {
+      if (row === column) continue;
+      const factor = matrix[row][column] / matrix[column][column];
+      for (let k = column; k <= size; k++) matrix[row][k] -= factor * matrix[column][k];
+    }
+  }
+  return matrix.map((row, index) => row[size] / row[index]);
+}
+
+function squaredError(xs, ys, predict) {
+  return xs.reduce((sum, x, index) => sum + (ys[index] - predict(x)) ** 2, 0);
+}
+
+function rSquared(ys, sse) {
+  const average = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  const sst = ys.reduce((sum, y) => sum + (y - average) ** 2, 0);
+  return sst > 0 ? 1 - sse / sst : 1;
+}
+
+function fitLinear(xs, ys) {
+  const coefficients = leastSquares(xs.map(x => [1, x]), ys);
+  if (!coefficients) return null;
+  const [intercept, slope] = coefficients;
+  const predict = x => intercept + slope * x;
+  const sse = squaredError(xs, ys, predict);
+  return { intercept, slope, sse, r2: rSquared(ys, sse), predict };
+}
+
+/**
+ * Continuous two-segment line y = a + b*x + c*max(0, x - breakpoint), with
+ * the breakpoint tried at every inner level. In an arrival-rate test the
+ * latency shoots up at the very top of the range, so the last segment may
+ * span just two levels.
+ */
+function fitHinge(xs, ys) {
+  let best = null;
+  for (let k = 1; k <= xs.length - 2; k++) {
+    const breakpoint = xs[k];
+    const coefficients = leastSquares(xs.map(x => [1, x, Math.max(0, x - breakpoint)]), ys);
+    if (!coefficients) continue;
+    const [intercept, slope, bend] = coefficients;
+    const predict = x => intercept + slope * x + bend * Math.max(0, x - breakpoint);
+    const sse = squaredError(xs, ys, predict);
+    if (!best || sse < best.sse) {
+      best = { index: k, breakpoint, slopeBefore: slope, slopeAfter: slope + bend, sse, r2: rSquared(ys, sse), predict };
+    }
+  }
+  return best;
+}
+
+/**
+ * Group window points ({load, rps, latency, requests}) into load levels
+ */
+function loadLevels(points, maxLevels) {
+  const loads = [...new Set(points.map(point => point.load))].sort((a, b) => a - b);
+  const min = loads[0];
+  const width = (loads[loads.length - 1] - min) / maxLevels;
+  const levelOf = loads.length <= maxLevels || width === 0
+    ? load => loads.indexOf(load)
+    : load => Math.min(maxLevels - 1, Math.floor((load - min) / width));
+
+  const groups = new Map();
+  points.forEach(point => {
+    const level = levelOf(point.load);
+    if (!groups.has(level)) groups.set(level, []);
+    groups.get(level).push(point);
+  });
+
+  return [...groups.keys()].sort((a, b) => a - b).map(level => {
+    const group = groups.get(level);
+    return {
+      load: Math.round(group.reduce((sum, point) => sum + point.load, 0) / group.length * 100) / 100,
+      rps: median(group.map(point => point.rps)),
+      latency: median(group.map(point => point.latency)),
+      windows: group.length,
+      requests: group.reduce((sum, point) => sum + point.requests, 0)
+    };
+  });
+}
+
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Curve and knee of one series of window points
+ * @returns {Object} status is 'knee', 'no knee', 'saturated' or 'insufficient data'
+ */
+function analyzeCurve(points, settings) {
+  const unit = LOAD_UNITS[settings.load];
+  const levels = points.length > 0 ? loadLevels(points, settings.levels) : [];
+  const result = {
+    levels,
+    linear: null,
+    hinge: null,
+    knee: null,
+    sustainableRps: null,
+    lowerBound: false,
+    status: 'insufficient data',
+    message: `${levels.length} load level(s) with ${settings.minRequests}+ requests per window - ramp the load through at least 4 to find a knee`
+  };
+  if (levels.length < 4) return result;
+
+  const xs = levels.map(level => level.load);
+  const ys = levels.map(level => level.latency);
+  const linear = fitLinear(xs, ys);
+  const hinge = fitHinge(xs, ys);
+  if (!linear) return result;
+  result.linear = { intercept: round(linear.intercept), slope: round(linear.slope), r2: round(linear.r2) };
+  if (hinge) {
+    result.hinge = { breakpoint: hinge.breakpoint, slopeBefore: round(hinge.slopeBefore), slopeAfter: round(hinge.slopeAfter), r2: round(hinge.r2) };
+    levels.forEach(level => { level.fitted = round(hinge.predict(level.load)); });
+  }
+
+  const top = levels[levels.length - 1];
+  const fitGain = linear.sse > 0 && hinge ? (linear.sse - hinge.sse) / linear.sse : 0;
+  const isKnee = hinge
+    && hinge.slopeAfter > 0
+    && hinge.slopeAfter >= settings.kneeSlopeRatio * Math.max(hinge.slopeBefore, 0)
+    && fitGain >= settings.minFitGain
+    && top.latency >= levels[hinge.index].latency * (1 + settings.minLatencyIncrease);
+
+  if (isKnee) {
+    const knee = levels[hinge.index];
+    const slope = value => `${Math.max(0, value).toFixed(1)}ms per ${unit.replace(/s$/, '')}`;
+    result.knee = { load: knee.load, rps: knee.rps, latency: knee.latency };
+    result.sustainableRps = Math.max(...levels.slice(0, hinge.index + 1).map(level => level.rps));
+    result.status = 'knee';
+    result.message = `Latency grows ${slope(hinge.slopeBefore)} up to ${knee.load} ${unit}, then ${slope(hinge.slopeAfter)} (${knee.latency.toFixed(0)}ms -> ${top.latency.toFixed(0)}ms at ${top.load} ${unit}); sustainable ≈ ${result.sustainableRps.toFixed(1)} RPS`;
+  } else if (top.latency >= levels[0].latency * settings.saturatedRatio && linear.slope > 0) {
+    result.sustainableRps = levels[0].rps;
+    result.status = 'saturated';
+    result.message = `Latency grows with load across the whole range (${levels[0].latency.toFixed(0)}ms -> ${top.latency.toFixed(0)}ms) - already saturated at ${levels[0].load} ${unit}, ≈ ${levels[0].rps.toFixed(1)} RPS`;
+  } else {
+    result.sustainableRps = Math.max(...levels.map(level => level.rps));
+    result.lowerBound = true;
+    result.status = 'no knee';
+    result.message = `No knee up to ${top.load} ${unit} - capacity is above ${result.sustainableRps.toFixed(1)} RPS`;
+  }
+  return result;
+}
+
+/**
+ * Latency vs. load per endpoint and overall, from a buildTimeline() result
+ * @param {Object} timeline
+ * @param {Object} [options] - see DEFAULT_OPTIONS
+ * @returns {{load: string, unit: string, percentile: string, windowSeconds: number, endpoints: Object<string, Object>}}
+ *   endpoints has OVERALL first
+ */
+function analyzeLoadCurve(timeline, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  if (!LOAD_UNITS[settings.load]) {
+    throw new Error(`Unknown load axis "${settings.load}" - use vus or rps`);
+  }
+
+  const pointsFor = seriesOf => timeline.windows
+    .map(window => ({ window, series: seriesOf(window) }))
+    .filter(({ window, series }) => series && series.requests >= settings.minRequests && (settings.load === 'rps' || window.overall.vus > 0))
+    .map(({ window, series }) => ({
+      // The vus gauge has no endpoint tag, so endpoints share the run's VUs
+      load: settings.load === 'vus' ? window.overall.vus : series.rps,
+      rps: series.rps,
+      latency: series[settings.percentile],
+      requests: series.requests
+    }));
+
+  const names = [...new Set(timeline.windows.flatMap(window => Object.keys(window.endpoints)))].sort();
+  const endpoints = { [OVERALL]: analyzeCurve(pointsFor(window => window.overall), settings) };
+  names.forEach(name => {
+    endpoints[name] = analyzeCurve(pointsFor(window => window.endpoints[name]), settings);
+  });
+
+  return {
+    load: settings.load,
+    unit: LOAD_UNITS[settings.load],
+    percentile: settings.percentile,
+    windowSeconds: timeline.windowSeconds,
+    endpoints
+  };
+}
+
+const STATUS_ICONS = { knee: '📍', saturated: '🔴', 'no knee': '✅', 'insufficient data': 'ℹ️ ' };
+
+function displayLoadCurve(curve) {
+  const label = curve.percentile.toUpperCase();
+  console.log(`\n📐 LATENCY VS. LOAD (${label} by ${curve.unit}, ${curve.windowSeconds}s windows)`);
+  console.log('='.repeat(80));
+
+  const overall = curve.endpoints[OVERALL];
+  if (overall.levels.length === 0) {
+    console.log('No windows with enough requests and active VUs');
+    return;
+  }
+
+  console.log(`   ${curve.unit.padStart(8)} ${'RPS'.padStart(9)} ${`${label} (ms)`.padStart(10)} ${'Fit (ms)'.padStart(9)} ${'Windows'.padStart(8)}`);
+  overall.levels.forEach(level => {
+    const marker = overall.knee && level.load === overall.knee.load ? '  ◀ knee' : '';
+    const fitted = level.fitted !== undefined ? level.fitted.toFixed(0) : '-';
+    console.log(`   ${String(level.load).padStart(8)} ${level.rps.toFixed(1).padStart(9)} ${level.latency.toFixed(0).padStart(10)} ${fitted.padStart(9)} ${String(level.windows).padStart(8)}${marker}`);
+  });
+
+  console.log('\n💡 CAPACITY');
+  Object.keys(curve.endpoints).forEach(name => {
+    const result = curve.endpoints[name];
+    console.log(`   ${STATUS_ICONS[result.status]} ${name}: ${result.message}`);
+  });
+}
+
+/**
+ * Long-format rows (header first): one 'capacity' row per endpoint with its
+ * knee and sustainable RPS, then one 'level' row per load level
+ */
+function loadCurveRows(curve) {
+  const label = curve.percentile.toUpperCase();
+  const headers = ['Kind', 'Endpoint', `Load (${curve.unit})`, 'RPS', `${label} (ms)`, `Fitted ${label} (ms)`, 'Windows', 'Requests', 'Status', 'Detail'];
+  const rows = [headers];
+
+  Object.keys(curve.endpoints).forEach(name => {
+    const result = curve.endpoints[name];
+    const knee = result.knee || {};
+    rows.push(['capacity', name, knee.load !== undefined ? knee.load : null, round(result.sustainableRps), knee.latency !== undefined ? round(knee.latency) : null, null, null, null, result.status, result.message]);
+  });
+  Object.keys(curve.endpoints).forEach(name => {
+    const result = curve.endpoints[name];
+    result.levels.forEach(level => {
+      const aboveKnee = result.knee && level.load > result.knee.load ? 'above knee' : null;
+      rows.push(['level', name, level.load, round(level.rps), round(level.latency), level.fitted !== undefined ? level.fitted : null, level.windows, level.requests, aboveKnee, null]);
+    });
+  });
+
+  return rows;
+}
+
+module.exports = { analyzeLoadCurve, displayLoadCurve, loadCurveRows, fitLinear, fitHinge, DEFAULT_OPTIONS };
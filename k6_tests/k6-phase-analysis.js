@@ -0,0 +1,261 @@
+/**
+ * Phase x endpoint breakdown for k6 runs
+ *
+ * Every request carries a `phase` tag (user_flow, dashboard, baseline,
+ * stress, spike...). This aggregator groups by phase and endpoint so the
+ * analyzers can show:
+ * 1. A phase x endpoint matrix of P50/P95/P99, error rate and throughput
+ * 2. Degradation of every phase relative to the baseline phase
+ * 3. Recovery: whether latency returns to baseline after the spike phase's
+ *    peak load, and how long that takes
+ */
+
+const { QuantileSketch } = require('./k6-quantiles');
+
+const DEFAULT_OPTIONS = {
+  baselinePhase: process.env.BASELINE_PHASE || 'baseline',
+  recoveryPhase: process.env.RECOVERY_PHASE || 'spike',
+  // P95 within this fraction above baseline counts as recovered
+  recoveryTolerance: Number(process.env.RECOVERY_TOLERANCE || 0.2),
+  recoveryWindowMs: Number(process.env.RECOVERY_WINDOW_S || 5) * 1000
+};
+
+function createCell() {
+  return {
+    requests: 0,
+    durations: new QuantileSketch(),
+    failed: { total: 0, count: 0 }
+  };
+}
+
+function phaseOf(point) {
+  return point.tags.phase || point.tags.scenario;
+}
+
+/**
+ * Aggregator for readK6Stream
+ * @param {Object} [options]
+ * @param {number} [options.recoveryWindowMs] - window size for the recovery timeline
+ */
+function createPhaseAggregator(options = {}) {
+  const { recoveryWindowMs } = { ...DEFAULT_OPTIONS, ...options };
+  const phases = {};
+
+  function phaseData(name, time) {
+    if (!phases[name]) {
+      phases[name] = { firstTime: time, lastTime: time, overall: createCell(), endpoints: {}, windows: new Map() };
+    }
+    const phase = phases[name];
+    if (time < phase.firstTime) phase.firstTime = time;
+    if (time > phase.lastTime) phase.lastTime = time;
+    return phase;
+  }
+
+  return {
+    phases,
+    recoveryWindowMs,
+    onPoint(point) {
+      if (!['http_reqs', 'http_req_duration', 'http_req_failed'].includes(point.metric)) return;
+
+      const name = phaseOf(point);
+      if (!name || !point.time) return;
+
+      const time = Date.parse(point.time);
+      const phase = phaseData(name, time);
+      const windowStart = Math.floor(time / recoveryWindowMs) * recoveryWindowMs;
+      if (!phase.windows.has(windowStart)) phase.windows.set(windowStart, createCell());
+
+      const cells = [phase.overall, phase.windows.get(windowStart)];
+      if (point.tags.endpoint) {
+        const endpoint = point.tags.endpoint;
+        cells.push(phase.endpoints[endpoint] || (phase.endpoints[endpoint] = createCell()));
+      }
+
+      cells.forEach(cell => {
+        if (point.metric === 'http_reqs') {
+          cell.requests++;
+        } else if (point.metric === 'http_req_duration') {
+          cell.durations.add(point.value);
+        } else {
+          cell.failed.total += point.value;
+          cell.failed.count++;
+        }
+      });
+    }
+  };
+}
+
+function cellStats(cell, seconds) {
+  const durations = cell.durations.summary();
+  return {
+    requests: cell.requests,
+    rps: seconds > 0 ? cell.requests / seconds : 0,
+    p50: durations.med,
+    p95: durations.p95,
+    p99: durations.p99,
+    errorRate: cell.failed.count > 0 ? cell.failed.total / cell.failed.count * 100 : 0
+  };
+}
+
+function percentChange(value, reference) {
+  if (!reference) return null;
+  return (value - reference) / reference * 100;
+}
+
+function withDegradation(stats, reference) {
+  if (!reference) return { ...stats, p95Change: null, p99Change: null, errorRateChange: null };
+  return {
+    ...stats,
+    p95Change: percentChange(stats.p95, reference.p95),
+    p99Change: percentChange(stats.p99, reference.p99),
+    errorRateChange: stats.errorRate - reference.errorRate
+  };
+}
+
+/**
+ * After the phase's busiest window, find the first point from which every
+ * window's P95 stays within tolerance of the baseline P95
+ */
+function analyzeRecovery(phase, baselineP95, { recoveryTolerance, recoveryWindowMs }) {
+  const windows = [...phase.windows.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, cell]) => ({ start, ...cellStats(cell, recoveryWindowMs / 1000) }))
+    .filter(window => window.requests > 0);
+
+  if (windows.length === 0) return null;
+
+  const peak = windows.reduce((busiest, window) => (window.rps > busiest.rps ? window : busiest), windows[0]);
+  const after = windows.filter(window => window.start >= peak.start);
+  const limit = baselineP95 * (1 + recoveryTolerance);
+  const final = windows[windows.length - 1];
+
+  let recoveredAt = null;
+  for (let i = after.length - 1; i >= 0 && after[i].p95 <= limit; i--) {
+    recoveredAt = after[i];
+  }
+
+  return {
+    limitP95: limit,
+    peak: { offsetSeconds: (peak.start - windows[0].start) / 1000, rps: peak.rps, p95: peak.p95 },
+    final: { offsetSeconds: (final.start - windows[0].start) / 1000, p95: final.p95, change: percentChange(final.p95, baselineP95) },
+    recovered: recoveredAt !== null,
+    secondsToRecover: recoveredAt ? (recoveredAt.start - peak.start) / 1000 : null,
+    timeline: windows.map(window => ({ offsetSeconds: (window.start - windows[0].start) / 1000, rps: window.rps, p95: window.p95 }))
+  };
+}
+
+/**
+ * Summarize the aggregator into the matrix, degradation and recovery report
+ */
+function buildPhaseReport(aggregator, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, recoveryWindowMs: aggregator.recoveryWindowMs, ...options };
+  const names = Object.keys(aggregator.phases).sort((a, b) => aggregator.phases[a].firstTime - aggregator.phases[b].firstTime);
+  if (names.length === 0) return null;
+
+  // Fall back to the first phase as reference when there is no baseline phase
+  const baselineName = names.includes(settings.baselinePhase) ? settings.baselinePhase : names[0];
+  const seconds = name => Math.max(1, (aggregator.phases[name].lastTime - aggregator.phases[name].firstTime) / 1000);
+  const baseline = aggregator.phases[baselineName];
+  const baselineOverall = cellStats(baseline.overall, seconds(baselineName));
+
+  const phases = names.map(name => {
+    const phase = aggregator.phases[name];
+    const endpoints = {};
+    Object.keys(phase.endpoints).sort().forEach(endpoint => {
+      const reference = baseline.endpoints[endpoint] ? cellStats(baseline.endpoints[endpoint], seconds(baselineName)) : null;
+      endpoints[endpoint] = withDegradation(cellStats(phase.endpoints[endpoint], seconds(name)), reference);
+    });
+
+    return {
+      name,
+      durationSeconds: seconds(name),
+      overall: withDegradation(cellStats(phase.overall, seconds(name)), baselineOverall),
+      endpoints
+    };
+  });
+
+  const recoveryPhase = aggregator.phases[settings.recoveryPhase];
+  return {
+    baselinePhase: baselineName,
+    baselineFound: baselineName === settings.baselinePhase,
+    phases,
+    recovery: recoveryPhase && settings.recoveryPhase !== baselineName
+      ? { phase: settings.recoveryPhase, tolerance: settings.recoveryTolerance, ...analyzeRecovery(recoveryPhase, baselineOverall.p95, settings) }
+      : null
+  };
+}
+
+function formatChange(change) {
+  if (change === null || change === undefined) return '';
+  return ` (${change >= 0 ? '+' : ''}${change.toFixed(1)}%)`;
+}
+
+function displayPhaseReport(report) {
+  if (!report) return;
+
+  console.log('\n🎬 PHASE x ENDPOINT BREAKDOWN');
+  console.log('='.repeat(80));
+  console.log(report.baselineFound
+    ? `   Degradation relative to "${report.baselinePhase}"`
+    : `   No baseline phase in this run - changes are relative to the first phase, "${report.baselinePhase}"`);
+
+  report.phases.forEach(phase => {
+    const overall = phase.overall;
+    const isBaseline = phase.name === report.baselinePhase;
+    console.log(`\n   📍 ${phase.name}${isBaseline ? ' (reference)' : ''} - ${overall.requests} requests, ${overall.rps.toFixed(2)} req/s`);
+    console.log(`      ${'Endpoint'.padEnd(34)} ${'P50'.padStart(9)} ${'P95'.padStart(20)} ${'P99'.padStart(20)} ${'Errors'.padStart(8)}`);
+
+    const rows = { ...phase.endpoints, 'All endpoints': overall };
+    Object.keys(rows).forEach(endpoint => {
+      const stats = rows[endpoint];
+      const p95 = `${stats.p95.toFixed(0)}ms${isBaseline ? '' : formatChange(stats.p95Change)}`;
+      const p99 = `${stats.p99.toFixed(0)}ms${isBaseline ? '' : formatChange(stats.p99Change)}`;
+      console.log(`      ${endpoint.slice(0, 34).padEnd(34)} ${`${stats.p50.toFixed(0)}ms`.padStart(9)} ${p95.padStart(20)} ${p99.padStart(20)} ${`${stats.errorRate.toFixed(2)}%`.padStart(8)}`);
+    });
+  });
+
+  const recovery = report.recovery;
+  if (recovery && recovery.peak) {
+    console.log(`\n🩹 RECOVERY AFTER "${recovery.phase}"`);
+    console.log(`   Peak load at +${recovery.peak.offsetSeconds}s: ${recovery.peak.rps.toFixed(2)} req/s, P95 ${recovery.peak.p95.toFixed(0)}ms`);
+    console.log(`   Baseline P95 + ${(recovery.tolerance * 100).toFixed(0)}% tolerance: ${recovery.limitP95.toFixed(0)}ms`);
+    console.log(`   Final window (+${recovery.final.offsetSeconds}s): P95 ${recovery.final.p95.toFixed(0)}ms${formatChange(recovery.final.change)} vs baseline`);
+    console.log(recovery.recovered
+      ? `   ✅ Recovered ${recovery.secondsToRecover}s after peak load`
+      : `   ❌ Latency did not return to baseline before the phase ended`);
+  }
+}
+
+/**
+ * Phase x endpoint rows, header row first; shared by the CSV output and the Excel export
+ */
+function phaseMatrixRows(report) {
+  const headers = ['Phase', 'Endpoint', 'Requests', 'RPS', 'P50 (ms)', 'P95 (ms)', 'P99 (ms)', 'Error Rate (%)', 'P95 vs Baseline (%)', 'P99 vs Baseline (%)', 'Error Rate vs Baseline (pp)'];
+  const rows = [headers];
+  const round = value => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+
+  (report ? report.phases : []).forEach(phase => {
+    const rowsFor = { ...phase.endpoints, 'All endpoints': phase.overall };
+    Object.keys(rowsFor).forEach(endpoint => {
+      const stats = rowsFor[endpoint];
+      rows.push([
+        phase.name, endpoint, stats.requests, round(stats.rps), round(stats.p50), round(stats.p95), round(stats.p99),
+        round(stats.errorRate), round(stats.p95Change), round(stats.p99Change), round(stats.errorRateChange)
+      ]);
+    });
+  });
+
+  return rows;
+}
+
+function phaseMatrixCSV(report) {
+  const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+  return phaseMatrixRows(report)
+    .map((row, index) => (index === 0 ? row : row.map((value, column) => {
+      if (column < 2) return quote(value);
+      return value === null ? '' : value;
+    })).join(','))
+    .join('\n');
+}
+
+module.exports = { createPhaseAggregator, buildPhaseReport, displayPhaseReport, phaseMatrixRows, phaseMatrixCSV };
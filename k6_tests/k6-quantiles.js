@@ -0,0 +1,191 @@
+/**
+ * Mergeable quantile sketch for k6 response times
+ *
+ * Every analyzer and exporter computes percentiles through this one engine so
+ * the console, the CSVs and the history agree:
+ * 1. Values are counted in logarithmic buckets (DDSketch-style), so memory
+ *    depends on the value range, not on the number of samples
+ * 2. Every quantile is within `relativeAccuracy` of the exact value
+ *    (default 1%, override with K6_QUANTILE_ACCURACY, e.g. 0.001)
+ * 3. Quantiles interpolate between ranks the same way k6's summary does:
+ *    p(q) sits at rank q * (count - 1)
+ * 4. Sketches with the same accuracy merge exactly, so several result files
+ *    (or endpoints) can be combined without keeping their samples
+ */
+
+const DEFAULT_RELATIVE_ACCURACY = Number(process.env.K6_QUANTILE_ACCURACY) || 0.01;
+
+// Anything at or below this is counted as zero (e.g. a reused connection's 0ms connect time)
+const MIN_INDEXABLE_VALUE = 1e-9;
+
+class QuantileSketch {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.relativeAccuracy] - 0 < accuracy < 1
+   */
+  constructor({ relativeAccuracy = DEFAULT_RELATIVE_ACCURACY } = {}) {
+    if (!(relativeAccuracy > 0 && relativeAccuracy < 1)) {
+      throw new Error(`relativeAccuracy must be between 0 and 1, got ${relativeAccuracy}`);
+    }
+    this.relativeAccuracy = relativeAccuracy;
+    this.gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+    this.logGamma = Math.log(this.gamma);
+    this.buckets = new Map();
+    this.zeroCount = 0;
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  add(value, weight = 1) {
+    if (!Number.isFinite(value)) return this;
+
+    if (value <= MIN_INDEXABLE_VALUE) {
+      this.zeroCount += weight;
+    } else {
+      const index = Math.ceil(Math.log(value) / this.logGamma);
+      this.buckets.set(index, (this.buckets.get(index) || 0) + weight);
+    }
+
+    this.count += weight;
+    this.sum += value * weight;
+    if (value < this.min) this.min = value;
+    if (value > this.max) this.max = value;
+    return this;
+  }
+
+  /**
+   * Fold another sketch into this one. Both must use the same accuracy,
+   * otherwise their buckets don't line up.
+   */
+  merge(other) {
+    if (other.relativeAccuracy !== this.relativeAccuracy) {
+      throw new Error(`Cannot merge sketches with accuracy ${other.relativeAccuracy} into ${this.relativeAccuracy}`);
+    }
+
+    other.buckets.forEach((bucketCount, index) => {
+      this.buckets.set(index, (this.buckets.get(index) || 0) + bucketCount);
+    });
+    this.zeroCount += other.zeroCount;
+    this.count += other.count;
+    this.sum += other.sum;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    return this;
+  }
+
+  get mean() {
+    return this.count > 0 ? this.sum / this.count : 0;
+  }
+
+  // Midpoint of a bucket, which is within relativeAccuracy of every value in it
+  bucketValue(index) {
+    return 2 * Math.pow(this.gamma, index) / (this.gamma + 1);
+  }
+
+  // Value of the sample at a 0-based integer rank
+  valueAtRank(rank, sortedIndexes) {
+    if (rank < this.zeroCount) return 0;
+
+    let seen = this.zeroCount;
+    for (const index of sortedIndexes) {
+      seen += this.buckets.get(index);
+      if (rank < seen) return this.bucketValue(index);
+    }
+    return this.max;
+  }
+
+  /**
+   * @param {number} q - 0..1, e.g. 0.95
+   * @returns {number} 0 for an empty sketch
+   */
+  quantile(q) {
+    return this.quantiles([q])[0];
+  }
+
+  quantiles(qs) {
+    if (this.count === 0) return qs.map(() => 0);
+
+    const sortedIndexes = [...this.buckets.keys()].sort((a, b) => a - b);
+    return qs.map((q) => {
+      if (q <= 0) return this.min;
+      if (q >= 1) return this.max;
+
+      const rank = q * (this.count - 1);
+      const lower = this.valueAtRank(Math.floor(rank), sortedIndexes);
+      const upper = this.valueAtRank(Math.ceil(rank), sortedIndexes);
+      const value = lower + (upper - lower) * (rank - Math.floor(rank));
+      return Math.min(this.max, Math.max(this.min, value));
+    });
+  }
+
+  /**
+   * Number of values at or below `value`, e.g. Apdex's satisfied requests.
+   * Exact up to the bucket holding `value`, which counts when its midpoint does.
+   */
+  countAtOrBelow(value) {
+    if (this.count === 0 || value < 0) return 0;
+    if (value >= this.max) return this.count;
+
+    let total = this.zeroCount;
+    this.buckets.forEach((bucketCount, index) => {
+      if (this.bucketValue(index) <= value) total += bucketCount;
+    });
+    return total;
+  }
+
+  /**
+   * The usual trend stats in one pass over the buckets
+   * @returns {{count: number, min: number, max: number, avg: number, med: number, p90: number, p95: number, p99: number}}
+   */
+  summary() {
+    const [med, p90, p95, p99] = this.quantiles([0.5, 0.9, 0.95, 0.99]);
+    return {
+      count: this.count,
+      min: this.count > 0 ? this.min : 0,
+      max: this.count > 0 ? this.max : 0,
+      avg: this.mean,
+      med,
+      p90,
+      p95,
+      p99
+    };
+  }
+
+  toJSON() {
+    return {
+      relativeAccuracy: this.relativeAccuracy,
+      count: this.count,
+      sum: this.sum,
+      min: this.count > 0 ? this.min : null,
+      max: this.count > 0 ? this.max : null,
+      zeroCount: this.zeroCount,
+      buckets: Object.fromEntries(this.buckets)
+    };
+  }
+
+  static fromJSON(json) {
+    const sketch = new QuantileSketch({ relativeAccuracy: json.relativeAccuracy });
+    Object.keys(json.buckets || {}).forEach((index) => {
+      sketch.buckets.set(Number(index), json.buckets[index]);
+    });
+    sketch.zeroCount = json.zeroCount || 0;
+    sketch.count = json.count || 0;
+    sketch.sum = json.sum || 0;
+    sketch.min = json.min === null || json.min === undefined ? Infinity : json.min;
+    sketch.max = json.max === null || json.max === undefined ? -Infinity : json.max;
+    return sketch;
+  }
+
+  /**
+   * Merge any number of sketches into a new one
+   */
+  static mergeAll(sketches, options) {
+    const merged = new QuantileSketch(options || (sketches[0] ? { relativeAccuracy: sketches[0].relativeAccuracy } : {}));
+    sketches.forEach((sketch) => merged.merge(sketch));
+    return merged;
+  }
+}
+
+module.exports = { QuantileSketch, DEFAULT_RELATIVE_ACCURACY };
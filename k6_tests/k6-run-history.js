@@ -0,0 +1,377 @@
+/**
+ * Append-only run history index (JSONL)
+ *
+ * One line per k6 run: run id, scenario, environment, start/end, k6 version,
+ * git SHA and per-endpoint aggregates with their Apdex and grade. It replaces the two CSV histories
+ * (k6-api-metrics-trends.csv and the Desktop k6-api-performance-history.csv),
+ * which can be imported once with importLegacyCSV().
+ *
+ * Lines are only ever appended, so a run recorded by CI is never rewritten and
+ * a crash can at worst leave a truncated last line, which readHistory skips.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { loadRunStats, OVERALL } = require('./k6-run-stats');
+const { gradeRun } = require('./k6-grading');
+
+const HISTORY_FILE = process.env.K6_HISTORY_FILE || path.join(__dirname, 'test-results', 'k6-run-history.jsonl');
+
+// Aggregates kept per endpoint; samples and sketches stay in the result files.
+// apdex is filled in by gradedEndpoints() next to its T and the letter grade.
+const HISTORY_METRICS = ['requests', 'rps', 'avg', 'p50', 'p90', 'p95', 'p99', 'max', 'errorRate', 'apdex'];
+
+function commandOutput(command) {
+  try {
+    return execSync(command, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 10000 }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+function detectGitSha() {
+  return process.env.GIT_SHA || commandOutput('git rev-parse HEAD');
+}
+
+function detectK6Version() {
+  const output = process.env.K6_VERSION || commandOutput('k6 version');
+  if (!output) return null;
+  const match = output.match(/v?\d+\.\d+\.\d+\S*/);
+  return match ? match[0] : output;
+}
+
+// Same format as TEST_RUN_INFO.runId in k6_api_load_test.js
+function runIdFromTime(time) {
+  return new Date(time).toISOString().replace(/[:.]/g, '-');
+}
+
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value * 1000) / 1000;
+}
+
+function pickMetrics(stats) {
+  const picked = {};
+  HISTORY_METRICS.forEach(metric => {
+    picked[metric] = round(stats[metric]);
+  });
+  return picked;
+}
+
+// Aggregates plus Apdex score, Apdex T and letter grade per endpoint (k6-grading.js)
+function gradedEndpoints(stats, scenario) {
+  const grades = gradeRun(stats, { scenario });
+  const endpoints = {};
+  Object.keys(stats).forEach(name => {
+    const { apdex, apdexT, grade } = grades[name];
+    endpoints[name] = { ...pickMetrics(stats[name]), apdex: apdex ? apdex.score : null, apdexT, grade };
+  });
+  return endpoints;
+}
+
+/**
+ * Read every run in the index, oldest first
+ * @returns {{runs: Object[], skippedLines: number}}
+ */
+function readHistory(file = HISTORY_FILE) {
+  if (!fs.existsSync(file)) return { runs: [], skippedLines: 0 };
+
+  const runs = [];
+  let skippedLines = 0;
+  fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      runs.push(JSON.parse(line));
+    } catch (error) {
+      skippedLines++;
+    }
+  });
+
+  runs.sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+  return { runs, skippedLines };
+}
+
+function appendRuns(records, file = HISTORY_FILE) {
+  const { runs } = readHistory(file);
+  const known = new Set(runs.map(run => run.runId));
+  const added = records.filter(record => !known.has(record.runId));
+
+  if (added.length > 0) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // A previous writer may have died mid-line; start on a fresh one
+    const needsNewline = fs.existsSync(file) && fs.statSync(file).size > 0 && !fs.readFileSync(file, 'utf8').endsWith('\n');
+    fs.appendFileSync(file, (needsNewline ? '\n' : '') + added.map(record => JSON.stringify(record)).join('\n') + '\n');
+  }
+
+  return { added, duplicates: records.length - added.length };
+}
+
+/**
+ * Build a history record from a k6 result file (NDJSON or summary export)
+ * @param {Object} [metadata] - scenario, environment, runId, k6Version, gitSha overrides
+ */
+async function buildRunRecord(resultsFile, metadata = {}) {
+  const run = await loadRunStats(resultsFile, { sampleSize: 0 });
+  const stats = {};
+  Object.keys(run.endpoints).forEach(name => {
+    if (run.endpoints[name]) stats[name] = run.endpoints[name];
+  });
+  const scenario = metadata.scenario || run.scenarios.join(',') || null;
+
+  return {
+    runId: metadata.runId || run.runId || (run.startTime ? runIdFromTime(run.startTime) : path.basename(resultsFile)),
+    scenario,
+    environment: metadata.environment || run.environment || null,
+    startTime: run.startTime,
+    endTime: run.endTime,
+    durationSeconds: round(run.durationSeconds),
+    k6Version: metadata.k6Version !== undefined ? metadata.k6Version : detectK6Version(),
+    gitSha: metadata.gitSha !== undefined ? metadata.gitSha : detectGitSha(),
+    resultsFile: path.basename(resultsFile),
+    source: run.source,
+    recordedAt: new Date().toISOString(),
+    endpoints: gradedEndpoints(stats, scenario)
+  };
+}
+
+/**
+ * Record a result file in the history index (skipped if its run id is already there)
+ */
+async function recordRun(resultsFile, metadata = {}, file = HISTORY_FILE) {
+  const record = await buildRunRecord(resultsFile, metadata);
+  const { added } = appendRuns([record], file);
+  return { record, duplicate: added.length === 0 };
+}
+
+function parseCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function numberOrNull(value) {
+  if (value === undefined || value === '' || value === 'N/A') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Column names shared by both legacy CSV layouts
+function legacyStats(row) {
+  const successRate = numberOrNull(row['Success Rate (%)']);
+  return {
+    requests: numberOrNull(row['Total Requests']),
+    rps: numberOrNull(row['Requests Per Second']),
+    avg: numberOrNull(row['Avg Response Time (ms)'] || row['Average Response Time (ms)']),
+    p50: numberOrNull(row['Median Response Time (ms)']),
+    p90: null,
+    p95: numberOrNull(row['P95 Response Time (ms)']),
+    p99: numberOrNull(row['P99 Response Time (ms)']),
+    max: numberOrNull(row['Max Response Time (ms)']),
+    errorRate: successRate !== null ? round(100 - successRate) : null
+  };
+}
+
+// Trends rows are per endpoint only; counts and rates add up, percentiles don't
+function combinedStats(rows) {
+  const total = metric => rows.reduce((sum, row) => sum + (row[metric] || 0), 0);
+  const requests = total('requests');
+  const failed = rows.reduce((sum, row) => sum + (row.requests || 0) * (row.errorRate || 0) / 100, 0);
+  return {
+    requests,
+    rps: round(total('rps')),
+    avg: requests > 0 ? round(rows.reduce((sum, row) => sum + (row.requests || 0) * (row.avg || 0), 0) / requests) : null,
+    p50: null,
+    p90: null,
+    p95: null,
+    p99: null,
+    max: rows.reduce((max, row) => Math.max(max, row.max || 0), 0) || null,
+    errorRate: requests > 0 ? round(failed / requests * 100) : null
+  };
+}
+
+function legacyRecord(fields) {
+  return {
+    k6Version: null,
+    gitSha: null,
+    recordedAt: new Date().toISOString(),
+    ...fields,
+    runId: runIdFromTime(fields.startTime),
+    endpoints: gradedEndpoints(fields.endpoints, fields.scenario)
+  };
+}
+
+function isTimestamp(value) {
+  return Boolean(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * History record for one k6-api-performance-history.csv row (keyed by
+ * header), or null when its Timestamp doesn't parse
+ */
+function performanceRowRecord(row, { scenario = null, environment = null, resultsFile = null } = {}) {
+  if (!isTimestamp(row.Timestamp)) return null;
+  return legacyRecord({
+    scenario: scenario || row['Flow Name'] || null,
+    environment,
+    startTime: new Date(row.Timestamp).toISOString(),
+    endTime: null,
+    durationSeconds: null,
+    resultsFile,
+    source: 'history-csv',
+    endpoints: { [OVERALL]: legacyStats(row) }
+  });
+}
+
+/**
+ * Convert one of the legacy CSV histories into history records
+ * - k6-api-metrics-trends.csv: one row per endpoint, runs separated by a blank line
+ * - k6-api-performance-history.csv: one overall row per run
+ * Runs whose timestamp doesn't parse are left out and their line numbers
+ * returned in skippedRows.
+ */
+function importLegacyCSV(csvFile, { scenario = null, environment = null } = {}) {
+  const content = fs.readFileSync(csvFile, 'utf8').replace(/\r/g, '');
+  const lines = content.split('\n');
+  const headers = parseCSVLine(lines[0]);
+  const toRow = line => {
+    const values = parseCSVLine(line);
+    const row = {};
+    headers.forEach((header, index) => { row[header] = values[index]; });
+    return row;
+  };
+  const resultsFile = path.basename(csvFile);
+  const records = [];
+  const skippedRows = [];
+
+  if (headers.includes('Endpoint')) {
+    // Blocks of { lineNumber, row }, split on blank lines
+    const blocks = [[]];
+    lines.slice(1).forEach((line, index) => {
+      if (line.trim()) {
+        blocks[blocks.length - 1].push({ lineNumber: index + 2, row: toRow(line) });
+      } else if (blocks[blocks.length - 1].length > 0) {
+        blocks.push([]);
+      }
+    });
+
+    blocks.filter(block => block.length > 0).forEach(block => {
+      const rows = block.map(entry => entry.row);
+      const startTime = rows.map(row => row['Date/Time']).sort()[0];
+      if (!isTimestamp(startTime)) {
+        skippedRows.push(block[0].lineNumber);
+        return;
+      }
+      const endpoints = {};
+      rows.forEach(row => { endpoints[row.Endpoint] = legacyStats(row); });
+      endpoints[OVERALL] = combinedStats(Object.values(endpoints));
+      records.push(legacyRecord({ scenario, environment, startTime, endTime: null, durationSeconds: null, resultsFile, source: 'trends-csv', endpoints }));
+    });
+    return { records, skippedRows };
+  }
+
+  if (headers.includes('Flow Name')) {
+    lines.forEach((line, index) => {
+      if (index === 0 || !line.trim()) return;
+      const record = performanceRowRecord(toRow(line), { scenario, environment, resultsFile });
+      if (record) {
+        records.push(record);
+      } else {
+        skippedRows.push(index + 1);
+      }
+    });
+    return { records, skippedRows };
+  }
+
+  throw new Error(`Unrecognized CSV layout: ${csvFile}`);
+}
+
+/**
+ * Filter runs by scenario, environment, endpoint and time, keeping the last N
+ */
+function filterRuns(runs, { scenario, environment, endpoint, since, until, last } = {}) {
+  const sinceTime = since ? Date.parse(since) : -Infinity;
+  const untilTime = until ? Date.parse(until) : Infinity;
+
+  const matching = runs.filter(run => {
+    const time = Date.parse(run.startTime);
+    return (!scenario || run.scenario === scenario) &&
+      (!environment || run.environment === environment) &&
+      (!endpoint || run.endpoints[endpoint]) &&
+      time >= sinceTime && time <= untilTime;
+  });
+
+  return last ? matching.slice(-last) : matching;
+}
+
+/**
+ * One metric of one endpoint across runs, with summary statistics
+ */
+function queryMetric(runs, metric, endpoint = OVERALL) {
+  if (!HISTORY_METRICS.includes(metric)) {
+    throw new Error(`Unknown metric "${metric}" - use one of: ${HISTORY_METRICS.join(', ')}`);
+  }
+
+  const points = runs
+    .map(run => ({
+      runId: run.runId,
+      startTime: run.startTime,
+      gitSha: run.gitSha,
+      value: run.endpoints[endpoint] ? run.endpoints[endpoint][metric] : null
+    }))
+    .filter(point => point.value !== null && point.value !== undefined);
+
+  const values = points.map(point => point.value);
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return {
+    metric,
+    endpoint,
+    points,
+    stats: values.length === 0 ? null : {
+      count: values.length,
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+      median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+      latest: values[values.length - 1]
+    }
+  };
+}
+
+module.exports = {
+  HISTORY_FILE,
+  HISTORY_METRICS,
+  readHistory,
+  appendRuns,
+  buildRunRecord,
+  recordRun,
+  importLegacyCSV,
+  performanceRowRecord,
+  parseCSVLine,
+  legacyStats,
+  filterRuns,
+  queryMetric
+};
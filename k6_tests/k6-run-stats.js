@@ -0,0 +1,282 @@
+/**
+ * Per-endpoint statistics for one k6 run, from either kind of result file
+ *
+ * 1. NDJSON (`--out json=...`, plain or .gz) is streamed through
+ *    k6-stream-reader.js; percentiles come from k6-quantiles.js and a fixed-size
+ *    random sample of durations is kept for significance tests
+ * 2. Summary exports (`--summary-export`, or the summary.json written by
+ *    handleSummary) only carry aggregates; per-endpoint numbers come from the
+ *    `{endpoint:...}` submetrics that the catalog SLO thresholds create
+ */
+
+const fs = require('fs');
+const { readK6Stream, describeReadIssues, isGzipped } = require('./k6-stream-reader');
+const { QuantileSketch } = require('./k6-quantiles');
+
+const OVERALL = 'All endpoints';
+const DEFAULT_SAMPLE_SIZE = Number(process.env.K6_SAMPLE_SIZE || 5000);
+
+/**
+ * Small seeded PRNG (mulberry32) so sampling - and therefore any test built
+ * on the samples - gives the same answer on every run
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fixed-size uniform sample of a stream (Algorithm R)
+ */
+function createReservoir(size, random) {
+  const values = [];
+  let seen = 0;
+  return {
+    values,
+    add(value) {
+      seen++;
+      if (values.length < size) {
+        values.push(value);
+      } else {
+        const index = Math.floor(random() * seen);
+        if (index < size) values[index] = value;
+      }
+    }
+  };
+}
+
+/**
+ * Is this a single summary JSON document rather than NDJSON?
+ */
+function isSummaryFile(filePath) {
+  if (isGzipped(filePath)) return false;
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(4096);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const head = buffer.toString('utf8', 0, bytesRead).trimStart();
+    const firstLine = head.split('\n')[0];
+    try {
+      const entry = JSON.parse(firstLine);
+      return !(entry.type === 'Metric' || entry.type === 'Point');
+    } catch (error) {
+      // A pretty-printed document doesn't parse line by line
+      return head.startsWith('{');
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function createEndpointEntry(sampleSize, random) {
+  return {
+    requests: 0,
+    durations: new QuantileSketch(),
+    samples: createReservoir(sampleSize, random),
+    failed: { total: 0, count: 0 }
+  };
+}
+
+function endpointResult(entry, seconds) {
+  const durations = entry.durations.summary();
+  return {
+    requests: entry.requests,
+    rps: seconds > 0 ? entry.requests / seconds : null,
+    avg: durations.avg,
+    p50: durations.med,
+    p90: durations.p90,
+    p95: durations.p95,
+    p99: durations.p99,
+    max: durations.max,
+    errorRate: entry.failed.count > 0 ? entry.failed.total / entry.failed.count * 100 : 0,
+    failed: { ...entry.failed },
+    samples: entry.samples.values,
+    sketch: entry.durations
+  };
+}
+
+const HTTP_METRICS = ['http_reqs', 'http_req_duration', 'http_req_failed'];
+
+/**
+ * Aggregator for readK6Stream collecting the run metadata that
+ * k6_api_load_test.js tags every request with
+ * @param {Object} [options]
+ * @param {string[]} [options.metrics] - only these metrics count towards start/end (default: all)
+ */
+function createRunMetaAggregator({ metrics } = {}) {
+  const runIds = new Set();
+  const scenarios = new Set();
+  const environments = new Set();
+  let firstTime = Infinity;
+  let lastTime = -Infinity;
+
+  return {
+    onPoint(point) {
+      if (metrics && !metrics.includes(point.metric)) return;
+
+      if (point.time) {
+        const time = Date.parse(point.time);
+        if (time < firstTime) firstTime = time;
+        if (time > lastTime) lastTime = time;
+      }
+      if (point.tags.test_run_id) runIds.add(point.tags.test_run_id);
+      if (point.tags.scenario) scenarios.add(point.tags.scenario);
+      if (point.tags.environment) environments.add(point.tags.environment);
+    },
+    result() {
+      return {
+        // Every VU evaluates TEST_RUN_INFO in its own init context, so one run can
+        // carry several ids; the earliest is the first VU's
+        runId: runIds.size > 0 ? [...runIds].sort()[0] : null,
+        runIds: [...runIds].sort(),
+        scenarios: [...scenarios].sort(),
+        environment: environments.size === 1 ? [...environments][0] : null,
+        startTime: Number.isFinite(firstTime) ? new Date(firstTime).toISOString() : null,
+        endTime: Number.isFinite(lastTime) ? new Date(lastTime).toISOString() : null,
+        durationSeconds: lastTime > firstTime ? (lastTime - firstTime) / 1000 : 0
+      };
+    }
+  };
+}
+
+async function loadNdjsonStats(filePath, sampleSize) {
+  const random = seededRandom(0x6b36);
+  const endpoints = {};
+  const overall = createEndpointEntry(sampleSize, random);
+  const meta = createRunMetaAggregator({ metrics: HTTP_METRICS });
+
+  const readStats = await readK6Stream(filePath, [meta, {
+    onPoint(point) {
+      if (!HTTP_METRICS.includes(point.metric)) return;
+
+      const entries = [overall];
+      const endpoint = point.tags.endpoint;
+      if (endpoint) entries.push(endpoints[endpoint] || (endpoints[endpoint] = createEndpointEntry(sampleSize, random)));
+
+      entries.forEach(entry => {
+        if (point.metric === 'http_reqs') {
+          entry.requests++;
+        } else if (point.metric === 'http_req_duration') {
+          entry.durations.add(point.value);
+          entry.samples.add(point.value);
+        } else {
+          entry.failed.total += point.value;
+          entry.failed.count++;
+        }
+      });
+    }
+  }]);
+
+  const run = meta.result();
+  const results = {};
+  Object.keys(endpoints).sort().forEach(endpoint => {
+    results[endpoint] = endpointResult(endpoints[endpoint], run.durationSeconds);
+  });
+  results[OVERALL] = endpointResult(overall, run.durationSeconds);
+
+  return {
+    file: filePath,
+    source: 'ndjson',
+    runId: run.runId,
+    scenarios: run.scenarios,
+    environment: run.environment,
+    startTime: run.startTime,
+    endTime: run.endTime,
+    durationSeconds: run.durationSeconds,
+    readIssues: describeReadIssues(readStats),
+    endpoints: results
+  };
+}
+
+// Both summary layouts: { values: {...} } from handleSummary, flat stats from --summary-export
+function metricValues(metric) {
+  if (!metric) return null;
+  return metric.values || metric;
+}
+
+function rateOf(values) {
+  if (!values) return null;
+  if (values.rate !== undefined) return values.rate;
+  if (values.value !== undefined) return values.value;
+  return null;
+}
+
+function summaryEntry(metrics, suffix, runSeconds) {
+  const duration = metricValues(metrics[`http_req_duration${suffix}`]);
+  const failed = metricValues(metrics[`http_req_failed${suffix}`]);
+  const reqs = metricValues(metrics[`http_reqs${suffix}`]);
+  if (!duration && !failed) return null;
+
+  const failedRate = rateOf(failed);
+  const failedCount = failed && failed.passes !== undefined ? failed.passes + failed.fails : null;
+  const requests = reqs && reqs.count !== undefined ? reqs.count : failedCount;
+  const stat = name => (duration && duration[name] !== undefined ? duration[name] : null);
+
+  return {
+    requests,
+    rps: reqs && reqs.rate !== undefined ? reqs.rate : (requests !== null && runSeconds ? requests / runSeconds : null),
+    avg: stat('avg'),
+    p50: stat('med'),
+    p90: stat('p(90)'),
+    p95: stat('p(95)'),
+    p99: stat('p(99)'),
+    max: stat('max'),
+    errorRate: failedRate !== null ? failedRate * 100 : null,
+    failed: failedCount !== null ? { total: failed.passes, count: failedCount } : null,
+    samples: null,
+    sketch: null
+  };
+}
+
+function loadSummaryStats(filePath) {
+  const summary = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const metrics = summary.metrics || {};
+  const runSeconds = summary.state && summary.state.testRunDurationMs ? summary.state.testRunDurationMs / 1000 : null;
+
+  const results = {};
+  Object.keys(metrics)
+    .map(name => name.match(/^http_req_(?:duration|failed)\{endpoint:(.+)\}$/))
+    .filter(Boolean)
+    .map(match => match[1])
+    .filter((endpoint, index, all) => all.indexOf(endpoint) === index)
+    .sort()
+    .forEach(endpoint => {
+      results[endpoint] = summaryEntry(metrics, `{endpoint:${endpoint}}`, runSeconds);
+    });
+  results[OVERALL] = summaryEntry(metrics, '', runSeconds);
+
+  const runInfo = summary.runInfo || {};
+  const startTime = runInfo.timestamp || null;
+
+  return {
+    file: filePath,
+    source: 'summary',
+    runId: runInfo.runId || null,
+    scenarios: runInfo.scenarios || [],
+    environment: runInfo.environment || null,
+    startTime,
+    endTime: startTime && runSeconds ? new Date(Date.parse(startTime) + runSeconds * 1000).toISOString() : null,
+    durationSeconds: runSeconds,
+    readIssues: null,
+    endpoints: results
+  };
+}
+
+/**
+ * Load per-endpoint stats (plus an "All endpoints" row) from a k6 result file
+ * @param {string} filePath - NDJSON (.json/.json.gz) or summary JSON
+ * @param {Object} [options]
+ * @param {number} [options.sampleSize] - durations kept per endpoint for significance tests
+ */
+async function loadRunStats(filePath, { sampleSize = DEFAULT_SAMPLE_SIZE } = {}) {
+  return isSummaryFile(filePath) ? loadSummaryStats(filePath) : loadNdjsonStats(filePath, sampleSize);
+}
+
+module.exports = { loadRunStats, isSummaryFile, createRunMetaAggregator, HTTP_METRICS, OVERALL };
@@ -0,0 +1,116 @@
+// Scenario profiles as data.
+// A profile is a k6 scenario (executor, stages, exec, tags...) plus a
+// `description` and per-phase `thresholds`. composeScenarios() turns a list
+// of profile names into k6 `scenarios`/`thresholds`, running the profiles
+// back to back with computed startTime offsets, and derives the duration and
+// description metadata from the stages so they can't drift.
+
+const DURATION_UNITS = { h: 3600, m: 60, s: 1, ms: 0.001 };
+
+// '1m30s' -> 90
+export function parseDuration(value) {
+  if (typeof value === 'number') return value;
+  if (!value) return 0;
+
+  let seconds = 0;
+  String(value).replace(/(\d+(?:\.\d+)?)(ms|h|m|s)/g, (match, amount, unit) => {
+    seconds += Number(amount) * DURATION_UNITS[unit];
+    return match;
+  });
+  return seconds;
+}
+
+// 90 -> '1m 30s'
+export function formatDuration(totalSeconds) {
+  const rounded = Math.round(totalSeconds);
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const seconds = rounded % 60;
+
+  const parts = [];
+  if (hours) parts.push(`${hours}h`);
+  if (minutes) parts.push(`${minutes}m`);
+  if (seconds || parts.length === 0) parts.push(`${seconds}s`);
+  return parts.join(' ');
+}
+
+// k6 wants durations as strings like '95s'
+function toK6Duration(totalSeconds) {
+  return `${Math.round(totalSeconds)}s`;
+}
+
+// Run time of a profile, without its gracefulStop
+export function profileDuration(profile) {
+  if (profile.stages) {
+    return profile.stages.reduce((sum, stage) => sum + parseDuration(stage.duration), 0);
+  }
+  return parseDuration(profile.duration);
+}
+
+// e.g. 'Quick validation with minimal load (1-2 iterations/s, 6m)'
+export function describeProfile(profile) {
+  const targets = (profile.stages || []).map((stage) => stage.target);
+  const min = Math.min(...targets);
+  const max = Math.max(...targets);
+  const load = targets.length > 0 ? `${min === max ? max : `${min}-${max}`} ${loadUnit(profile)}, ` : '';
+  return `${profile.description} (${load}${formatDuration(profileDuration(profile))})`;
+}
+
+function loadUnit(profile) {
+  if (!profile.executor || !profile.executor.endsWith('arrival-rate')) return 'VUs';
+  const timeUnit = profile.timeUnit || '1s';
+  return timeUnit === '1s' ? 'iterations/s' : `iterations/${timeUnit}`;
+}
+
+// Parse 'light,dashboard' into ['light', 'dashboard'], rejecting unknown names
+export function selectProfiles(profiles, selection, defaultName) {
+  const names = String(selection || defaultName)
+    .split(',')
+    .map((name) => name.trim())
+    .filter((name, index, all) => name && all.indexOf(name) === index);
+
+  const unknown = names.filter((name) => !profiles[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scenario "${unknown.join('", "')}". Available: ${Object.keys(profiles).join(', ')}`);
+  }
+  return names;
+}
+
+// Build k6 scenarios and thresholds for the selected profiles.
+// Profiles run one after another: each starts when the previous one's stages
+// and gracefulStop are over, plus `gap` seconds of cool-down.
+export function composeScenarios(profiles, names, { gap = 0 } = {}) {
+  const scenarios = {};
+  const thresholds = {};
+  const timeline = [];
+  let offset = 0;
+
+  names.forEach((name, index) => {
+    const { description, thresholds: profileThresholds, ...scenario } = profiles[name];
+    const duration = profileDuration(profiles[name]);
+    const phase = (scenario.tags && scenario.tags.phase) || name;
+
+    if (index > 0) offset += gap;
+    scenarios[name] = {
+      ...scenario,
+      tags: { phase, ...scenario.tags },
+      ...(offset > 0 ? { startTime: toK6Duration(offset) } : {}),
+    };
+    timeline.push({ name, phase, startSeconds: offset, durationSeconds: duration, description: describeProfile(profiles[name]) });
+
+    Object.keys(profileThresholds || {}).forEach((metric) => {
+      thresholds[`${metric}{phase:${phase}}`] = profileThresholds[metric];
+    });
+
+    offset += duration + (index < names.length - 1 ? parseDuration(scenario.gracefulStop || '30s') : 0);
+  });
+
+  return {
+    scenarios,
+    thresholds,
+    timeline,
+    totalSeconds: offset,
+    totalDuration: formatDuration(offset),
+    description: timeline.map((entry) => entry.description).join(' → '),
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * Streaming reader for k6 `--out json` result files
+ *
+ * k6 writes one JSON object per line (NDJSON). This reader walks the file
+ * line by line with readline, so memory use does not grow with file size:
+ * 1. Plain and gzipped files (`--out json=results.json.gz`) are both accepted
+ * 2. Each line is dispatched as a typed Metric or Point event to aggregators
+ * 3. A truncated last line (k6 killed mid-write) is reported, not fatal
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+
+/**
+ * Metric definition, emitted once per metric before its first point
+ * @typedef {Object} K6Metric
+ * @property {string} name - e.g. "http_req_duration"
+ * @property {string} type - counter | gauge | rate | trend
+ * @property {string} contains - default | time | data
+ * @property {string[]} thresholds
+ */
+
+/**
+ * One sample
+ * @typedef {Object} K6Point
+ * @property {string} metric - metric name
+ * @property {string} time - RFC 3339 timestamp
+ * @property {number} value
+ * @property {Object<string, string>} tags
+ */
+
+/**
+ * Anything with optional onMetric(K6Metric) / onPoint(K6Point) / onEnd(stats) handlers
+ * @typedef {Object} Aggregator
+ */
+
+/**
+ * Detect gzip by its magic bytes rather than trusting the file extension
+ */
+function isGzipped(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(2);
+    const bytesRead = fs.readSync(fd, header, 0, 2, 0);
+    return bytesRead === 2 && header[0] === 0x1f && header[1] === 0x8b;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function dispatch(aggregators, handler, event) {
+  for (const aggregator of aggregators) {
+    if (typeof aggregator[handler] === 'function') {
+      aggregator[handler](event);
+    }
+  }
+}
+
+/**
+ * Stream a k6 NDJSON result file into one or more aggregators
+ * @param {string} filePath - .json or .json.gz
+ * @param {Aggregator|Aggregator[]} aggregators
+ * @returns {Promise<{lines: number, metrics: number, points: number, skipped: number, truncated: boolean, error?: string}>}
+ */
+function readK6Stream(filePath, aggregators) {
+  const targets = Array.isArray(aggregators) ? aggregators : [aggregators];
+  const stats = { lines: 0, metrics: 0, points: 0, skipped: 0, truncated: false };
+
+  return new Promise((resolve, reject) => {
+    const gzipped = isGzipped(filePath);
+    const source = fs.createReadStream(filePath);
+    const input = gzipped ? source.pipe(zlib.createGunzip()) : source;
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    // A line that fails to parse only counts as truncation if it turns out
+    // to be the last one; anything after it makes it a skipped line instead
+    let pendingBadLine = false;
+
+    lines.on('line', (line) => {
+      if (!line.trim()) return;
+      stats.lines++;
+
+      if (pendingBadLine) {
+        stats.skipped++;
+        pendingBadLine = false;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        pendingBadLine = true;
+        return;
+      }
+
+      if (entry.type === 'Metric') {
+        stats.metrics++;
+        dispatch(targets, 'onMetric', { ...entry.data, name: entry.metric || entry.data.name });
+      } else if (entry.type === 'Point' && entry.data) {
+        stats.points++;
+        dispatch(targets, 'onPoint', {
+          metric: entry.metric,
+          time: entry.data.time,
+          value: entry.data.value,
+          tags: entry.data.tags || {},
+        });
+      }
+    });
+
+    lines.on('close', () => {
+      if (pendingBadLine) stats.truncated = true;
+      dispatch(targets, 'onEnd', stats);
+      resolve(stats);
+    });
+
+    source.on('error', reject);
+
+    // readline re-emits input errors; a cut-off gzip stream fails with
+    // Z_BUF_ERROR ("unexpected end of file") - keep what we have
+    lines.on('error', (error) => {
+      if (!String(error.code).startsWith('Z_')) {
+        reject(error);
+        return;
+      }
+      stats.truncated = true;
+      stats.error = error.message;
+      lines.close();
+    });
+  });
+}
+
+/**
+ * Endpoint a point belongs to. Older runs don't tag checks with the
+ * endpoint, so it is recovered from the check name
+ * (e.g. "Device Information - status is 200")
+ * @param {K6Point} point
+ * @returns {string|undefined}
+ */
+function endpointOf(point) {
+  if (point.tags.endpoint) return point.tags.endpoint;
+  if (point.metric === 'checks' && point.tags.check && point.tags.check.includes(' - ')) {
+    return point.tags.check.split(' - ')[0];
+  }
+  return undefined;
+}
+
+/**
+ * One-line note about anything odd the reader ran into
+ */
+function describeReadIssues(stats) {
+  const issues = [];
+  if (stats.skipped > 0) issues.push(`${stats.skipped} malformed line(s) skipped`);
+  if (stats.truncated) issues.push(`file ends mid-record${stats.error ? ` (${stats.error})` : ''} - last entry ignored`);
+  return issues.length > 0 ? `⚠️  ${issues.join(', ')}` : null;
+}
+
+module.exports = { readK6Stream, describeReadIssues, endpointOf, isGzipped };
@@ -0,0 +1,258 @@
+// Report artifacts for handleSummary().
+// summaryArtifacts() returns the { path: content } map k6 expects, writing a
+// machine-readable JSON summary, a self-contained HTML report, a JUnit XML of
+// the threshold results and a plain-text summary to <K6_OUTPUT_DIR>/<runId>/.
+// Grades come from the same engine the Node reports use (k6-grading.js).
+
+import grading from './k6-grading.js';
+
+const OUTPUT_DIR = __ENV.K6_OUTPUT_DIR || './test-results';
+
+// Rubrics are read in the init context; GRADING_RUBRICS paths are relative to this file
+const GRADING_RUBRICS = JSON.parse(open(__ENV.GRADING_RUBRICS || './grading-rubrics.json'));
+
+function escapeMarkup(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatValue(metric, stat, value) {
+  if (value === undefined || value === null) return 'n/a';
+  if (metric.type === 'rate' && stat === 'rate') return `${(value * 100).toFixed(2)}%`;
+  if (metric.contains === 'time') return `${value.toFixed(2)}ms`;
+  if (metric.contains === 'data') return `${(value / 1024).toFixed(1)}KB`;
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// One row per threshold expression across all metrics and submetrics
+export function thresholdResults(data) {
+  const rows = [];
+
+  Object.keys(data.metrics).sort().forEach((name) => {
+    const metric = data.metrics[name];
+    Object.keys(metric.thresholds || {}).forEach((threshold) => {
+      const stat = threshold.split(/[<>=!]/)[0].trim();
+      rows.push({
+        metric: name,
+        threshold,
+        value: metric.values ? metric.values[stat] : undefined,
+        formatted: formatValue(metric, stat, metric.values ? metric.values[stat] : undefined),
+        ok: metric.thresholds[threshold].ok,
+      });
+    });
+  });
+
+  return rows;
+}
+
+export function printThresholdTable(rows) {
+  console.log(`\n🚦 THRESHOLDS:`);
+  if (rows.length === 0) {
+    console.log(`   No thresholds defined`);
+    return;
+  }
+
+  const width = Math.max(...rows.map((row) => `${row.metric} ${row.threshold}`.length));
+  rows.forEach((row) => {
+    const label = `${row.metric} ${row.threshold}`.padEnd(width);
+    console.log(`   ${row.ok ? '✅ PASS' : '❌ FAIL'}  ${label}  ${row.formatted}`);
+  });
+
+  const failed = rows.filter((row) => !row.ok).length;
+  console.log(`   ${failed === 0 ? '🟢' : '🔴'} ${rows.length - failed}/${rows.length} thresholds passed`);
+}
+
+// Apdex and letter grade overall and per endpoint submetric
+export function runGrades(data, runInfo) {
+  return grading.gradeSummary(data, { scenario: runInfo.scenarios.join(','), rubrics: GRADING_RUBRICS });
+}
+
+export function printGrades(data, runInfo) {
+  grading.displayGrades(runGrades(data, runInfo));
+}
+
+// Flatten the group tree into { name, path, passes, fails } rows
+function collectChecks(group, rows = []) {
+  (group.checks || []).forEach((item) => {
+    rows.push({ name: item.name, path: item.path, passes: item.passes, fails: item.fails });
+  });
+  (group.groups || []).forEach((child) => collectChecks(child, rows));
+  return rows;
+}
+
+function metricLine(name, metric) {
+  const values = metric.values || {};
+  return Object.keys(values)
+    .map((stat) => `${stat}=${formatValue(metric, stat, values[stat])}`)
+    .join(' ');
+}
+
+function textReport(data, runInfo, thresholds, checks, grades) {
+  const lines = [
+    `K6 Load Test Summary - ${runInfo.runId}`,
+    `Test Type:   ${runInfo.testType}`,
+    `Scenarios:   ${runInfo.scenarios.join(', ')}`,
+    `Environment: ${runInfo.environment}`,
+    `Description: ${runInfo.description}`,
+    `Duration:    ${Math.round(data.state.testRunDurationMs || 0)}ms`,
+    '',
+    'THRESHOLDS',
+  ];
+
+  thresholds.forEach((row) => {
+    lines.push(`  ${row.ok ? 'PASS' : 'FAIL'}  ${row.metric} ${row.threshold}  (${row.formatted})`);
+  });
+
+  lines.push('', 'GRADES');
+  Object.keys(grades).forEach((name) => {
+    const result = grades[name];
+    lines.push(`  ${(result.grade || 'n/a').padEnd(3)}  ${name}  Apdex ${grading.formatApdex(result.apdex)}  ${result.reasons.join('; ')}`);
+  });
+
+  lines.push('', 'CHECKS');
+  checks.forEach((item) => {
+    const total = item.passes + item.fails;
+    lines.push(`  ${item.fails === 0 ? 'PASS' : 'FAIL'}  ${item.name}  ${item.passes}/${total}`);
+  });
+
+  lines.push('', 'METRICS');
+  const width = Math.max(...Object.keys(data.metrics).map((name) => name.length));
+  Object.keys(data.metrics).sort().forEach((name) => {
+    lines.push(`  ${name.padEnd(width, '.')}: ${metricLine(name, data.metrics[name])}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function htmlReport(data, runInfo, thresholds, checks, grades) {
+  const failed = thresholds.filter((row) => !row.ok).length;
+  const thresholdRows = thresholds.map((row) => `
+        <tr class="${row.ok ? 'pass' : 'fail'}"><td>${row.ok ? 'PASS' : 'FAIL'}</td><td>${escapeMarkup(row.metric)}</td><td>${escapeMarkup(row.threshold)}</td><td>${escapeMarkup(row.formatted)}</td></tr>`).join('');
+  const checkRows = checks.map((item) => {
+    const total = item.passes + item.fails;
+    const rate = total > 0 ? ((item.passes / total) * 100).toFixed(1) : '0.0';
+    return `
+        <tr class="${item.fails === 0 ? 'pass' : 'fail'}"><td>${escapeMarkup(item.name)}</td><td>${item.passes}</td><td>${item.fails}</td><td>${rate}%</td></tr>`;
+  }).join('');
+  const gradeRows = Object.keys(grades).map((name) => {
+    const result = grades[name];
+    return `
+        <tr class="grade-${escapeMarkup(result.grade || 'na')}"><td>${escapeMarkup(result.grade || 'n/a')}</td><td>${escapeMarkup(name)}</td><td>${escapeMarkup(grading.formatApdex(result.apdex))}</td><td>${escapeMarkup(result.apdex ? result.apdex.rating : '')}</td><td>${escapeMarkup(result.reasons.join('; '))}</td></tr>`;
+  }).join('');
+  const metricRows = Object.keys(data.metrics).sort().map((name) => `
+        <tr><td>${escapeMarkup(name)}</td><td>${escapeMarkup(metricLine(name, data.metrics[name]))}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>K6 Load Test Report - ${escapeMarkup(runInfo.runId)}</title>
+  <style>
+    body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 2em; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; font-size: 13px; }
+    th { background: #f4f4f4; }
+    tr.pass td:first-child { color: #1a7f37; font-weight: bold; }
+    tr.fail td:first-child { color: #cf222e; font-weight: bold; }
+    tr[class^="grade-"] td:first-child { font-weight: bold; }
+    tr.grade-A td:first-child, tr.grade-B td:first-child { color: #1a7f37; }
+    tr.grade-C td:first-child, tr.grade-D td:first-child { color: #9a6700; }
+    tr.grade-F td:first-child { color: #cf222e; }
+    .verdict { font-size: 1.2em; font-weight: bold; color: ${failed === 0 ? '#1a7f37' : '#cf222e'}; }
+  </style>
+</head>
+<body>
+  <h1>K6 Load Test Report</h1>
+  <p class="verdict">${failed === 0 ? 'All thresholds passed' : `${failed} of ${thresholds.length} thresholds failed`}</p>
+  <table>
+    <tr><th>Run ID</th><td>${escapeMarkup(runInfo.runId)}</td></tr>
+    <tr><th>Test Type</th><td>${escapeMarkup(runInfo.testType)}</td></tr>
+    <tr><th>Scenarios</th><td>${escapeMarkup(runInfo.scenarios.join(', '))}</td></tr>
+    <tr><th>Environment</th><td>${escapeMarkup(runInfo.environment)}</td></tr>
+    <tr><th>Description</th><td>${escapeMarkup(runInfo.description)}</td></tr>
+    <tr><th>Started</th><td>${escapeMarkup(runInfo.timestamp)}</td></tr>
+    <tr><th>Duration</th><td>${Math.round(data.state.testRunDurationMs || 0)}ms</td></tr>
+  </table>
+  <h2>Thresholds</h2>
+  <table>
+    <tr><th>Result</th><th>Metric</th><th>Threshold</th><th>Value</th></tr>${thresholdRows}
+  </table>
+  <h2>Grades</h2>
+  <table>
+    <tr><th>Grade</th><th>Endpoint</th><th>Apdex [T s]</th><th>Rating</th><th>Reasons</th></tr>${gradeRows}
+  </table>
+  <h2>Checks</h2>
+  <table>
+    <tr><th>Check</th><th>Passes</th><th>Fails</th><th>Pass Rate</th></tr>${checkRows}
+  </table>
+  <h2>Metrics</h2>
+  <table>
+    <tr><th>Metric</th><th>Values</th></tr>${metricRows}
+  </table>
+</body>
+</html>
+`;
+}
+
+// Every threshold is a test case, grouped into one suite per metric
+function junitReport(data, runInfo, thresholds) {
+  const suites = {};
+  thresholds.forEach((row) => {
+    (suites[row.metric] = suites[row.metric] || []).push(row);
+  });
+
+  const failures = thresholds.filter((row) => !row.ok).length;
+  const seconds = ((data.state.testRunDurationMs || 0) / 1000).toFixed(3);
+  const suiteXml = Object.keys(suites).map((metric) => {
+    const rows = suites[metric];
+    const cases = rows.map((row) => {
+      const name = escapeMarkup(`${metric} ${row.threshold}`);
+      const failure = row.ok ? '' : `
+      <failure message="${escapeMarkup(`${row.threshold} failed with ${row.formatted}`)}" type="threshold"/>`;
+      return `
+    <testcase classname="${escapeMarkup(runInfo.testType)}" name="${name}" time="0">${failure}
+    </testcase>`;
+    }).join('');
+    return `
+  <testsuite name="${escapeMarkup(metric)}" tests="${rows.length}" failures="${rows.filter((row) => !row.ok).length}">${cases}
+  </testsuite>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="k6 ${escapeMarkup(runInfo.runId)}" tests="${thresholds.length}" failures="${failures}" time="${seconds}">${suiteXml}
+</testsuites>
+`;
+}
+
+export function summaryArtifacts(data, runInfo) {
+  const dir = `${OUTPUT_DIR}/${runInfo.runId}`;
+  const thresholds = thresholdResults(data);
+  const checks = collectChecks(data.root_group || {});
+  const grades = runGrades(data, runInfo);
+
+  printThresholdTable(thresholds);
+
+  const summary = {
+    runInfo,
+    state: data.state,
+    thresholds,
+    grades,
+    checks,
+    metrics: data.metrics,
+  };
+
+  const files = {
+    [`${dir}/summary.json`]: JSON.stringify(summary, null, 2),
+    [`${dir}/report.html`]: htmlReport(data, runInfo, thresholds, checks, grades),
+    [`${dir}/junit.xml`]: junitReport(data, runInfo, thresholds),
+    [`${dir}/summary.txt`]: textReport(data, runInfo, thresholds, checks, grades),
+  };
+
+  console.log(`\n💾 REPORT ARTIFACTS:`);
+  Object.keys(files).forEach((file) => console.log(`   ${file}`));
+
+  return files;
+}
@@ -0,0 +1,190 @@
+/**
+ * Inline SVG charts for the offline HTML reports
+ *
+ * Every function returns a self-contained <svg> string: no scripts, fonts or
+ * external stylesheets, so a report still renders from a file share or a CI
+ * artifact with no network access.
+ */
+
+const PALETTE = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+const FONT = 'font-family="-apple-system, Segoe UI, Helvetica, Arial, sans-serif" font-size="11"';
+const MARGIN = { top: 30, right: 60, bottom: 36, left: 60 };
+
+function escapeMarkup(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Round an axis maximum up to 1, 2 or 5 times a power of ten
+ */
+function niceMax(value) {
+  if (!(value > 0)) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value);
+  return step * magnitude;
+}
+
+function formatTick(value) {
+  if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (value >= 10000) return `${(value / 1000).toFixed(0)}k`;
+  return Number.isInteger(value) ? String(value) : value.toFixed(value < 10 ? 2 : 1);
+}
+
+function formatSeconds(seconds) {
+  if (seconds < 120) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  return seconds % 60 ? `${minutes}m${seconds % 60}s` : `${minutes}m`;
+}
+
+function legend(items, x, y) {
+  let offset = 0;
+  return items.map(item => {
+    const entry = `<rect x="${x + offset}" y="${y - 8}" width="10" height="10" fill="${item.color}"/><text x="${x + offset + 14}" y="${y}" ${FONT}>${escapeMarkup(item.name)}</text>`;
+    offset += 24 + item.name.length * 6;
+    return entry;
+  }).join('');
+}
+
+function emptyChart(title, width, height) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">
+  <text x="${width / 2}" y="${height / 2}" text-anchor="middle" ${FONT} fill="#888">${escapeMarkup(title)}: no data</text>
+</svg>`;
+}
+
+/**
+ * Line chart over a shared x axis (seconds from start by default)
+ * @param {Object} options
+ * @param {number[]} options.x - x values in seconds
+ * @param {Array<{name: string, values: number[], color?: string, axis?: 'left'|'right'}>} options.series
+ * @param {string} [options.yLabel] - left axis label
+ * @param {string} [options.y2Label] - right axis label, used by series with axis: 'right'
+ * @param {Function} [options.formatX] - x tick label, e.g. for VUs instead of seconds
+ * @param {Array<{x: number, label: string}>} [options.markers] - labelled vertical lines
+ */
+function lineChart({ title, x, series, yLabel = '', y2Label = '', formatX = formatSeconds, markers = [], width = 860, height = 260 }) {
+  if (!x || x.length === 0 || series.length === 0) return emptyChart(title, width, height);
+
+  const plotWidth = width - MARGIN.left - MARGIN.right;
+  const plotHeight = height - MARGIN.top - MARGIN.bottom;
+  const maxX = Math.max(1, x[x.length - 1]);
+  const axisMax = axis => niceMax(Math.max(0, ...series.filter(s => (s.axis || 'left') === axis).flatMap(s => s.values.filter(Number.isFinite))));
+  const maxY = { left: axisMax('left'), right: axisMax('right') };
+  const hasRight = series.some(s => s.axis === 'right');
+
+  const px = value => MARGIN.left + value / maxX * plotWidth;
+  const py = (value, axis) => MARGIN.top + plotHeight - value / maxY[axis] * plotHeight;
+
+  const grid = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+    const y = MARGIN.top + plotHeight - fraction * plotHeight;
+    const right = hasRight ? `<text x="${width - MARGIN.right + 6}" y="${y + 4}" ${FONT} fill="#555">${formatTick(fraction * maxY.right)}</text>` : '';
+    return `<line x1="${MARGIN.left}" x2="${width - MARGIN.right}" y1="${y}" y2="${y}" stroke="#eee"/><text x="${MARGIN.left - 6}" y="${y + 4}" text-anchor="end" ${FONT} fill="#555">${formatTick(fraction * maxY.left)}</text>${right}`;
+  }).join('');
+
+  const xTicks = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+    const seconds = Math.round(fraction * maxX);
+    return `<text x="${px(seconds)}" y="${height - MARGIN.bottom + 16}" text-anchor="middle" ${FONT} fill="#555">${formatX(seconds)}</text>`;
+  }).join('');
+
+  const markerLines = markers.map(marker => `<line x1="${px(marker.x).toFixed(1)}" x2="${px(marker.x).toFixed(1)}" y1="${MARGIN.top}" y2="${MARGIN.top + plotHeight}" stroke="#d62728" stroke-dasharray="2 3"/><text x="${(px(marker.x) + 4).toFixed(1)}" y="${MARGIN.top + 12}" ${FONT} fill="#d62728">${escapeMarkup(marker.label)}</text>`).join('');
+
+  const colored = series.map((s, index) => ({ ...s, color: s.color || PALETTE[index % PALETTE.length] }));
+  const lines = colored.map(s => {
+    const points = s.values
+      .map((value, index) => (Number.isFinite(value) ? `${px(x[index]).toFixed(1)},${py(value, s.axis || 'left').toFixed(1)}` : null))
+      .filter(Boolean)
+      .join(' ');
+    return `<polyline fill="none" stroke="${s.color}" stroke-width="1.5"${s.axis === 'right' ? ' stroke-dasharray="4 3"' : ''} points="${points}"><title>${escapeMarkup(s.name)}</title></polyline>`;
+  }).join('\n  ');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">
+  <title>${escapeMarkup(title)}</title>
+  ${grid}
+  <line x1="${MARGIN.left}" x2="${MARGIN.left}" y1="${MARGIN.top}" y2="${MARGIN.top + plotHeight}" stroke="#999"/>
+  <line x1="${MARGIN.left}" x2="${width - MARGIN.right}" y1="${MARGIN.top + plotHeight}" y2="${MARGIN.top + plotHeight}" stroke="#999"/>
+  ${xTicks}
+  <text x="12" y="${MARGIN.top - 12}" ${FONT} fill="#555">${escapeMarkup(yLabel)}</text>
+  ${hasRight ? `<text x="${width - 12}" y="${MARGIN.top - 12}" text-anchor="end" ${FONT} fill="#555">${escapeMarkup(y2Label)}</text>` : ''}
+  ${markerLines}
+  ${lines}
+  ${legend(colored, MARGIN.left + 80, MARGIN.top - 12)}
+</svg>`;
+}
+
+/**
+ * Vertical bar chart, e.g. a latency histogram
+ * @param {Array<{label: string, value: number}>} options.bars
+ */
+function barChart({ title, bars, yLabel = '', color = PALETTE[0], width = 860, height = 260 }) {
+  if (!bars || bars.length === 0) return emptyChart(title, width, height);
+
+  const plotWidth = width - MARGIN.left - MARGIN.right;
+  const plotHeight = height - MARGIN.top - MARGIN.bottom;
+  const maxY = niceMax(Math.max(...bars.map(bar => bar.value)));
+  const slot = plotWidth / bars.length;
+  // Label every nth bar so the x axis stays readable
+  const labelEvery = Math.max(1, Math.ceil(bars.length / 10));
+
+  const rects = bars.map((bar, index) => {
+    const barHeight = bar.value / maxY * plotHeight;
+    const x = MARGIN.left + index * slot;
+    const label = index % labelEvery === 0
+      ? `<text x="${(x + slot / 2).toFixed(1)}" y="${height - MARGIN.bottom + 16}" text-anchor="middle" ${FONT} fill="#555">${escapeMarkup(bar.label)}</text>`
+      : '';
+    return `<rect x="${(x + 1).toFixed(1)}" y="${(MARGIN.top + plotHeight - barHeight).toFixed(1)}" width="${Math.max(1, slot - 2).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${color}"><title>${escapeMarkup(bar.label)}: ${bar.value}</title></rect>${label}`;
+  }).join('\n  ');
+
+  const grid = [0, 0.5, 1].map(fraction => {
+    const y = MARGIN.top + plotHeight - fraction * plotHeight;
+    return `<line x1="${MARGIN.left}" x2="${width - MARGIN.right}" y1="${y}" y2="${y}" stroke="#eee"/><text x="${MARGIN.left - 6}" y="${y + 4}" text-anchor="end" ${FONT} fill="#555">${formatTick(fraction * maxY)}</text>`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">
+  <title>${escapeMarkup(title)}</title>
+  ${grid}
+  <text x="12" y="${MARGIN.top - 12}" ${FONT} fill="#555">${escapeMarkup(yLabel)}</text>
+  ${rects}
+  <line x1="${MARGIN.left}" x2="${width - MARGIN.right}" y1="${MARGIN.top + plotHeight}" y2="${MARGIN.top + plotHeight}" stroke="#999"/>
+</svg>`;
+}
+
+/**
+ * Horizontal stacked bars, one row per label
+ * @param {Array<{label: string, segments: Array<{name: string, value: number}>}>} options.rows
+ */
+function stackedBarChart({ title, rows, unit = '', width = 860 }) {
+  if (!rows || rows.length === 0) return emptyChart(title, width, 120);
+
+  const labelWidth = 200;
+  const rowHeight = 22;
+  const height = MARGIN.top + rows.length * rowHeight + 20;
+  const plotWidth = width - labelWidth - MARGIN.right;
+  const names = [...new Set(rows.flatMap(row => row.segments.map(segment => segment.name)))];
+  const colors = {};
+  names.forEach((name, index) => { colors[name] = PALETTE[index % PALETTE.length]; });
+  const maxTotal = niceMax(Math.max(...rows.map(row => row.segments.reduce((sum, segment) => sum + segment.value, 0))));
+
+  const bars = rows.map((row, index) => {
+    const y = MARGIN.top + index * rowHeight;
+    let x = labelWidth;
+    const segments = row.segments.map(segment => {
+      const segmentWidth = segment.value / maxTotal * plotWidth;
+      const rect = `<rect x="${x.toFixed(1)}" y="${y}" width="${segmentWidth.toFixed(1)}" height="${rowHeight - 6}" fill="${colors[segment.name]}"><title>${escapeMarkup(`${row.label} - ${segment.name}: ${segment.value.toFixed(2)}${unit}`)}</title></rect>`;
+      x += segmentWidth;
+      return rect;
+    }).join('');
+    const total = row.segments.reduce((sum, segment) => sum + segment.value, 0);
+    return `<text x="${labelWidth - 8}" y="${y + 12}" text-anchor="end" ${FONT}>${escapeMarkup(row.label.slice(0, 32))}</text>${segments}<text x="${(x + 6).toFixed(1)}" y="${y + 12}" ${FONT} fill="#555">${total.toFixed(1)}${escapeMarkup(unit)}</text>`;
+  }).join('\n  ');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">
+  <title>${escapeMarkup(title)}</title>
+  ${legend(names.map(name => ({ name, color: colors[name] })), labelWidth, MARGIN.top - 12)}
+  ${bars}
+</svg>`;
+}
+
+module.exports = { lineChart, barChart, stackedBarChart, escapeMarkup, niceMax, PALETTE };
@@ -0,0 +1,151 @@
+/**
+ * Threshold outcomes recomputed from a k6 NDJSON results file
+ *
+ * k6 writes each metric's threshold sources ("p(95)<500", "rate<0.01") on its
+ * Metric line, including submetrics like `http_req_duration{endpoint:Apps}`.
+ * When the run's handleSummary output isn't available, this aggregator
+ * evaluates them from the points, giving rows in the same shape as
+ * thresholdResults() in k6-summary.js.
+ */
+
+const { QuantileSketch } = require('./k6-quantiles');
+
+const EXPRESSION = /^\s*(avg|min|max|med|p\(\d+(?:\.\d+)?\)|rate|count|value)\s*(<=|>=|===|==|!=|<|>)\s*(-?[\d.]+)\s*$/;
+
+const COMPARE = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '===': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+/**
+ * "http_req_duration{endpoint:Apps,status:200}" -> base name + tag filter
+ */
+function parseMetricName(name) {
+  const match = name.match(/^([^{]+)\{(.*)\}$/);
+  if (!match) return { base: name, tags: {} };
+
+  const tags = {};
+  match[2].split(',').forEach(pair => {
+    const separator = pair.indexOf(':');
+    if (separator > 0) tags[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim().replace(/^"|"$/g, '');
+  });
+  return { base: match[1], tags };
+}
+
+function createTracker(metric) {
+  return {
+    ...parseMetricName(metric.name),
+    name: metric.name,
+    type: metric.type,
+    contains: metric.contains,
+    thresholds: metric.thresholds,
+    count: 0,
+    sum: 0,
+    min: Infinity,
+    max: -Infinity,
+    last: null,
+    sketch: metric.type === 'trend' ? new QuantileSketch() : null
+  };
+}
+
+function statValue(tracker, stat, runSeconds) {
+  if (tracker.count === 0) return null;
+
+  switch (tracker.type) {
+    case 'trend': {
+      if (stat === 'avg') return tracker.sum / tracker.count;
+      if (stat === 'min') return tracker.min;
+      if (stat === 'max') return tracker.max;
+      if (stat === 'med') return tracker.sketch.quantile(0.5);
+      const percentile = stat.match(/^p\(([\d.]+)\)$/);
+      return percentile ? tracker.sketch.quantile(Number(percentile[1]) / 100) : null;
+    }
+    case 'rate':
+      return stat === 'rate' ? tracker.sum / tracker.count : null;
+    case 'counter':
+      if (stat === 'count') return tracker.sum;
+      return stat === 'rate' && runSeconds > 0 ? tracker.sum / runSeconds : null;
+    case 'gauge':
+      if (stat === 'value') return tracker.last;
+      if (stat === 'min') return tracker.min;
+      return stat === 'max' ? tracker.max : null;
+    default:
+      return null;
+  }
+}
+
+function formatValue(tracker, stat, value) {
+  if (value === null || value === undefined) return 'n/a';
+  if (tracker.type === 'rate' && stat === 'rate') return `${(value * 100).toFixed(2)}%`;
+  if (tracker.contains === 'time') return `${value.toFixed(2)}ms`;
+  if (tracker.contains === 'data') return `${(value / 1024).toFixed(1)}KB`;
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+/**
+ * Aggregator for readK6Stream
+ */
+function createThresholdAggregator() {
+  const trackers = [];
+  let firstTime = Infinity;
+  let lastTime = -Infinity;
+
+  return {
+    trackers,
+    onMetric(metric) {
+      if (metric.thresholds && metric.thresholds.length > 0 && !trackers.some(tracker => tracker.name === metric.name)) {
+        trackers.push(createTracker(metric));
+      }
+    },
+    onPoint(point) {
+      if (point.time) {
+        const time = Date.parse(point.time);
+        if (time < firstTime) firstTime = time;
+        if (time > lastTime) lastTime = time;
+      }
+
+      trackers.forEach(tracker => {
+        if (tracker.base !== point.metric) return;
+        if (Object.keys(tracker.tags).some(tag => point.tags[tag] !== tracker.tags[tag])) return;
+
+        tracker.count++;
+        tracker.sum += point.value;
+        tracker.last = point.value;
+        if (point.value < tracker.min) tracker.min = point.value;
+        if (point.value > tracker.max) tracker.max = point.value;
+        if (tracker.sketch) tracker.sketch.add(point.value);
+      });
+    },
+    /**
+     * @returns {Array<{metric: string, threshold: string, value: number|null, formatted: string, ok: boolean|null}>}
+     *   ok is null when the expression can't be evaluated from the points
+     */
+    results() {
+      const runSeconds = lastTime > firstTime ? (lastTime - firstTime) / 1000 : 0;
+      const rows = [];
+
+      [...trackers].sort((a, b) => a.name.localeCompare(b.name)).forEach(tracker => {
+        tracker.thresholds.forEach(threshold => {
+          const match = threshold.match(EXPRESSION);
+          const value = match ? statValue(tracker, match[1], runSeconds) : null;
+          rows.push({
+            metric: tracker.name,
+            threshold,
+            value,
+            formatted: match ? formatValue(tracker, match[1], value) : 'n/a',
+            ok: match && value !== null ? COMPARE[match[2]](value, Number(match[3])) : null
+          });
+        });
+      });
+
+      return rows;
+    }
+  };
+}
+
+module.exports = { createThresholdAggregator, parseMetricName };
@@ -0,0 +1,198 @@
+/**
+ * Trend analysis and drift detection over the run history
+ *
+ * Single-run thresholds and the golden-baseline gate compare one run with a
+ * fixed reference, so a slowdown of a few percent per week never trips them.
+ * For every endpoint and metric of a scenario @ environment series this computes:
+ * 1. A rolling average and an EWMA over the recorded runs
+ * 2. The least-squares slope, as % of the mean per week
+ * 3. A z-score of the latest run against the runs just before it (step changes)
+ * 4. A two-sided CUSUM against the first runs of the series (gradual drift)
+ */
+
+const { OVERALL } = require('./k6-run-stats');
+
+const DEFAULT_OPTIONS = {
+  // Runs in the rolling average and in the z-score reference
+  window: 5,
+  alpha: 0.3,
+  zThreshold: 3,
+  // Runs at the start of the series that the CUSUM measures drift from
+  baselineRuns: 5,
+  // CUSUM slack and decision interval, in standard deviations
+  cusumK: 0.5,
+  cusumH: 5,
+  // Floor on the reference standard deviation as a fraction of its mean:
+  // a handful of near-identical runs would otherwise flag any 1ms change
+  minRelativeSd: 0.02
+};
+
+const DEFAULT_TREND_METRICS = ['p95', 'p99', 'errorRate', 'rps'];
+
+// Lower throughput or Apdex is the regression; for everything else higher is worse
+const HIGHER_IS_BETTER = ['rps', 'requests', 'apdex'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+function rollingMean(values, window) {
+  return values.map((value, index) => mean(values.slice(Math.max(0, index - window + 1), index + 1)));
+}
+
+function ewma(values, alpha) {
+  const smoothed = [];
+  values.forEach((value, index) => smoothed.push(index === 0 ? value : alpha * value + (1 - alpha) * smoothed[index - 1]));
+  return smoothed;
+}
+
+/**
+ * Least-squares slope of value over time, in value units per day
+ */
+function slopePerDay(times, values) {
+  const days = times.map(time => (time - times[0]) / DAY_MS);
+  const meanDay = mean(days);
+  const meanValue = mean(values);
+  const spread = days.reduce((sum, day) => sum + (day - meanDay) ** 2, 0);
+  if (spread === 0) return null;
+  return days.reduce((sum, day, index) => sum + (day - meanDay) * (values[index] - meanValue), 0) / spread;
+}
+
+function referenceSd(values, minRelativeSd) {
+  return Math.max(standardDeviation(values), Math.abs(mean(values)) * minRelativeSd, 1e-9);
+}
+
+/**
+ * Two-sided standardized CUSUM; reports the first run where either sum
+ * exceeds the decision interval
+ */
+function cusum(values, reference, sd, k, h) {
+  let upper = 0;
+  let lower = 0;
+  let alarm = null;
+
+  values.forEach((value, index) => {
+    const z = (value - reference) / sd;
+    upper = Math.max(0, upper + z - k);
+    lower = Math.max(0, lower - z - k);
+    if (alarm === null && (upper > h || lower > h)) alarm = { index, direction: upper > h ? 'up' : 'down' };
+  });
+
+  return { upper, lower, alarm };
+}
+
+/**
+ * Trend of one metric over time-ordered points ({runId, startTime, value})
+ * @returns {Object} status is 'regressing', 'improving', 'stable' or 'insufficient data'
+ */
+function analyzeSeries(points, metric, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const values = points.map(point => point.value);
+  const times = points.map(point => Date.parse(point.startTime));
+  const result = {
+    metric,
+    runs: values.length,
+    values,
+    latest: values.length > 0 ? values[values.length - 1] : null,
+    rolling: null,
+    ewma: null,
+    slopePercentPerWeek: null,
+    zScore: null,
+    cusum: null,
+    drift: null,
+    status: 'insufficient data'
+  };
+
+  if (values.length === 0) return result;
+  result.rolling = rollingMean(values, settings.window)[values.length - 1];
+  result.ewma = ewma(values, settings.alpha)[values.length - 1];
+
+  // The z-score needs a spread from at least two earlier runs and the CUSUM a
+  // reference plus at least two runs to accumulate over
+  if (values.length < 4) return result;
+
+  const slope = slopePerDay(times, values);
+  const average = mean(values);
+  if (slope !== null && average !== 0) result.slopePercentPerWeek = slope * 7 / average * 100;
+
+  const previous = values.slice(Math.max(0, values.length - 1 - settings.window), values.length - 1);
+  result.zScore = (result.latest - mean(previous)) / referenceSd(previous, settings.minRelativeSd);
+
+  const baselineCount = Math.max(2, Math.min(settings.baselineRuns, Math.floor(values.length / 2)));
+  const baseline = values.slice(0, baselineCount);
+  const reference = mean(baseline);
+  const sums = cusum(values.slice(baselineCount), reference, referenceSd(baseline, settings.minRelativeSd), settings.cusumK, settings.cusumH);
+  const alarmPoint = sums.alarm ? points[baselineCount + sums.alarm.index] : null;
+  result.cusum = {
+    reference,
+    baselineRuns: baselineCount,
+    upper: sums.upper,
+    lower: sums.lower,
+    alarm: alarmPoint ? { runId: alarmPoint.runId, startTime: alarmPoint.startTime, direction: sums.alarm.direction } : null
+  };
+
+  // Which signals fired, and whether they point the bad way for this metric
+  const worseSign = HIGHER_IS_BETTER.includes(metric) ? -1 : 1;
+  const signals = [];
+  if (Math.abs(result.zScore) >= settings.zThreshold) signals.push({ detector: 'z-score', sign: Math.sign(result.zScore) });
+  if (result.cusum.alarm) signals.push({ detector: 'CUSUM', sign: result.cusum.alarm.direction === 'up' ? 1 : -1 });
+
+  if (signals.length === 0) {
+    result.status = 'stable';
+  } else {
+    const worse = signals.filter(signal => signal.sign === worseSign);
+    result.status = worse.length > 0 ? 'regressing' : 'improving';
+    result.drift = (worse.length > 0 ? worse : signals).map(signal => signal.detector);
+  }
+
+  return result;
+}
+
+function seriesKey(run) {
+  return `${run.scenario || 'unknown scenario'} @ ${run.environment || 'unknown env'}`;
+}
+
+/**
+ * Trends for every scenario @ environment series, endpoint and metric.
+ * Series are analyzed separately: mixing a smoke run into a stress series
+ * would read as drift.
+ * @param {Object[]} runs - history records, oldest first
+ * @returns {Array<{series: string, runs: number, endpoints: Object<string, Object<string, Object>>}>}
+ */
+function analyzeTrends(runs, { metrics = DEFAULT_TREND_METRICS, endpoint, ...options } = {}) {
+  const groups = new Map();
+  runs.forEach(run => {
+    const key = seriesKey(run);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(run);
+  });
+
+  return [...groups.entries()].map(([series, seriesRuns]) => {
+    const names = endpoint
+      ? [endpoint]
+      : [...new Set(seriesRuns.flatMap(run => Object.keys(run.endpoints)))].sort((a, b) => (a === OVERALL ? -1 : b === OVERALL ? 1 : a.localeCompare(b)));
+
+    const endpoints = {};
+    names.forEach(name => {
+      endpoints[name] = {};
+      metrics.forEach(metric => {
+        const points = seriesRuns
+          .filter(run => run.endpoints[name] && Number.isFinite(run.endpoints[name][metric]))
+          .map(run => ({ runId: run.runId, startTime: run.startTime, value: run.endpoints[name][metric] }));
+        endpoints[name][metric] = analyzeSeries(points, metric, options);
+      });
+    });
+
+    return { series, runs: seriesRuns.length, endpoints };
+  });
+}
+
+module.exports = { analyzeTrends, analyzeSeries, rollingMean, ewma, cusum, DEFAULT_TREND_METRICS, DEFAULT_OPTIONS };
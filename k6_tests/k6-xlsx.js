@@ -0,0 +1,377 @@
+/**
+ * Minimal XLSX (Office Open XML) writer and reader, with no dependencies
+ *
+ * 1. writeWorkbook() builds SpreadsheetML sheets with typed cells (numbers
+ *    stay numbers, Dates become Excel date serials) and zips them with zlib
+ * 2. Header rows are bold, frozen and filterable so pivot tables work directly
+ * 3. readWorkbook() reads sheets back - from this writer, or after Excel has
+ *    re-saved the file with shared strings - so append mode can extend them
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+// ---------------------------------------------------------------------------
+// ZIP container
+// ---------------------------------------------------------------------------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * @param {Array<{name: string, content: string|Buffer}>} entries
+ * @returns {Buffer}
+ */
+function zip(entries) {
+  const { time, date } = dosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(entry => {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * @returns {Object<string, Buffer>} entry name -> uncompressed content
+ */
+function unzip(buffer) {
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= 0; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) throw new Error('Not a zip file (no end of central directory)');
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(pointer + 10);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    files[name] = method === 8 ? zlib.inflateRawSync(data) : Buffer.from(data);
+
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
+
+// ---------------------------------------------------------------------------
+// SpreadsheetML
+// ---------------------------------------------------------------------------
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+function columnIndex(name) {
+  return name.split('').reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Excel stores dates as days since 1899-12-30
+function excelSerial(date) {
+  return date.getTime() / 86400000 + 25569;
+}
+
+// Style ids, matching the cellXfs order in STYLES
+const STYLE = { header: 1, date: 2 };
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>
+  <fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+  <fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+  <borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+  <cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+  <cellXfs count="3">
+    <xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+    <xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+    <xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+  </cellXfs>
+</styleSheet>`;
+
+function cellXml(value, reference, header) {
+  if (value === null || value === undefined || value === '') return '';
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? '' : `<c r="${reference}" s="${STYLE.date}"><v>${excelSerial(value)}</v></c>`;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? `<c r="${reference}"><v>${value}</v></c>` : '';
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${reference}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  const style = header ? ` s="${STYLE.header}"` : '';
+  return `<c r="${reference}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function columnWidths(rows) {
+  const widths = [];
+  rows.slice(0, 200).forEach(row => row.forEach((value, index) => {
+    const length = value instanceof Date ? 19 : String(value === null || value === undefined ? '' : value).length;
+    widths[index] = Math.min(60, Math.max(widths[index] || 8, length + 2));
+  }));
+  return widths;
+}
+
+function sheetXml(rows) {
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 1);
+  const lastCell = `${columnName(width - 1)}${Math.max(1, rows.length)}`;
+  const cols = columnWidths(rows).map((columnWidth, index) => `<col min="${index + 1}" max="${index + 1}" width="${columnWidth}" customWidth="1"/>`).join('');
+  const rowXml = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => cellXml(value, `${columnName(columnIndex)}${rowIndex + 1}`, rowIndex === 0)).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <dimension ref="A1:${lastCell}"/>
+  <sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+  <sheetFormatPr defaultRowHeight="15"/>
+  ${cols ? `<cols>${cols}</cols>` : ''}
+  <sheetData>${rowXml}</sheetData>
+  ${rows.length > 1 ? `<autoFilter ref="A1:${lastCell}"/>` : ''}
+</worksheet>`;
+}
+
+// Excel limits sheet names to 31 characters without []:*?/\
+function sheetName(name) {
+  return String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet';
+}
+
+/**
+ * Build an .xlsx file
+ * @param {Array<{name: string, rows: Array<Array<string|number|boolean|Date|null>>}>} sheets
+ *   first row of each sheet is the header
+ * @returns {Buffer}
+ */
+function buildWorkbook(sheets) {
+  const names = sheets.map(sheet => sheetName(sheet.name));
+
+  const entries = [
+    {
+      name: '[Content_Types].xml',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+  <Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+  ${names.map((name, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n  ')}
+</Types>`
+    },
+    {
+      name: '_rels/.rels',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <sheets>
+    ${names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('\n    ')}
+  </sheets>
+</workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  ${names.map((name, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('\n  ')}
+  <Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+    },
+    { name: 'xl/styles.xml', content: STYLES },
+    ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: sheetXml(sheet.rows) }))
+  ];
+
+  return zip(entries);
+}
+
+function writeWorkbook(filePath, sheets) {
+  fs.writeFileSync(filePath, buildWorkbook(sheets));
+}
+
+function attribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+function textContent(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => unescapeXml(match[1])).join('');
+}
+
+function parseSheet(xml, sharedStrings, dateStyles) {
+  const rows = [];
+  for (const rowMatch of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(attribute(rowMatch[1], 'r')) || rows.length + 1;
+    const row = [];
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const reference = attribute(attributes, 'r');
+      const index = reference ? columnIndex(reference.replace(/\d+/g, '')) : row.length;
+      const type = attribute(attributes, 't');
+      const raw = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = null;
+      if (type === 'inlineStr') value = textContent(body);
+      else if (type === 's') value = sharedStrings[Number(raw)];
+      else if (type === 'str') value = raw !== undefined ? unescapeXml(raw) : null;
+      else if (type === 'b') value = raw === '1';
+      else if (raw !== undefined) {
+        value = Number(raw);
+        if (dateStyles.has(Number(attribute(attributes, 's')))) value = new Date(Math.round((value - 25569) * 86400000));
+      }
+      row[index] = value;
+    }
+    rows[rowNumber - 1] = Array.from(row, value => (value === undefined ? null : value));
+  }
+  return Array.from(rows, row => row || []);
+}
+
+// Built-in date formats are 14-22; custom ones are recognised by their code
+function dateStyleIds(stylesXml) {
+  const customDateFormats = new Set([...stylesXml.matchAll(/<numFmt\b[^>]*numFmtId="(\d+)"[^>]*formatCode="([^"]*)"/g)]
+    .filter(match => /[dmyhs]/i.test(match[2].replace(/"[^"]*"/g, '')))
+    .map(match => Number(match[1])));
+  const cellXfs = (stylesXml.match(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/) || [])[1] || '';
+  const ids = new Set();
+  [...cellXfs.matchAll(/<xf\b([^>]*)/g)].forEach((match, index) => {
+    const format = Number(attribute(match[1], 'numFmtId'));
+    if ((format >= 14 && format <= 22) || customDateFormats.has(format)) ids.add(index);
+  });
+  return ids;
+}
+
+/**
+ * Read every sheet of an .xlsx file
+ * @returns {Object<string, Array<Array<string|number|boolean|Date|null>>>} sheet name -> rows
+ */
+function readWorkbook(filePath) {
+  const files = unzip(fs.readFileSync(filePath));
+  const text = name => (files[name] ? files[name].toString('utf8') : '');
+
+  const sharedStrings = [...text('xl/sharedStrings.xml').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textContent(match[1]));
+  const dateStyles = dateStyleIds(text('xl/styles.xml'));
+  const targets = {};
+  [...text('xl/_rels/workbook.xml.rels').matchAll(/<Relationship\b([^>]*)\/?>/g)].forEach(match => {
+    targets[attribute(match[1], 'Id')] = attribute(match[1], 'Target');
+  });
+
+  const sheets = {};
+  [...text('xl/workbook.xml').matchAll(/<sheet\b([^>]*)\/?>/g)].forEach(match => {
+    const target = targets[attribute(match[1], 'r:id')];
+    if (!target) return;
+    const part = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    sheets[unescapeXml(attribute(match[1], 'name'))] = parseSheet(text(part), sharedStrings, dateStyles);
+  });
+
+  return sheets;
+}
+
+module.exports = { writeWorkbook, buildWorkbook, readWorkbook, zip, unzip, crc32 };
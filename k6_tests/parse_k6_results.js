@@ -2,69 +2,70 @@
 
 const fs = require('fs');
 const path = require('path');
+const { readK6Stream, describeReadIssues, endpointOf } = require('./k6-stream-reader');
+const { QuantileSketch } = require('./k6-quantiles');
+const { createPhaseAggregator, buildPhaseReport, displayPhaseReport } = require('./k6-phase-analysis');
 
-// Function to parse k6 JSON results and show per-endpoint metrics
-function parseK6Results(jsonFilePath) {
-  try {
-    // Read the JSON file
-    const fileContent = fs.readFileSync(jsonFilePath, 'utf8');
-    
-    // Parse each line (k6 outputs one JSON object per line)
-    const lines = fileContent.trim().split('\n');
-    const metrics = lines.map(line => JSON.parse(line));
-    
-    // Group metrics by endpoint
-    const endpointData = {};
-    
-    metrics.forEach(metric => {
-      if (metric.data && metric.data.tags && metric.data.tags.endpoint) {
-        const endpoint = metric.data.tags.endpoint;
-        const metricType = metric.metric;
-        const value = metric.data.value;
-        const time = metric.data.time;
-        
-        if (!endpointData[endpoint]) {
-          endpointData[endpoint] = {
-            requests: [],
-            durations: [],
-            checks: [],
-            blocked: [],
-            connecting: [],
-            sending: [],
-            waiting: [],
-            receiving: []
-          };
-        }
-        
-        // Categorize metrics by type
-        switch (metricType) {
-          case 'http_reqs':
-            endpointData[endpoint].requests.push({ value, time });
-            break;
-          case 'http_req_duration':
-            endpointData[endpoint].durations.push({ value, time });
-            break;
-          case 'checks':
-            endpointData[endpoint].checks.push({ value, time, check: metric.data.tags.check });
-            break;
-          case 'http_req_blocked':
-            endpointData[endpoint].blocked.push({ value, time });
-            break;
-          case 'http_req_connecting':
-            endpointData[endpoint].connecting.push({ value, time });
-            break;
-          case 'http_req_sending':
-            endpointData[endpoint].sending.push({ value, time });
-            break;
-          case 'http_req_waiting':
-            endpointData[endpoint].waiting.push({ value, time });
-            break;
-          case 'http_req_receiving':
-            endpointData[endpoint].receiving.push({ value, time });
-            break;
-        }
+const TIMING_METRICS = {
+  http_req_blocked: 'blocked',
+  http_req_connecting: 'connecting',
+  http_req_sending: 'sending',
+  http_req_waiting: 'waiting',
+  http_req_receiving: 'receiving'
+};
+
+function average(total, count) {
+  return count > 0 ? Math.round(total / count) : 0;
+}
+
+// Aggregator for readK6Stream: keeps only counters and a duration sketch per endpoint
+function createEndpointAggregator() {
+  const endpointData = {};
+
+  return {
+    endpointData,
+    onPoint(point) {
+      const endpoint = endpointOf(point);
+      if (!endpoint) return;
+
+      if (!endpointData[endpoint]) {
+        endpointData[endpoint] = {
+          requests: 0,
+          durations: new QuantileSketch(),
+          checks: { passes: 0, total: 0 },
+          timings: { blocked: { total: 0, count: 0 }, connecting: { total: 0, count: 0 }, sending: { total: 0, count: 0 }, waiting: { total: 0, count: 0 }, receiving: { total: 0, count: 0 } }
+        };
       }
-    });
+      const data = endpointData[endpoint];
+
+      // Categorize metrics by type
+      if (point.metric === 'http_reqs') {
+        data.requests++;
+      } else if (point.metric === 'http_req_duration') {
+        data.durations.add(point.value);
+      } else if (point.metric === 'checks') {
+        data.checks.total++;
+        if (point.value === 1) data.checks.passes++;
+      } else if (TIMING_METRICS[point.metric]) {
+        const timing = data.timings[TIMING_METRICS[point.metric]];
+        timing.total += point.value;
+        timing.count++;
+      }
+    }
+  };
+}
+
+// Function to parse k6 JSON results and show per-endpoint metrics.
+// extraAggregators (e.g. the phase breakdown) are fed from the same pass over the file.
+async function parseK6Results(jsonFilePath, extraAggregators = []) {
+  try {
+    // Stream the file (k6 outputs one JSON object per line)
+    const aggregator = createEndpointAggregator();
+    const readStats = await readK6Stream(jsonFilePath, [aggregator, ...extraAggregators]);
+    const readIssues = describeReadIssues(readStats);
+    if (readIssues) console.log(readIssues);
+
+    const endpointData = aggregator.endpointData;
     
     // Calculate statistics for each endpoint
     const endpointStats = {};
@@ -73,26 +74,25 @@ function parseK6Results(jsonFilePath) {
       const data = endpointData[endpoint];
       
       // Calculate duration statistics
-      const durations = data.durations.map(d => d.value);
-      const sortedDurations = durations.sort((a, b) => a - b);
+      const durations = data.durations.summary();
       
       endpointStats[endpoint] = {
-        totalRequests: data.requests.length,
-        successRate: (data.checks.filter(c => c.value === 1).length / data.checks.length * 100).toFixed(1),
+        totalRequests: data.requests,
+        successRate: data.checks.total > 0 ? (data.checks.passes / data.checks.total * 100).toFixed(1) : 'n/a',
         responseTimes: {
-          min: Math.round(Math.min(...durations)),
-          max: Math.round(Math.max(...durations)),
-          avg: Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length),
-          median: Math.round(sortedDurations[Math.floor(sortedDurations.length / 2)]),
-          p95: Math.round(sortedDurations[Math.floor(sortedDurations.length * 0.95)]),
-          p99: Math.round(sortedDurations[Math.floor(sortedDurations.length * 0.99)])
+          min: Math.round(durations.min),
+          max: Math.round(durations.max),
+          avg: Math.round(durations.avg),
+          median: Math.round(durations.med),
+          p95: Math.round(durations.p95),
+          p99: Math.round(durations.p99)
         },
         timingBreakdown: {
-          blocked: Math.round(data.blocked.reduce((sum, b) => sum + b.value, 0) / data.blocked.length),
-          connecting: Math.round(data.connecting.reduce((sum, c) => sum + c.value, 0) / data.connecting.length),
-          sending: Math.round(data.sending.reduce((sum, s) => sum + s.value, 0) / data.sending.length),
-          waiting: Math.round(data.waiting.reduce((sum, w) => sum + w.value, 0) / data.waiting.length),
-          receiving: Math.round(data.receiving.reduce((sum, r) => sum + r.value, 0) / data.receiving.length)
+          blocked: average(data.timings.blocked.total, data.timings.blocked.count),
+          connecting: average(data.timings.connecting.total, data.timings.connecting.count),
+          sending: average(data.timings.sending.total, data.timings.sending.count),
+          waiting: average(data.timings.waiting.total, data.timings.waiting.count),
+          receiving: average(data.timings.receiving.total, data.timings.receiving.count)
         }
       };
     });
@@ -134,7 +134,7 @@ function displayResults(endpointStats) {
     console.log(`\n   📊 Timing Breakdown:`);
     console.log(`      Blocked: ${stats.timingBreakdown.blocked}ms`);
     console.log(`      Connecting: ${stats.timingBreakdown.connecting}ms`);
-    console.log(`      Sending: ${stats.sending}ms`);
+    console.log(`      Sending: ${stats.timingBreakdown.sending}ms`);
     console.log(`      Waiting: ${stats.timingBreakdown.waiting}ms`);
     console.log(`      Receiving: ${stats.timingBreakdown.receiving}ms`);
   });
@@ -160,11 +160,11 @@ function displayResults(endpointStats) {
 }
 
 // Main execution
-function main() {
+async function main() {
   const args = process.argv.slice(2);
   
   if (args.length === 0) {
-    console.log('Usage: node parse_k6_results.js <path-to-k6-json-file>');
+    console.log('Usage: node parse_k6_results.js <path-to-k6-json-file[.gz]>');
     console.log('Example: node parse_k6_results.js "/Users/tim.maids/Desktop/API stuff/api-load-test-results.json"');
     return;
   }
@@ -178,8 +178,10 @@ function main() {
   
   console.log(`📁 Parsing k6 results from: ${jsonFilePath}`);
   
-  const endpointStats = parseK6Results(jsonFilePath);
+  const phaseAggregator = createPhaseAggregator();
+  const endpointStats = await parseK6Results(jsonFilePath, [phaseAggregator]);
   displayResults(endpointStats);
+  if (endpointStats) displayPhaseReport(buildPhaseReport(phaseAggregator));
 }
 
 // Run the script
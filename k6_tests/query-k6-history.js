@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+
+/**
+ * Run history CLI
+ *
+ * 1. `add` records a k6 result file (NDJSON or summary export) in the index
+ * 2. `import` brings in the legacy CSV histories (trends or Desktop history)
+ * 3. `list` shows runs, filtered by scenario, environment, endpoint and time
+ * 4. `query` follows one metric of one endpoint across runs, e.g.
+ *    P95 of Apps over the last 30 runs of dashboard_benchmark
+ * 5. `trends` flags gradual drift per endpoint and metric (see k6-trends.js)
+ */
+
+const fs = require('fs');
+const { OVERALL } = require('./k6-run-stats');
+const { sparkline } = require('./analyze-k6-timeline');
+const {
+  HISTORY_FILE,
+  HISTORY_METRICS,
+  readHistory,
+  appendRuns,
+  recordRun,
+  importLegacyCSV,
+  filterRuns,
+  queryMetric
+} = require('./k6-run-history');
+const { analyzeTrends, DEFAULT_TREND_METRICS, DEFAULT_OPTIONS: TREND_DEFAULTS } = require('./k6-trends');
+
+const COMMANDS = ['add', 'import', 'list', 'query', 'trends'];
+const VALUE_OPTIONS = ['--scenario', '--environment', '--endpoint', '--since', '--until', '--last', '--history', '--json', '--metric', '--window', '--alpha', '--z'];
+
+const TREND_STATUS = {
+  regressing: '🔴',
+  improving: '🟢',
+  stable: '✅',
+  'insufficient data': '⚪'
+};
+
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function formatValue(metric, value) {
+  if (value === null || value === undefined) return 'n/a';
+  if (metric === 'errorRate') return `${value.toFixed(2)}%`;
+  if (metric === 'requests') return `${value}`;
+  if (metric === 'rps') return `${value.toFixed(2)}/s`;
+  if (metric === 'apdex') return value.toFixed(2);
+  return `${value.toFixed(0)}ms`;
+}
+
+function shortSha(sha) {
+  return sha ? sha.slice(0, 8) : '-';
+}
+
+function displayRuns(runs) {
+  if (runs.length === 0) {
+    console.log('No runs match these filters');
+    return;
+  }
+
+  console.log(`\n📚 RUN HISTORY (${runs.length} run${runs.length === 1 ? '' : 's'})`);
+  console.log('='.repeat(110));
+  console.log(`${'Run ID'.padEnd(26)} ${'Scenario'.padEnd(22)} ${'Env'.padEnd(8)} ${'Requests'.padStart(9)} ${'P95'.padStart(8)} ${'Errors'.padStart(8)} ${'Git'.padEnd(9)} k6`);
+  runs.forEach(run => {
+    const overall = run.endpoints[OVERALL] || {};
+    console.log([
+      String(run.runId).slice(0, 26).padEnd(26),
+      String(run.scenario || '-').slice(0, 22).padEnd(22),
+      String(run.environment || '-').slice(0, 8).padEnd(8),
+      formatValue('requests', overall.requests).padStart(9),
+      formatValue('p95', overall.p95).padStart(8),
+      formatValue('errorRate', overall.errorRate).padStart(8),
+      shortSha(run.gitSha).padEnd(9),
+      run.k6Version || '-'
+    ].join(' '));
+  });
+}
+
+function displayQuery(result, filters) {
+  const scope = [filters.scenario, filters.environment].filter(Boolean).join(' @ ') || 'all runs';
+  console.log(`\n📈 ${result.metric} of ${result.endpoint} - ${scope} (${result.points.length} run${result.points.length === 1 ? '' : 's'})`);
+  console.log('='.repeat(80));
+
+  if (!result.stats) {
+    console.log(`No recorded ${result.metric} values for "${result.endpoint}"`);
+    return;
+  }
+
+  result.points.forEach(point => {
+    console.log(`   ${point.startTime.slice(0, 19).replace('T', ' ')}  ${formatValue(result.metric, point.value).padStart(10)}  ${shortSha(point.gitSha).padEnd(9)} ${point.runId}`);
+  });
+
+  const stats = result.stats;
+  console.log(`\n   Trend:  ${sparkline(result.points.map(point => point.value))}`);
+  console.log(`   Latest: ${formatValue(result.metric, stats.latest)}   Median: ${formatValue(result.metric, stats.median)}   Mean: ${formatValue(result.metric, stats.mean)}`);
+  console.log(`   Min:    ${formatValue(result.metric, stats.min)}   Max: ${formatValue(result.metric, stats.max)}`);
+}
+
+function formatSigned(value, unit = '') {
+  if (value === null || value === undefined) return 'n/a';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(1)}${unit}`;
+}
+
+function driftNote(trend) {
+  const parts = [];
+  if (trend.drift.includes('CUSUM')) parts.push(`CUSUM alarm at ${trend.cusum.alarm.startTime.slice(0, 10)} (${trend.cusum.alarm.runId})`);
+  if (trend.drift.includes('z-score')) parts.push(`latest run z=${trend.zScore.toFixed(1)}`);
+  return parts.join(', ');
+}
+
+function displayTrends(analysis, { metrics, window }) {
+  if (analysis.length === 0) {
+    console.log('No runs match these filters');
+    return;
+  }
+
+  const flagged = [];
+  analysis.forEach(series => {
+    console.log(`\n📉 TRENDS - ${series.series} (${series.runs} run${series.runs === 1 ? '' : 's'})`);
+    console.log('='.repeat(120));
+
+    metrics.forEach(metric => {
+      console.log(`\n   ${metric}`);
+      console.log(`   ${'Endpoint'.padEnd(30)} ${'Runs'.padStart(4)} ${'Latest'.padStart(10)} ${`Avg(${window})`.padStart(10)} ${'EWMA'.padStart(10)} ${'Slope/wk'.padStart(9)} ${'z'.padStart(6)}  ${'Trend'.padEnd(20)} Status`);
+      Object.keys(series.endpoints).forEach(endpoint => {
+        const trend = series.endpoints[endpoint][metric];
+        if (trend.runs === 0) return;
+        console.log([
+          `   ${endpoint.slice(0, 30).padEnd(30)}`,
+          String(trend.runs).padStart(4),
+          formatValue(metric, trend.latest).padStart(10),
+          formatValue(metric, trend.rolling).padStart(10),
+          formatValue(metric, trend.ewma).padStart(10),
+          formatSigned(trend.slopePercentPerWeek, '%').padStart(9),
+          formatSigned(trend.zScore).padStart(6),
+          ` ${sparkline(trend.values, 20).padEnd(20)}`,
+          `${TREND_STATUS[trend.status]} ${trend.status}`
+        ].join(' '));
+        if (trend.drift) flagged.push({ series: series.series, endpoint, trend });
+      });
+    });
+  });
+
+  const regressions = flagged.filter(entry => entry.trend.status === 'regressing');
+  const improvements = flagged.filter(entry => entry.trend.status === 'improving');
+  console.log(`\n📋 DRIFT: ${regressions.length} regressing, ${improvements.length} improving`);
+  [...regressions, ...improvements].forEach(({ series, endpoint, trend }) => {
+    console.log(`   ${TREND_STATUS[trend.status]} ${endpoint} ${trend.metric} (${series}): ${formatSigned(trend.slopePercentPerWeek, '%')}/week, ${driftNote(trend)}`);
+  });
+}
+
+function printUsage() {
+  console.log('📚 K6 Run History');
+  console.log('Usage:');
+  console.log('   node query-k6-history.js add <results-file> [--scenario name] [--environment env]');
+  console.log('   node query-k6-history.js import <legacy-csv> [--scenario name] [--environment env]');
+  console.log('   node query-k6-history.js list [filters]');
+  console.log('   node query-k6-history.js query <metric> [--endpoint name] [filters] [--json file]');
+  console.log('   node query-k6-history.js trends [--metric p95,errorRate] [--endpoint name] [--window N] [--alpha a] [--z n] [filters] [--json file]');
+  console.log('\nFilters: --scenario name --environment env --since date --until date --last N');
+  console.log(`Metrics: ${HISTORY_METRICS.join(', ')} (endpoint defaults to "${OVERALL}")`);
+  console.log(`Trends: ${DEFAULT_TREND_METRICS.join(', ')} of every endpoint by default; rolling average over ${TREND_DEFAULTS.window} runs, EWMA alpha ${TREND_DEFAULTS.alpha}, z-score limit ${TREND_DEFAULTS.zThreshold}`);
+  console.log(`History file: ${HISTORY_FILE} (override with --history or K6_HISTORY_FILE)`);
+  console.log('\nExample: node query-k6-history.js query p95 --endpoint Apps --scenario dashboard_benchmark --last 30');
+  console.log('Example: node query-k6-history.js trends --metric p95 --scenario dashboard_benchmark --environment staging');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index - 1]));
+  const [command, target] = positional;
+  const historyFile = optionValue(args, '--history') || HISTORY_FILE;
+  const filters = {
+    scenario: optionValue(args, '--scenario'),
+    environment: optionValue(args, '--environment'),
+    since: optionValue(args, '--since'),
+    until: optionValue(args, '--until'),
+    last: optionValue(args, '--last') ? Number(optionValue(args, '--last')) : undefined
+  };
+
+  try {
+    if (filters.last !== undefined && (!Number.isInteger(filters.last) || filters.last < 1)) {
+      throw new Error(`--last must be a positive integer, got "${optionValue(args, '--last')}"`);
+    }
+
+    if (command === 'add' && target) {
+      if (!fs.existsSync(target)) {
+        console.error(`❌ File not found: ${target}`);
+        process.exitCode = 1;
+        return;
+      }
+      const { record, duplicate } = await recordRun(target, { scenario: filters.scenario, environment: filters.environment }, historyFile);
+      console.log(duplicate
+        ? `ℹ️  Run ${record.runId} is already in ${historyFile}`
+        : `✅ Recorded run ${record.runId} (${record.scenario || 'unknown scenario'} @ ${record.environment || 'unknown env'}) in ${historyFile}`);
+      return;
+    }
+
+    if (command === 'import' && target) {
+      if (!fs.existsSync(target)) {
+        console.error(`❌ File not found: ${target}`);
+        process.exitCode = 1;
+        return;
+      }
+      const { records, skippedRows } = importLegacyCSV(target, { scenario: filters.scenario, environment: filters.environment });
+      const { added, duplicates } = appendRuns(records, historyFile);
+      console.log(`✅ Imported ${added.length} run(s) from ${target}${duplicates ? ` (${duplicates} already recorded)` : ''} into ${historyFile}`);
+      if (skippedRows.length > 0) {
+        console.log(`⚠️  Skipped ${skippedRows.length} run(s) with an unreadable timestamp (line ${skippedRows.join(', ')})`);
+      }
+      return;
+    }
+
+    if (command === 'list' || command === 'query' || command === 'trends') {
+      const { runs, skippedLines } = readHistory(historyFile);
+      if (skippedLines > 0) console.log(`⚠️  Skipped ${skippedLines} unreadable line(s) in ${historyFile}`);
+
+      if (command === 'list') {
+        displayRuns(filterRuns(runs, { ...filters, endpoint: optionValue(args, '--endpoint') }));
+        return;
+      }
+
+      if (command === 'trends') {
+        const metrics = optionValue(args, '--metric') ? optionValue(args, '--metric').split(',') : DEFAULT_TREND_METRICS;
+        const unknown = metrics.filter(metric => !HISTORY_METRICS.includes(metric));
+        if (unknown.length > 0) throw new Error(`Unknown metric "${unknown[0]}" - use one of: ${HISTORY_METRICS.join(', ')}`);
+
+        const options = {
+          metrics,
+          endpoint: optionValue(args, '--endpoint'),
+          window: Number(optionValue(args, '--window') || TREND_DEFAULTS.window),
+          alpha: Number(optionValue(args, '--alpha') || TREND_DEFAULTS.alpha),
+          zThreshold: Number(optionValue(args, '--z') || TREND_DEFAULTS.zThreshold)
+        };
+        const analysis = analyzeTrends(filterRuns(runs, { ...filters, endpoint: options.endpoint }), options);
+        displayTrends(analysis, options);
+
+        const jsonFile = optionValue(args, '--json');
+        if (jsonFile) {
+          fs.writeFileSync(jsonFile, JSON.stringify({ generatedAt: new Date().toISOString(), filters, options, series: analysis }, null, 2));
+          console.log(`\n📄 JSON saved to: ${jsonFile}`);
+        }
+        return;
+      }
+
+      if (!target) {
+        console.error('❌ query needs a metric');
+        process.exitCode = 1;
+        printUsage();
+        return;
+      }
+      const endpoint = optionValue(args, '--endpoint') || OVERALL;
+      const result = queryMetric(filterRuns(runs, { ...filters, endpoint }), target, endpoint);
+      displayQuery(result, filters);
+
+      const jsonFile = optionValue(args, '--json');
+      if (jsonFile) {
+        fs.writeFileSync(jsonFile, JSON.stringify({ generatedAt: new Date().toISOString(), filters, ...result }, null, 2));
+        console.log(`\n📄 JSON saved to: ${jsonFile}`);
+      }
+      return;
+    }
+
+    // A mistyped command or a missing argument must not look like success in CI
+    if (command) {
+      console.error(COMMANDS.includes(command) ? `❌ ${command} needs a file` : `❌ Unknown command "${command}"`);
+      process.exitCode = 1;
+    }
+    printUsage();
+  } catch (error) {
+    console.error(`❌ History error: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { displayRuns, displayQuery, displayTrends };
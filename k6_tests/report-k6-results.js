@@ -0,0 +1,624 @@
+#!/usr/bin/env node
+
+/**
+ * Self-contained HTML report for one k6 run
+ *
+ * 1. Streams the results file once through the timeline, report and
+ *    threshold aggregators
+ * 2. Takes the run header (TEST_RUN_INFO) and threshold outcomes from the
+ *    run's handleSummary output when it is next to the results, otherwise
+ *    rebuilds them from the result tags and Metric lines
+ * 3. Renders one HTML file with inline CSS and SVG charts - no scripts or
+ *    external assets, so it opens offline from a file share or CI artifact
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readK6Stream, describeReadIssues, endpointOf } = require('./k6-stream-reader');
+const { QuantileSketch } = require('./k6-quantiles');
+const { createTimelineAggregator, buildTimeline, parseWindow } = require('./analyze-k6-timeline');
+const { createThresholdAggregator } = require('./k6-thresholds');
+const { lineChart, barChart, stackedBarChart, escapeMarkup, PALETTE } = require('./k6-svg-charts');
+const { createRunMetaAggregator, OVERALL } = require('./k6-run-stats');
+const { createErrorAggregator, buildErrorBreakdown } = require('./k6-errors');
+const { createDiagnosticsAggregator, buildDiagnostics, VERDICTS } = require('./k6-diagnostics');
+const { analyzeLoadCurve } = require('./k6-load-curve');
+const { gradeRun, formatApdex } = require('./k6-grading');
+
+const TIMING_PHASES = [
+  { metric: 'http_req_blocked', label: 'Blocked' },
+  { metric: 'http_req_connecting', label: 'Connecting' },
+  { metric: 'http_req_tls_handshaking', label: 'TLS' },
+  { metric: 'http_req_sending', label: 'Sending' },
+  { metric: 'http_req_waiting', label: 'Waiting' },
+  { metric: 'http_req_receiving', label: 'Receiving' }
+];
+
+// Histogram buckets grow by 10% so fast and slow requests both get resolution
+const HISTOGRAM_GROWTH = 1.1;
+const HISTOGRAM_BARS = 40;
+
+function createEntry() {
+  const timings = {};
+  TIMING_PHASES.forEach(phase => { timings[phase.metric] = { total: 0, count: 0 }; });
+  return {
+    requests: 0,
+    durations: new QuantileSketch(),
+    failed: { total: 0, count: 0 },
+    timings
+  };
+}
+
+/**
+ * Aggregator for readK6Stream: per-endpoint stats, timings, checks and
+ * a duration histogram
+ */
+function createReportAggregator() {
+  const endpoints = {};
+  const checks = new Map();
+  const histogram = new Map();
+  const totals = { dataReceived: 0, dataSent: 0, iterations: 0, maxVUs: 0 };
+  const overall = createEntry();
+
+  return {
+    endpoints,
+    overall,
+    checks,
+    histogram,
+    totals,
+    onPoint(point) {
+      switch (point.metric) {
+        case 'data_received': totals.dataReceived += point.value; return;
+        case 'data_sent': totals.dataSent += point.value; return;
+        case 'iterations': totals.iterations += point.value; return;
+        case 'vus': totals.maxVUs = Math.max(totals.maxVUs, point.value); return;
+        case 'checks': {
+          const name = point.tags.check || 'unnamed check';
+          if (!checks.has(name)) checks.set(name, { name, endpoint: endpointOf(point), passes: 0, fails: 0 });
+          checks.get(name)[point.value ? 'passes' : 'fails']++;
+          return;
+        }
+      }
+
+      const entries = [overall];
+      if (point.tags.endpoint) entries.push(endpoints[point.tags.endpoint] || (endpoints[point.tags.endpoint] = createEntry()));
+
+      if (point.metric === 'http_reqs') {
+        entries.forEach(entry => { entry.requests++; });
+      } else if (point.metric === 'http_req_duration') {
+        entries.forEach(entry => entry.durations.add(point.value));
+        const bucket = point.value < 1 ? -1 : Math.floor(Math.log(point.value) / Math.log(HISTOGRAM_GROWTH));
+        histogram.set(bucket, (histogram.get(bucket) || 0) + 1);
+      } else if (point.metric === 'http_req_failed') {
+        entries.forEach(entry => {
+          entry.failed.total += point.value;
+          entry.failed.count++;
+        });
+      } else if (overall.timings[point.metric]) {
+        entries.forEach(entry => {
+          entry.timings[point.metric].total += point.value;
+          entry.timings[point.metric].count++;
+        });
+      }
+    }
+  };
+}
+
+function entryStats(entry, seconds) {
+  const durations = entry.durations.summary();
+  const timings = {};
+  TIMING_PHASES.forEach(phase => {
+    const timing = entry.timings[phase.metric];
+    timings[phase.metric] = timing.count > 0 ? timing.total / timing.count : null;
+  });
+
+  return {
+    requests: entry.requests,
+    rps: seconds > 0 ? entry.requests / seconds : 0,
+    avg: durations.avg,
+    p50: durations.med,
+    p90: durations.p90,
+    p95: durations.p95,
+    p99: durations.p99,
+    max: durations.max,
+    errorRate: entry.failed.count > 0 ? entry.failed.total / entry.failed.count * 100 : 0,
+    timings,
+    sketch: entry.durations
+  };
+}
+
+function bucketLowerBound(bucket) {
+  return bucket < 0 ? 0 : Math.pow(HISTOGRAM_GROWTH, bucket);
+}
+
+/**
+ * Merge the fine 10% buckets into at most HISTOGRAM_BARS bars
+ */
+function histogramBars(histogram) {
+  if (histogram.size === 0) return [];
+  const buckets = [...histogram.keys()].sort((a, b) => a - b);
+  const first = buckets[0];
+  const last = buckets[buckets.length - 1];
+  const perBar = Math.max(1, Math.ceil((last - first + 1) / HISTOGRAM_BARS));
+
+  const bars = [];
+  for (let start = first; start <= last; start += perBar) {
+    let count = 0;
+    for (let bucket = start; bucket < start + perBar; bucket++) count += histogram.get(bucket) || 0;
+    bars.push({ label: `${Math.round(bucketLowerBound(start))}ms`, from: bucketLowerBound(start), to: bucketLowerBound(start + perBar), value: count });
+  }
+  return bars;
+}
+
+/**
+ * handleSummary writes <outputDir>/<runId>/summary.json next to the results
+ */
+function findSummaryFile(resultsFile, runIds) {
+  const directory = path.dirname(resultsFile);
+  const candidate = runIds
+    .map(runId => path.join(directory, runId, 'summary.json'))
+    .find(file => fs.existsSync(file));
+  return candidate || null;
+}
+
+/**
+ * Read a results file into everything the report renders
+ */
+async function buildReportData(resultsFile, { window = '10s', summaryFile, load = 'vus' } = {}) {
+  const windowMs = parseWindow(window);
+  const timelineAggregator = createTimelineAggregator(windowMs);
+  const reportAggregator = createReportAggregator();
+  const thresholdAggregator = createThresholdAggregator();
+  const metaAggregator = createRunMetaAggregator();
+  const errorAggregator = createErrorAggregator({ windowMs });
+  const diagnosticsAggregator = createDiagnosticsAggregator();
+
+  const readStats = await readK6Stream(resultsFile, [timelineAggregator, reportAggregator, thresholdAggregator, metaAggregator, errorAggregator, diagnosticsAggregator]);
+  const { totals } = reportAggregator;
+  const meta = metaAggregator.result();
+  const seconds = meta.durationSeconds;
+
+  const summaryPath = summaryFile || findSummaryFile(resultsFile, meta.runIds);
+  const summary = summaryPath ? JSON.parse(fs.readFileSync(summaryPath, 'utf8')) : null;
+
+  const runInfo = summary && summary.runInfo ? summary.runInfo : {
+    runId: meta.runId || path.basename(resultsFile),
+    testType: 'n/a',
+    scenarios: meta.scenarios,
+    environment: meta.environment || 'n/a',
+    description: 'n/a',
+    timestamp: meta.startTime
+  };
+
+  const endpoints = {};
+  Object.keys(reportAggregator.endpoints).sort().forEach(name => {
+    endpoints[name] = entryStats(reportAggregator.endpoints[name], seconds);
+  });
+  endpoints[OVERALL] = entryStats(reportAggregator.overall, seconds);
+  const timeline = buildTimeline(timelineAggregator.windows, windowMs);
+  const gradeInputs = { [OVERALL]: endpoints[OVERALL], ...endpoints };
+
+  return {
+    file: path.basename(resultsFile),
+    generatedAt: new Date().toISOString(),
+    readIssues: describeReadIssues(readStats),
+    runInfo,
+    startTime: meta.startTime,
+    durationSeconds: seconds,
+    summaryFile: summaryPath,
+    totals,
+    endpoints,
+    timeline,
+    loadCurve: analyzeLoadCurve(timeline, { load }),
+    grades: gradeRun(gradeInputs, { scenario: process.env.SCENARIO || (runInfo.scenarios || []).join(',') }),
+    histogram: histogramBars(reportAggregator.histogram),
+    errors: buildErrorBreakdown(errorAggregator),
+    diagnostics: buildDiagnostics(diagnosticsAggregator),
+    checks: [...reportAggregator.checks.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    thresholds: summary && summary.thresholds ? summary.thresholds : thresholdAggregator.results(),
+    thresholdSource: summary && summary.thresholds ? 'handleSummary' : 'results'
+  };
+}
+
+function ms(value) {
+  return value === null || value === undefined ? 'n/a' : `${value.toFixed(1)}ms`;
+}
+
+function kb(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function table(headers, rows) {
+  return `<table>
+    <tr>${headers.map(header => `<th>${escapeMarkup(header)}</th>`).join('')}</tr>
+    ${rows.join('\n    ')}
+  </table>`;
+}
+
+function headerSection(data) {
+  const info = data.runInfo;
+  const rows = [
+    ['Run ID', info.runId],
+    ['Test Type', info.testType],
+    ['Scenarios', (info.scenarios || []).join(', ')],
+    ['Environment', info.environment],
+    ['Description', info.description],
+    ['Started', info.timestamp || data.startTime],
+    ['Duration', `${Math.round(data.durationSeconds)}s`],
+    ['Results File', data.file]
+  ];
+  return `<table class="info">
+    ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${escapeMarkup(value === undefined || value === null ? 'n/a' : value)}</td></tr>`).join('\n    ')}
+  </table>`;
+}
+
+function cardsSection(data) {
+  const overall = data.endpoints[OVERALL];
+  const checkTotals = data.checks.reduce((sum, check) => ({ passes: sum.passes + check.passes, total: sum.total + check.passes + check.fails }), { passes: 0, total: 0 });
+  const peakRps = data.timeline.windows.reduce((max, window) => Math.max(max, window.overall.rps), 0);
+  const grade = data.grades[OVERALL];
+  const cards = [
+    ['Grade', grade.grade ? `${grade.grade} (Apdex ${formatApdex(grade.apdex)})` : 'n/a'],
+    ['Requests', overall.requests],
+    ['Avg RPS', overall.rps.toFixed(2)],
+    ['Peak RPS', peakRps.toFixed(2)],
+    ['Peak VUs', data.totals.maxVUs],
+    ['P95', ms(overall.p95)],
+    ['P99', ms(overall.p99)],
+    ['Error Rate', `${overall.errorRate.toFixed(2)}%`],
+    ['Checks Passed', checkTotals.total > 0 ? `${(checkTotals.passes / checkTotals.total * 100).toFixed(1)}%` : 'n/a'],
+    ['Data Received', kb(data.totals.dataReceived)],
+    ['Data Sent', kb(data.totals.dataSent)]
+  ];
+  return `<div class="cards">
+    ${cards.map(([label, value]) => `<div class="card"><div class="value">${escapeMarkup(value)}</div><div class="label">${label}</div></div>`).join('\n    ')}
+  </div>`;
+}
+
+function chartsSection(data) {
+  const windows = data.timeline.windows;
+  const x = windows.map(window => window.offsetSeconds);
+  const endpointNames = Object.keys(data.endpoints).filter(name => name !== OVERALL);
+
+  return `<h2>Latency Over Time</h2>
+  ${lineChart({
+    title: 'Latency over time',
+    x,
+    yLabel: 'ms',
+    series: [
+      { name: 'P50', values: windows.map(window => window.overall.p50) },
+      { name: 'P95', values: windows.map(window => window.overall.p95) },
+      { name: 'P99', values: windows.map(window => window.overall.p99) }
+    ]
+  })}
+  <h2>P95 by Endpoint</h2>
+  ${lineChart({
+    title: 'P95 by endpoint',
+    x,
+    yLabel: 'ms',
+    series: endpointNames.map(name => ({ name, values: windows.map(window => (window.endpoints[name] ? window.endpoints[name].p95 : NaN)) }))
+  })}
+  <h2>Throughput and Virtual Users</h2>
+  ${lineChart({
+    title: 'Requests per second and VUs',
+    x,
+    yLabel: 'req/s',
+    y2Label: 'VUs',
+    series: [
+      { name: 'RPS', values: windows.map(window => window.overall.rps) },
+      { name: 'VUs', values: windows.map(window => window.overall.vus), axis: 'right' }
+    ]
+  })}
+  <p class="note">${data.timeline.windowSeconds}s windows; dashed lines use the right axis.</p>
+  <h2>Latency Distribution</h2>
+  ${barChart({ title: 'Latency histogram', bars: data.histogram, yLabel: 'requests' })}`;
+}
+
+function loadCurveSection(data) {
+  const curve = data.loadCurve;
+  const overall = curve.endpoints[OVERALL];
+  const label = curve.percentile.toUpperCase();
+  const formatLoad = value => `${value} ${curve.unit}`;
+
+  const rows = Object.keys(curve.endpoints).map(name => {
+    const result = curve.endpoints[name];
+    const sustainable = result.sustainableRps === null ? '-' : `${result.lowerBound ? '≥ ' : ''}${result.sustainableRps.toFixed(1)}`;
+    return `<tr${name === OVERALL ? ' class="total"' : ''}><td>${escapeMarkup(name)}</td><td>${escapeMarkup(result.status)}</td><td>${result.knee ? formatLoad(result.knee.load) : '-'}</td><td>${sustainable}</td><td>${escapeMarkup(result.message)}</td></tr>`;
+  });
+
+  if (overall.levels.length < 2) {
+    return `<h2>Latency vs. Load</h2>
+  <p class="note">${escapeMarkup(overall.message)}.</p>`;
+  }
+
+  return `<h2>Latency vs. Load</h2>
+  ${lineChart({
+    title: `${label} by ${curve.unit}`,
+    x: overall.levels.map(level => level.load),
+    yLabel: 'ms',
+    formatX: formatLoad,
+    markers: overall.knee ? [{ x: overall.knee.load, label: `knee ${formatLoad(overall.knee.load)}` }] : [],
+    series: [
+      { name: label, values: overall.levels.map(level => level.latency) },
+      { name: 'Fit', values: overall.levels.map(level => (level.fitted !== undefined ? level.fitted : NaN)), color: PALETTE[7] }
+    ]
+  })}
+  <p class="note">${curve.windowSeconds}s windows grouped by ${curve.unit}; each point is the median window ${label} at that load.</p>
+  ${table(['Endpoint', 'Status', 'Knee', 'Sustainable RPS', 'Detail'], rows)}`;
+}
+
+function endpointsSection(data) {
+  const rows = Object.keys(data.endpoints).map(name => {
+    const stats = data.endpoints[name];
+    const cells = [
+      escapeMarkup(name), stats.requests, stats.rps.toFixed(2), ms(stats.avg), ms(stats.p50), ms(stats.p90),
+      ms(stats.p95), ms(stats.p99), ms(stats.max), `${stats.errorRate.toFixed(2)}%`
+    ];
+    return `<tr${name === OVERALL ? ' class="total"' : ''}>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+  });
+  return `<h2>Endpoints</h2>
+  ${table(['Endpoint', 'Requests', 'RPS', 'Avg', 'P50', 'P90', 'P95', 'P99', 'Max', 'Errors'], rows)}`;
+}
+
+function gradesSection(data) {
+  const percent = share => `${(share * 100).toFixed(1)}%`;
+  const rows = Object.keys(data.grades).map(name => {
+    const result = data.grades[name];
+    const apdex = result.apdex;
+    const cells = [
+      `<span class="grade grade-${result.grade || 'na'}">${escapeMarkup(result.grade || 'n/a')}</span>`,
+      escapeMarkup(name),
+      escapeMarkup(formatApdex(apdex)),
+      apdex ? apdex.rating : 'n/a',
+      apdex ? `${percent(apdex.satisfied)} / ${percent(apdex.tolerating)} / ${percent(apdex.frustrated)}` : 'n/a',
+      escapeMarkup(result.reasons.join('; '))
+    ];
+    return `<tr${name === OVERALL ? ' class="total"' : ''}>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+  });
+  return `<h2>Grades</h2>
+  <p class="note">Apdex [T in seconds] and letter grades per grading-rubrics.json; failed requests count as frustrated.</p>
+  ${table(['Grade', 'Endpoint', 'Apdex', 'Rating', 'Satisfied / Tolerating / Frustrated', 'Reasons'], rows)}`;
+}
+
+function checksSection(data) {
+  if (data.checks.length === 0) return '<h2>Checks</h2>\n  <p class="note">No checks recorded.</p>';
+  const rows = data.checks.map(check => {
+    const total = check.passes + check.fails;
+    const rate = total > 0 ? (check.passes / total * 100).toFixed(1) : '0.0';
+    return `<tr class="${check.fails === 0 ? 'pass' : 'fail'}"><td>${check.fails === 0 ? 'PASS' : 'FAIL'}</td><td>${escapeMarkup(check.name)}</td><td>${escapeMarkup(check.endpoint || '')}</td><td>${check.passes}</td><td>${check.fails}</td><td>${rate}%</td></tr>`;
+  });
+  return `<h2>Checks</h2>
+  ${table(['Result', 'Check', 'Endpoint', 'Passes', 'Fails', 'Pass Rate'], rows)}`;
+}
+
+const STATUS_CLASSES = ['2xx', '3xx', '4xx', '5xx', 'no response'];
+
+function errorsSection(data) {
+  const { endpoints, bursts, windowSeconds } = data.errors;
+  const names = Object.keys(endpoints);
+  const time = iso => (iso ? escapeMarkup(iso.slice(11, 19)) : '-');
+
+  const chart = stackedBarChart({
+    title: 'Responses by status class (% of requests)',
+    rows: names.map(name => ({
+      label: name,
+      segments: STATUS_CLASSES.map(statusClass => ({
+        name: statusClass,
+        value: endpoints[name].statuses.filter(status => status.category === statusClass).reduce((sum, status) => sum + status.rate, 0)
+      })).filter(segment => segment.value > 0)
+    })),
+    unit: '%'
+  });
+
+  const summaryRows = names.map(name => {
+    const entry = endpoints[name];
+    const statuses = entry.statuses.map(status => `${status.key === '0' ? 'none' : status.key} ×${status.count}`).join(', ');
+    return `<tr${name === OVERALL ? ' class="total"' : ''}><td>${escapeMarkup(name)}</td><td>${entry.requests}</td><td>${entry.failures}</td><td>${entry.errorRate.toFixed(2)}%</td><td>${escapeMarkup(statuses)}</td><td>${time(entry.firstFailure)}</td><td>${time(entry.lastFailure)}</td></tr>`;
+  });
+
+  const errorRows = names.filter(name => name !== OVERALL).flatMap(name => endpoints[name].errors.map(error =>
+    `<tr><td>${escapeMarkup(name)}</td><td>${escapeMarkup(error.key)}</td><td>${escapeMarkup(error.category)}</td><td>${error.count}</td><td>${error.rate.toFixed(2)}%</td><td>${time(error.first)}</td><td>${time(error.last)}</td><td>${escapeMarkup(error.message || '')}</td></tr>`));
+
+  const burstRows = bursts.map(burst => {
+    const affected = Object.keys(burst.endpoints).sort((a, b) => burst.endpoints[b] - burst.endpoints[a]).join(', ');
+    return `<tr><td>${time(burst.start)}-${time(burst.end)}</td><td>${burst.failures}</td><td>${burst.requests}</td><td>${burst.errorRate.toFixed(1)}%</td><td>${escapeMarkup(burst.topError)}</td><td>${escapeMarkup(affected)}</td></tr>`;
+  });
+
+  return `<h2>Errors</h2>
+  ${chart}
+  ${table(['Endpoint', 'Requests', 'Failed', 'Error Rate', 'Status Codes', 'First Failure', 'Last Failure'], summaryRows)}
+  ${errorRows.length === 0 ? '<p class="note">No failed requests.</p>' : `<h3>Error codes</h3>
+  ${table(['Endpoint', 'Code', 'Category', 'Count', 'Rate', 'First Seen', 'Last Seen', 'Message'], errorRows)}
+  <h3>Error bursts</h3>
+  <p class="note">Consecutive ${windowSeconds}s windows with failed requests.</p>
+  ${table(['Window', 'Failed', 'Requests', 'Error Rate', 'Top Error', 'Endpoints'], burstRows)}`}`;
+}
+
+function thresholdsSection(data) {
+  const source = data.thresholdSource === 'handleSummary'
+    ? 'Outcomes as reported by k6 (handleSummary).'
+    : 'No handleSummary output found - outcomes recomputed from the results file.';
+  if (data.thresholds.length === 0) return `<h2>Thresholds</h2>\n  <p class="note">No thresholds defined. ${source}</p>`;
+
+  const rows = data.thresholds.map(row => {
+    const result = row.ok === null ? 'N/A' : (row.ok ? 'PASS' : 'FAIL');
+    return `<tr class="${row.ok === null ? '' : (row.ok ? 'pass' : 'fail')}"><td>${result}</td><td>${escapeMarkup(row.metric)}</td><td>${escapeMarkup(row.threshold)}</td><td>${escapeMarkup(row.formatted)}</td></tr>`;
+  });
+  return `<h2>Thresholds</h2>
+  <p class="note">${source}</p>
+  ${table(['Result', 'Metric', 'Threshold', 'Value'], rows)}`;
+}
+
+function timingsSection(data) {
+  const names = Object.keys(data.endpoints);
+  const rows = names.map(name => {
+    const timings = data.endpoints[name].timings;
+    return `<tr${name === OVERALL ? ' class="total"' : ''}><td>${escapeMarkup(name)}</td>${TIMING_PHASES.map(phase => `<td>${ms(timings[phase.metric])}</td>`).join('')}</tr>`;
+  });
+
+  // k6's blocked time already includes connecting and TLS; stack only the remainder
+  const chartRows = names.map(name => {
+    const timing = metric => data.endpoints[name].timings[metric] || 0;
+    return {
+      label: name,
+      segments: [
+        { name: 'Blocked (other)', value: Math.max(0, timing('http_req_blocked') - timing('http_req_connecting') - timing('http_req_tls_handshaking')) },
+        { name: 'Connecting', value: timing('http_req_connecting') },
+        { name: 'TLS', value: timing('http_req_tls_handshaking') },
+        { name: 'Sending', value: timing('http_req_sending') },
+        { name: 'Waiting', value: timing('http_req_waiting') },
+        { name: 'Receiving', value: timing('http_req_receiving') }
+      ]
+    };
+  });
+
+  return `<h2>Timing Phases (average per request)</h2>
+  ${stackedBarChart({ title: 'Average timing phases per endpoint', rows: chartRows, unit: 'ms' })}
+  ${table(['Endpoint', ...TIMING_PHASES.map(phase => phase.label)], rows)}
+  <p class="note">Blocked includes connecting and TLS time; the chart stacks the remainder so phases are not counted twice.</p>`;
+}
+
+// Rendered top to bottom; other tools can add sections to the list
+function diagnosticsSection(data) {
+  const { hosts, endpoints, findings } = data.diagnostics;
+  const percent = value => `${value.toFixed(1)}%`;
+
+  const hostRows = Object.keys(hosts).map(host => {
+    const stats = hosts[host];
+    return `<tr><td>${escapeMarkup(host)}</td><td>${stats.requests}</td><td>${percent(stats.newConnectionPercent)}</td><td>${ms(stats.connectOnNew)}</td><td>${ms(stats.tlsOnNew)}</td><td>${ms(stats.tlsPerRequest)}</td><td>${escapeMarkup(stats.protocols.join(', '))}</td></tr>`;
+  });
+  const endpointRows = Object.keys(endpoints).map(endpoint => {
+    const stats = endpoints[endpoint];
+    return `<tr><td>${escapeMarkup(endpoint)}</td><td>${percent(stats.serverPercent)}</td><td>${percent(stats.networkPercent)}</td><td>${percent(stats.queueingPercent)}</td><td>${ms(stats.waitingP95)}</td><td>${ms(stats.receiving)}</td><td>${escapeMarkup(stats.verdict)}</td></tr>`;
+  });
+  const verdicts = VERDICTS
+    .map(verdict => ({ ...verdict, names: Object.keys(endpoints).filter(endpoint => endpoints[endpoint].verdict === verdict.name) }))
+    .filter(verdict => verdict.names.length > 0)
+    .map(verdict => `<li>${escapeMarkup(verdict.explanation)}: ${escapeMarkup(verdict.names.join(', '))}</li>`);
+  const findingItems = findings.map(finding => `<li><strong>${escapeMarkup(finding.name)} - ${escapeMarkup(finding.kind)}</strong> (${escapeMarkup(finding.area)}): ${escapeMarkup(finding.message)}</li>`);
+
+  return `<h2>Connection Diagnostics</h2>
+  <ul>
+    ${[...verdicts, ...findingItems].join('\n    ')}
+  </ul>
+  ${findings.length === 0 ? '<p class="note">No connection churn, slow handshakes, queueing or download bottlenecks found.</p>' : ''}
+  ${table(['Host', 'Requests', 'New Connections', 'Connect (new)', 'TLS (new)', 'TLS per Request', 'Protocol'], hostRows)}
+  ${table(['Endpoint', 'Server Time', 'Network Time', 'Queueing', 'TTFB P95', 'Receiving', 'Verdict'], endpointRows)}`;
+}
+
+const SECTIONS = [cardsSection, chartsSection, loadCurveSection, endpointsSection, gradesSection, errorsSection, checksSection, thresholdsSection, timingsSection, diagnosticsSection];
+
+function renderReport(data, sections = SECTIONS) {
+  const evaluated = data.thresholds.filter(row => row.ok !== null);
+  const failed = evaluated.filter(row => !row.ok).length;
+  const verdict = evaluated.length === 0
+    ? { text: 'No thresholds evaluated', color: '#555' }
+    : (failed === 0
+      ? { text: `All ${evaluated.length} thresholds passed`, color: '#1a7f37' }
+      : { text: `${failed} of ${evaluated.length} thresholds failed`, color: '#cf222e' });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>K6 Load Test Report - ${escapeMarkup(data.runInfo.runId)}</title>
+  <style>
+    body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 2em; color: #222; max-width: 1100px; }
+    table { border-collapse: collapse; margin-bottom: 2em; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; font-size: 13px; }
+    th { background: #f4f4f4; }
+    table.info th { width: 160px; }
+    tr.pass td:first-child { color: #1a7f37; font-weight: bold; }
+    tr.fail td:first-child { color: #cf222e; font-weight: bold; }
+    tr.total td { font-weight: bold; background: #fafafa; }
+    .verdict { font-size: 1.2em; font-weight: bold; color: ${verdict.color}; }
+    .cards { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 2em; }
+    .card { border: 1px solid #ddd; border-radius: 6px; padding: 10px 16px; min-width: 120px; }
+    .card .value { font-size: 1.4em; font-weight: bold; }
+    .card .label { color: #555; font-size: 12px; }
+    .note { color: #666; font-size: 12px; }
+    .grade { font-weight: bold; }
+    .grade-A, .grade-B { color: #1a7f37; }
+    .grade-C, .grade-D { color: #9a6700; }
+    .grade-F { color: #cf222e; }
+    svg { max-width: 100%; height: auto; }
+    footer { color: #888; font-size: 11px; margin-top: 3em; }
+  </style>
+</head>
+<body>
+  <h1>K6 Load Test Report</h1>
+  <p class="verdict">${escapeMarkup(verdict.text)}</p>
+  ${headerSection(data)}
+  ${sections.map(section => section(data)).join('\n  ')}
+  <footer>Generated ${escapeMarkup(data.generatedAt)} by report-k6-results.js from ${escapeMarkup(data.file)}</footer>
+</body>
+</html>
+`;
+}
+
+async function generateReport(resultsFile, { outFile, window = '10s', summaryFile, load = 'vus' } = {}) {
+  console.log(`📝 Building HTML report for: ${resultsFile}`);
+
+  try {
+    const data = await buildReportData(resultsFile, { window, summaryFile, load });
+    if (data.readIssues) console.log(data.readIssues);
+    if (data.endpoints[OVERALL].requests === 0) {
+      console.log('❌ No HTTP requests found in this file');
+      return null;
+    }
+
+    console.log(data.summaryFile
+      ? `📋 Run info and thresholds from: ${data.summaryFile}`
+      : '📋 No handleSummary output found - run info and thresholds rebuilt from the results');
+
+    const outputPath = outFile || `${resultsFile.replace(/\.json(\.gz)?$/, '')}-report.html`;
+    fs.writeFileSync(outputPath, renderReport(data));
+
+    console.log(`✅ HTML report saved to: ${outputPath} (${(fs.statSync(outputPath).size / 1024).toFixed(1)} KB)`);
+    return outputPath;
+
+  } catch (error) {
+    console.error('❌ Error building report:', error.message);
+    return null;
+  }
+}
+
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.log('📝 K6 HTML Report');
+    console.log('Usage: node report-k6-results.js <json-file[.gz]> [--out report.html] [--window 10s] [--summary summary.json] [--load vus|rps]');
+    console.log('Example: node report-k6-results.js test-results/k6-results-2025-09-12_15-32-09.json');
+    console.log('\nThe report is a single offline HTML file (inline CSS and SVG, no scripts).');
+    console.log('Run info and thresholds come from test-results/<runId>/summary.json when present.');
+    console.log('--load rps plots latency against achieved RPS instead of active VUs (arrival-rate tests).');
+    return;
+  }
+
+  const resultsFile = args[0];
+  if (!fs.existsSync(resultsFile)) {
+    console.error(`❌ File not found: ${resultsFile}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const outputPath = await generateReport(resultsFile, {
+    outFile: optionValue(args, '--out'),
+    window: optionValue(args, '--window') || '10s',
+    summaryFile: optionValue(args, '--summary'),
+    load: optionValue(args, '--load') || 'vus'
+  });
+  if (!outputPath) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { generateReport, buildReportData, renderReport, createReportAggregator, SECTIONS, OVERALL };
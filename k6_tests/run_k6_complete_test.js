@@ -3,15 +3,21 @@
 const { spawn, execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { checkGate, promoteBaseline, formatMetric, GATE_FAILED_EXIT_CODE } = require('./gate-k6-results');
+const { recordRun, HISTORY_FILE } = require('./k6-run-history');
+const GrafanaSetup = require('./grafana-setup');
 
 // Configuration
 const CONFIG = {
   outputDir: './test-results',
   k6Script: 'k6_api_load_test.js',
   exportScript: 'export_to_excel.js',
-  trendsFile: 'k6-api-metrics-trends.csv',
+  trendsFile: 'k6-api-metrics-trends.xlsx',
   testDuration: 20, // seconds
-  maxVUs: 5
+  maxVUs: 5,
+  // Golden baselines are kept per scenario + environment (see gate-k6-results.js)
+  scenario: process.env.SCENARIO || 'user_flow',
+  environment: process.env.K6_ENVIRONMENT || 'dev'
 };
 
 // Utility functions
@@ -113,6 +119,9 @@ async function step2_RunK6Test() {
   const fileSize = fs.statSync(jsonFilePath).size;
   log(`k6 test completed. JSON file size: ${(fileSize / 1024).toFixed(1)} KB`, 'success');
   
+  const { record } = await recordRun(jsonFilePath, { scenario: CONFIG.scenario, environment: CONFIG.environment });
+  log(`Run ${record.runId} recorded in history: ${HISTORY_FILE}`, 'success');
+  
   return jsonFilePath;
 }
 
@@ -138,14 +147,58 @@ async function step3_ExportToExcel(jsonFilePath, appendMode = false) {
   log('Excel export completed', 'success');
 }
 
-async function step4_DisplaySummary(jsonFilePath, appendMode) {
-  log('📋 STEP 4: Generating summary...');
+async function step4_CheckGate(jsonFilePath, { gate, promote, requireBaseline }) {
+  if (!gate && !promote) return null;
+  
+  log('🚦 STEP 4: Checking performance gate...');
+  log(`Golden baseline: ${CONFIG.scenario} @ ${CONFIG.environment}`);
+  
+  let gateResult = null;
+  if (gate) {
+    gateResult = await checkGate(jsonFilePath, {
+      scenario: CONFIG.scenario,
+      environment: CONFIG.environment,
+      requireBaseline
+    });
+  }
+  
+  // Never replace the golden baseline with a run that failed the gate
+  if (promote && (!gateResult || gateResult.passed)) {
+    const { file } = await promoteBaseline(jsonFilePath, { scenario: CONFIG.scenario, environment: CONFIG.environment });
+    log(`Promoted this run to golden baseline: ${file}`, 'success');
+  } else if (promote) {
+    log('Run failed the gate - golden baseline left unchanged', 'warning');
+  }
+  
+  return gateResult;
+}
+
+// Grafana being down shouldn't fail a run that already passed
+async function annotateGrafana(jsonFilePath, gateResult) {
+  log('📍 Annotating the run in Grafana...');
+  try {
+    const { run } = await new GrafanaSetup().annotate(jsonFilePath, {
+      scenario: CONFIG.scenario,
+      environment: CONFIG.environment,
+      gate: gateResult
+    });
+    log(`Run ${run.runId} annotated (${run.verdict})`, 'success');
+  } catch (error) {
+    log(`Grafana annotations skipped: ${error.message}`, 'warning');
+  }
+}
+
+async function step5_DisplaySummary(jsonFilePath, appendMode, gateResult) {
+  log('📋 STEP 5: Generating summary...');
   
   const trendsFilePath = path.join(CONFIG.outputDir, CONFIG.trendsFile);
   const hasTrendsFile = fs.existsSync(trendsFilePath);
+  const gateFailed = gateResult && !gateResult.passed;
   
   console.log('\n' + '='.repeat(80));
-  console.log('🎉 K6 COMPLETE TEST WORKFLOW FINISHED SUCCESSFULLY!');
+  console.log(gateFailed
+    ? '🚫 K6 COMPLETE TEST WORKFLOW FINISHED - PERFORMANCE GATE FAILED'
+    : '🎉 K6 COMPLETE TEST WORKFLOW FINISHED SUCCESSFULLY!');
   console.log('='.repeat(80));
   
   console.log('\n📁 FILES CREATED:');
@@ -158,24 +211,41 @@ async function step4_DisplaySummary(jsonFilePath, appendMode) {
   console.log('\n📍 LOCATIONS:');
   console.log(`   📂 Output Directory: ${CONFIG.outputDir}`);
   console.log(`   🔍 JSON Results: ${jsonFilePath}`);
+  console.log(`   📚 Run History: ${HISTORY_FILE}`);
   if (appendMode && hasTrendsFile) {
     console.log(`   📊 Excel Trends: ${trendsFilePath}`);
   }
   
   console.log('\n📈 NEXT STEPS:');
   if (appendMode) {
-    console.log(`   1. Open ${CONFIG.trendsFile} in Excel`);
+    console.log(`   1. Open ${CONFIG.trendsFile} in Excel (Trends sheet)`);
     console.log(`   2. Analyze performance trends over time`);
     console.log(`   3. Create charts showing response time patterns`);
     console.log(`   4. Compare endpoint performance across test runs`);
   } else {
-    console.log(`   1. Open the generated CSV file in Excel`);
+    console.log(`   1. Open the generated .xlsx workbook in Excel`);
     console.log(`   2. Analyze this test run's performance`);
     console.log(`   3. Run with --append to build trend data`);
   }
   
+  if (gateResult) {
+    console.log('\n🚦 PERFORMANCE GATE:');
+    if (gateResult.skipped) {
+      console.log(`   ⚠️  Skipped - no golden baseline for ${CONFIG.scenario} @ ${CONFIG.environment} (run with --promote)`);
+    } else if (gateFailed) {
+      console.log(`   ❌ FAILED - ${gateResult.failures.length} check(s) regressed against the golden baseline:`);
+      gateResult.failures.forEach(failure => {
+        console.log(failure.reason
+          ? `      - ${failure.endpoint}: ${failure.reason}`
+          : `      - ${failure.endpoint} ${failure.metric}: ${formatMetric(failure.metric, failure.actual)} vs limit ${formatMetric(failure.metric, failure.limit)}`);
+      });
+    } else {
+      console.log(`   ✅ PASSED - ${gateResult.checks.length} checks within tolerance`);
+    }
+  }
+  
   console.log('\n🔄 TO RUN AGAIN:');
-      console.log(`   node run_k6_complete_test.js [--append]`);
+      console.log(`   node run_k6_complete_test.js [--append] [--gate] [--promote] [--annotate]`);
   
   console.log('\n' + '='.repeat(80));
 }
@@ -185,19 +255,35 @@ async function main() {
   try {
     const args = process.argv.slice(2);
     const appendMode = args.includes('--append');
+    const gateOptions = {
+      gate: args.includes('--gate'),
+      promote: args.includes('--promote'),
+      requireBaseline: args.includes('--require-baseline')
+    };
+    const annotate = args.includes('--annotate');
     
     console.log('🚀 K6 COMPLETE TEST WORKFLOW');
     console.log('='.repeat(50));
     console.log(`Mode: ${appendMode ? 'Trend Tracking (Append)' : 'Individual Results'}`);
     console.log(`Output Directory: ${CONFIG.outputDir}`);
     console.log(`Test Script: ${CONFIG.k6Script}`);
+    if (gateOptions.gate || gateOptions.promote) {
+      console.log(`Gate: ${gateOptions.gate ? 'on' : 'off'}, Promote: ${gateOptions.promote ? 'on' : 'off'} (${CONFIG.scenario} @ ${CONFIG.environment})`);
+    }
     console.log('='.repeat(50));
     
     // Execute workflow steps
     await step1_ValidateEnvironment();
     const jsonFilePath = await step2_RunK6Test();
     await step3_ExportToExcel(jsonFilePath, appendMode);
-    await step4_DisplaySummary(jsonFilePath, appendMode);
+    const gateResult = await step4_CheckGate(jsonFilePath, gateOptions);
+    if (annotate) await annotateGrafana(jsonFilePath, gateResult);
+    await step5_DisplaySummary(jsonFilePath, appendMode, gateResult);
+    
+    if (gateResult && !gateResult.passed) {
+      log(`Performance gate failed for ${CONFIG.scenario} @ ${CONFIG.environment}`, 'error');
+      process.exit(GATE_FAILED_EXIT_CODE);
+    }
     
     log('🎉 Complete workflow finished successfully!', 'success');
     
@@ -217,15 +303,23 @@ if (process.argv.includes('--help') || process.argv.includes('-h')) {
 This script automates the entire k6 testing pipeline:
 1. Validates environment
 2. Runs k6 load test with JSON export
-3. Exports results to Excel (CSV)
-4. Generates summary report
+3. Exports results to an Excel workbook (.xlsx)
+4. Optionally gates the run against the golden baseline and annotates it in Grafana
+5. Generates summary report
 
 USAGE:
-  node run_k6_complete_test.js [--append]
+  node run_k6_complete_test.js [--append] [--gate] [--promote] [--require-baseline] [--annotate]
 
 OPTIONS:
   --append    Add results to trends file for historical tracking
               Without this flag, creates individual result files
+  --gate      Compare the run with the golden baseline for
+              $SCENARIO @ $K6_ENVIRONMENT using gate-tolerances.json
+  --promote   Make this run the golden baseline (skipped if --gate fails)
+  --require-baseline
+              Fail the gate when no golden baseline exists yet
+  --annotate  Mark the run and its phases in Grafana (GRAFANA_URL) with
+              region annotations carrying the verdict
 
 EXAMPLES:
   # Run test and create individual results
@@ -233,10 +327,19 @@ EXAMPLES:
   
   # Run test and append to trends file
   node run_k6_complete_test.js --append
+  
+  # CI: fail the build when the run regresses against the golden baseline
+  SCENARIO=dashboard_benchmark K6_ENVIRONMENT=staging node run_k6_complete_test.js --gate
+
+EXIT CODES:
+  0 - workflow succeeded (and the gate passed)
+  1 - workflow error (k6 failure, missing files...)
+  ${GATE_FAILED_EXIT_CODE} - performance gate failed
 
 OUTPUT:
   - JSON results file (timestamped)
-  - Excel CSV file (individual or trends)
+  - Run history entry (query with: node query-k6-history.js list)
+  - Excel workbook (individual or trends)
   - Comprehensive summary report
 
 CONFIGURATION:
@@ -244,6 +347,7 @@ CONFIGURATION:
   Test Duration: ${CONFIG.testDuration} seconds
   Max VUs: ${CONFIG.maxVUs}
   k6 Script: ${CONFIG.k6Script}
+  Scenario / Environment: ${CONFIG.scenario} / ${CONFIG.environment}
 `);
   process.exit(0);
 }